@@ -0,0 +1,38 @@
+// Stand-in drill controller for the MQTT feed (npm run mqtt:publish).
+// Publishes simulated samples as JSON to drills/<MACHINE_ID>/telemetry on a
+// local broker (see mock/mosquitto.conf), in the dashboard's default payload
+// format: { temp, rpm, load, vibration, depth, ts }, plus a vibration
+// `waveform` block with WAVEFORM=1.
+import process from 'node:process';
+import mqtt from 'mqtt';
+import { createSimulator } from '../src/simulator.js';
+
+const url = process.env.MQTT_URL || 'mqtt://localhost:1883';
+const machineId = process.env.MACHINE_ID || 'drill-1';
+const topic = process.env.MQTT_TOPIC || `drills/${machineId}/telemetry`;
+const intervalMs = Number(process.env.INTERVAL_MS) || 1000;
+const waveform = process.env.WAVEFORM === '1';
+const simulator = createSimulator({
+  seed: Number(process.env.SEED) || 1,
+  scenario: process.env.SCENARIO || 'normal'
+});
+
+const client = mqtt.connect(url);
+let timer = null;
+
+client.on('connect', () => {
+  console.log(`Publishing to ${topic} on ${url} every ${intervalMs} ms`);
+  clearInterval(timer);
+  timer = setInterval(() => {
+    const { sampledAt, ...values } = simulator.next(intervalMs / 1000, { waveform });
+    const payload = { ...values, ts: sampledAt.getTime() };
+    client.publish(topic, JSON.stringify(payload));
+  }, intervalMs);
+});
+client.on('close', () => clearInterval(timer));
+client.on('error', (err) => console.error('MQTT error', err.message));
+
+process.on('SIGINT', () => {
+  clearInterval(timer);
+  client.end(false, () => process.exit(0));
+});
@@ -0,0 +1,73 @@
+// Stand-in for the Python ML backend, served by the Vite dev server in
+// `--mode mock` (npm run dev:mock). Answers the same endpoints as the real
+// backend with rough heuristics, so the dashboard works without it.
+
+const MODEL_VERSION = 'mock-1';
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        reject(err);
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, data) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+}
+
+// Rows are [temp, rpm, load, vibration, depth, tempChange, torqueEst];
+// RUL falls as RPM drops from 5000 towards 4000
+function predictRul(sequence) {
+  const rows = sequence[0] || [];
+  const last = rows[rows.length - 1] || [];
+  const rpm = last[1] ?? 5000;
+  return { rul: Math.max(0, (rpm - 4000) / 1000) * 1000, model_version: MODEL_VERSION };
+}
+
+// Flattened rows without temp: [rpm, load, vibration, depth, tempChange, torqueEst] x N
+function predictTemp(flat) {
+  const width = 6;
+  const n = Math.floor(flat.length / width);
+  let load = 0;
+  let vibration = 0;
+  for (let i = 0; i < n; i++) {
+    load += flat[i * width + 1];
+    vibration += flat[i * width + 2];
+  }
+  const tempEst = n ? 20 + (load / n) * 1.2 + (vibration / n) * 3 : 20;
+  return { temp_est: tempEst, model_version: MODEL_VERSION };
+}
+
+const routes = {
+  'GET /health': () => ({ status: 'ok', model_version: MODEL_VERSION }),
+  'POST /predict_rul': (body) => predictRul(body.sequence || []),
+  'POST /predict_temp': (body) => predictTemp(body.sequence || [])
+};
+
+export function mockPredictionServer({ prefix = '/api' } = {}) {
+  return {
+    name: 'mock-prediction-server',
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        if (!req.url.startsWith(prefix)) return next();
+        const route = routes[`${req.method} ${req.url.slice(prefix.length).split('?')[0]}`];
+        if (!route) return send(res, 404, { error: 'not found' });
+        try {
+          send(res, 200, route(await readJson(req)));
+        } catch (err) {
+          send(res, 400, { error: String(err.message || err) });
+        }
+      });
+    }
+  };
+}
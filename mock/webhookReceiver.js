@@ -0,0 +1,37 @@
+// Local webhook receiver for trying out alarm notifications
+// (npm run webhook:receiver). Logs every JSON POST and answers 204; point a
+// webhook at http://localhost:5055/ in the dashboard's Notifications panel.
+import { createServer } from 'node:http';
+import process from 'node:process';
+
+const port = Number(process.env.PORT) || 5055;
+
+// The dashboard posts from the browser, so the receiver must allow CORS
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type'
+};
+
+createServer((req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, cors).end();
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.writeHead(405, cors).end();
+    return;
+  }
+  let body = '';
+  req.on('data', (chunk) => (body += chunk));
+  req.on('end', () => {
+    try {
+      const payload = JSON.parse(body);
+      console.log(`${new Date().toISOString()} ${req.url} ${payload.event} ${payload.id}: ${payload.message}`);
+      res.writeHead(204, cors).end();
+    } catch {
+      console.log(`${new Date().toISOString()} ${req.url} invalid JSON: ${body}`);
+      res.writeHead(400, cors).end();
+    }
+  });
+}).listen(port, () => console.log(`Webhook receiver listening on http://localhost:${port}/`));
@@ -0,0 +1,45 @@
+// One-off backfill for Firestore (npm run backfill:machine-id): gives
+// telemetry stored before the machine registry the legacy rig's machineId,
+// so the per-machine queries find it. Reads the Firebase settings from .env
+// and signs in as an admin from ADMIN_EMAIL / ADMIN_PASSWORD. Safe to run
+// again: documents that already have a machineId are left alone.
+import process from 'node:process';
+import { initializeApp } from 'firebase/app';
+import { getAuth, signInWithEmailAndPassword } from 'firebase/auth';
+import { collection, getDocs, getFirestore, limit, orderBy, query, startAfter, writeBatch } from 'firebase/firestore';
+import { LEGACY_MACHINE_ID } from '../src/schema.js';
+
+const env = process.env;
+const collectionName = env.VITE_TELEMETRY_COLLECTION || 'drillData';
+const machineId = env.MACHINE_ID || LEGACY_MACHINE_ID;
+const pageSize = 500; // also the Firestore batch limit
+
+const app = initializeApp({
+  apiKey: env.VITE_FIREBASE_API_KEY,
+  authDomain: env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: env.VITE_FIREBASE_PROJECT_ID,
+  appId: env.VITE_FIREBASE_APP_ID
+});
+await signInWithEmailAndPassword(getAuth(app), env.ADMIN_EMAIL, env.ADMIN_PASSWORD);
+const db = getFirestore(app);
+
+let last = null;
+let scanned = 0;
+let updated = 0;
+for (;;) {
+  const constraints = [orderBy('createdAt', 'asc'), limit(pageSize)];
+  if (last) constraints.splice(1, 0, startAfter(last));
+  const snap = await getDocs(query(collection(db, collectionName), ...constraints));
+  const missing = snap.docs.filter((d) => d.get('machineId') == null);
+  if (missing.length) {
+    const batch = writeBatch(db);
+    for (const d of missing) batch.update(d.ref, { machineId });
+    await batch.commit();
+  }
+  scanned += snap.size;
+  updated += missing.length;
+  if (snap.size < pageSize) break;
+  last = snap.docs[snap.size - 1];
+}
+console.log(`${collectionName}: ${updated} of ${scanned} documents assigned to ${machineId}`);
+process.exit(0);
@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+import { acknowledgeAlarm, addAlarmNote } from './alarms';
+import { can } from './auth';
+import { useLocale } from './locale';
+
+const reasons = ['low', 'high', 'rate'];
+
+// Alarm history for one machine, newest first. Operators and up can
+// acknowledge and annotate entries. Values and limits are stored in metric
+// units and shown in the display units.
+export default function AlarmLog({ entries, user }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [noteFor, setNoteFor] = useState(null); // entry id being annotated
+  const [note, setNote] = useState('');
+
+  function saveNote(entry) {
+    if (!note.trim()) return;
+    addAlarmNote(entry, note.trim(), user).catch((err) => console.error('Alarm note error', err));
+    setNoteFor(null);
+    setNote('');
+  }
+
+  // Rate limits are per second and convert like differences
+  function amount(e, v) {
+    if (e.reason !== 'rate') return locale.format(e.metric, v);
+    return `${locale.number(locale.value(e.metric, v, { delta: true }))} ${locale.unit(e.metric)}/s`;
+  }
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('alarmLog.title')}</h3>
+      <div style={{ flex: 1, overflow: 'auto' }}>
+        {entries.length === 0 && <div style={{ color: '#666' }}>{t('alarmLog.empty')}</div>}
+        {entries.map((e) => (
+          <div key={e.id} style={styles.item}>
+            <div style={{ fontSize: 13, color: e.clearedAt ? '#333' : 'red' }}>
+              {e.reason === 'stale' && <><strong>{t('alarmLog.noData')}</strong> {t('alarmLog.noDataFor', { seconds: e.limit })}</>}
+              {e.reason === 'anomaly' && <><strong>{t('alarmLog.anomaly')}</strong> {[].concat(e.value).map(locale.anomaly).join(', ')}</>}
+              {reasons.includes(e.reason) && (
+                <><strong>{locale.label(e.metric)}</strong> {amount(e, e.value)} {t(`alarmLog.${e.reason}`)} {amount(e, e.limit)}</>
+              )}
+              {' • '}
+              {t(e.clearedAt ? 'alarmLog.cleared' : 'alarmLog.active')}
+              {e.acknowledgedAt ? t('alarmLog.acknowledged') : ''}
+            </div>
+            <div style={{ fontSize: 11, color: '#666' }}>
+              {t('alarmLog.raisedAt', { time: locale.dateTime(e.raisedAt) })}
+              {e.clearedAt && <> • {t('alarmLog.clearedAt', { time: locale.dateTime(e.clearedAt) })}</>}
+              {e.acknowledgedAt && <> • {t('alarmLog.ackAt', { time: locale.dateTime(e.acknowledgedAt) })}</>}
+              {e.acknowledgedBy && <> {t('alarmLog.by', { user: e.acknowledgedBy })}</>}
+            </div>
+            {(e.notes || []).map((n) => (
+              <div key={n.at} style={{ fontSize: 12, color: '#333' }}>
+                “{n.text}” — {n.by ?? t('alarmLog.unknownUser')}, {locale.dateTime(new Date(n.at))}
+              </div>
+            ))}
+            {noteFor === e.id ? (
+              <div style={{ display: 'flex', gap: 4, marginTop: 4 }}>
+                <input
+                  style={styles.noteInput}
+                  autoFocus
+                  value={note}
+                  onChange={(ev) => setNote(ev.target.value)}
+                  onKeyDown={(ev) => ev.key === 'Enter' && saveNote(e)}
+                />
+                <button style={styles.ackBtn} onClick={() => saveNote(e)}>{t('common.save')}</button>
+                <button style={styles.ackBtn} onClick={() => setNoteFor(null)}>{t('common.cancel')}</button>
+              </div>
+            ) : (
+              <div style={{ display: 'flex', gap: 4 }}>
+                {!e.acknowledgedAt && can(user?.role, 'acknowledge') && (
+                  <button style={styles.ackBtn} onClick={() => acknowledgeAlarm(e, user).catch((err) => console.error('Acknowledge error', err))}>{t('alarmLog.acknowledge')}</button>
+                )}
+                {can(user?.role, 'note') && (
+                  <button style={styles.ackBtn} onClick={() => { setNoteFor(e.id); setNote(''); }}>{t('alarmLog.addNote')}</button>
+                )}
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    height: '100%',
+    boxSizing: 'border-box',
+    display: 'flex',
+    flexDirection: 'column'
+  },
+  item: {
+    padding: 8,
+    borderBottom: '1px solid #f0f3f6'
+  },
+  ackBtn: {
+    marginTop: 4,
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  },
+  noteInput: {
+    flex: 1,
+    marginTop: 4,
+    padding: '2px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 6,
+    fontSize: 12
+  }
+};
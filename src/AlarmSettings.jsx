@@ -0,0 +1,143 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { DEFAULT_RULES } from './alarms';
+import { useLocale } from './locale';
+
+// `convert`: how the field changes with the unit system. Limits are
+// absolute values, rates and hysteresis are differences, counts stay put.
+const fields = [
+  { key: 'min', convert: 'value' },
+  { key: 'max', convert: 'value' },
+  { key: 'maxRate', convert: 'delta' },
+  { key: 'consecutive', convert: null },
+  { key: 'hysteresis', convert: 'delta' }
+];
+
+// Empty inputs mean "no limit"
+function toNumber(v) {
+  return v === '' || v === null || v === undefined ? null : Number(v);
+}
+
+// Editor for one machine's alarm rules. Rules are stored in metric units and
+// edited in the display units.
+export default function AlarmSettings({ rules, onSave, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+
+  // Rules as shown in the inputs
+  const shown = useCallback((source) => Object.fromEntries(Object.entries(source).map(([metric, rule]) => [
+    metric,
+    Object.fromEntries(fields.map(({ key, convert }) => [
+      key,
+      convert && typeof rule[key] === 'number' ? locale.value(metric, rule[key], { delta: convert === 'delta' }) : rule[key]
+    ]))
+  ])), [locale]);
+
+  const [draft, setDraft] = useState(() => shown(rules));
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => setDraft(shown(rules)), [rules, shown]);
+
+  function update(metric, key, value) {
+    setDraft({ ...draft, [metric]: { ...draft[metric], [key]: value } });
+  }
+
+  // Back to metric. Fields left at the stored (or default) value keep it
+  // exactly, so rounding for display never shifts a limit.
+  async function save() {
+    const unchanged = [rules, DEFAULT_RULES].map((source) => [source, shown(source)]);
+    const next = {};
+    for (const [metric, rule] of Object.entries(draft)) {
+      next[metric] = Object.fromEntries(fields.map(({ key, convert }) => {
+        const v = toNumber(rule[key]);
+        const kept = unchanged.find(([source, display]) => source[metric] && v === toNumber(display[metric][key]));
+        if (kept) return [key, kept[0][metric][key] ?? null];
+        return [key, convert && v !== null ? +locale.fromDisplay(metric, v, { delta: convert === 'delta' }).toFixed(6) : v];
+      }));
+    }
+    setSaving(true);
+    try {
+      await onSave(next);
+      onClose();
+    } catch (err) {
+      console.error('Save rules error', err);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('alarmRules.title')}</h3>
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.th}>{t('alarmRules.metric')}</th>
+            {fields.map((f) => <th key={f.key} style={styles.th}>{t(`alarmRules.${f.key}`)}</th>)}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(draft).map(([metric, rule]) => (
+            <tr key={metric}>
+              <td style={styles.td}>{locale.label(metric)} ({locale.unit(metric)})</td>
+              {fields.map((f) => (
+                <td key={f.key} style={styles.td}>
+                  <input
+                    type="number"
+                    style={styles.input}
+                    value={rule[f.key] ?? ''}
+                    onChange={(e) => update(metric, f.key, e.target.value)}
+                  />
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div style={{ display: 'flex', gap: 8, marginTop: 10 }}>
+        <button style={styles.btn} disabled={saving} onClick={save}>{t('common.save')}</button>
+        <button style={{ ...styles.btn, background: '#888' }} onClick={() => setDraft(shown(DEFAULT_RULES))}>
+          {t('alarmRules.reset')}
+        </button>
+        <button style={{ ...styles.btn, background: '#888' }} onClick={onClose}>{t('common.cancel')}</button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  table: {
+    borderCollapse: 'collapse',
+    width: '100%',
+    fontSize: 13
+  },
+  th: {
+    textAlign: 'left',
+    padding: 4,
+    borderBottom: '1px solid #e6eef7'
+  },
+  td: {
+    padding: 4
+  },
+  input: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '4px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 4
+  },
+  btn: {
+    padding: '8px 14px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { ANNOTATION_KINDS, addAnnotation } from './annotations';
+import { useLocale } from './locale';
+
+// Adds a note or event marker on one machine: about `record` when given,
+// else at a time entered in the display zone (empty = now). `onDone` is
+// called after adding, and on cancel when given.
+export default function AnnotationForm({ machineId, record = null, user, onDone, onCancel }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [kind, setKind] = useState('note');
+  const [at, setAt] = useState(''); // wall time in the display zone; '' = now
+  const [text, setText] = useState('');
+  const [error, setError] = useState('');
+
+  function submit() {
+    if (kind === 'note' && !text.trim()) {
+      setError(t('annotation.needsText'));
+      return;
+    }
+    const when = record ? record.createdAt : at ? locale.fromWallTime(at) : new Date();
+    if (!when || when > new Date()) {
+      setError(t('annotation.badTime'));
+      return;
+    }
+    setError('');
+    addAnnotation({ machineId, kind, at: when, text, record }, user)
+      .catch((err) => console.error('Annotation error', err));
+    setAt('');
+    setText('');
+    if (onDone) onDone();
+  }
+
+  return (
+    <div>
+      <div style={styles.form}>
+        <select style={styles.input} value={kind} onChange={(e) => setKind(e.target.value)}>
+          {ANNOTATION_KINDS.map((k) => <option key={k} value={k}>{t(`annotation.kind.${k}`)}</option>)}
+        </select>
+        {record ? (
+          <span style={{ fontSize: 12, color: '#666', alignSelf: 'center' }}>{t('annotation.onSample', { time: locale.dateTime(record.createdAt) })}</span>
+        ) : (
+          <input
+            type="datetime-local"
+            style={styles.input}
+            title={t('annotation.at')}
+            value={at}
+            onChange={(e) => setAt(e.target.value)}
+          />
+        )}
+        <input
+          style={{ ...styles.input, flex: 1, minWidth: 100 }}
+          placeholder={t(kind === 'note' ? 'annotation.text' : 'annotation.textOptional')}
+          autoFocus={!!record}
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && submit()}
+        />
+        <button style={styles.btn} onClick={submit}>{t('annotation.add')}</button>
+        {onCancel && <button style={{ ...styles.btn, color: '#666', borderColor: '#ddd' }} onClick={onCancel}>{t('common.cancel')}</button>}
+      </div>
+      {error && <div style={{ fontSize: 12, color: '#c92a2a' }}>{error}</div>}
+    </div>
+  );
+}
+
+const styles = {
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginBottom: 8
+  },
+  input: {
+    padding: '2px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 6,
+    fontSize: 12
+  },
+  btn: {
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,75 @@
+import React from 'react';
+import AnnotationForm from './AnnotationForm';
+import { ANNOTATION_COLORS, canRemoveAnnotation, removeAnnotation } from './annotations';
+import { can } from './auth';
+import { useLocale } from './locale';
+
+// Notes and event markers on one machine, newest first. Operators and up
+// can add them; `onShow(annotation)` opens the time around one in the chart.
+export default function AnnotationTimeline({ machineId, annotations, user, onShow }) {
+  const locale = useLocale();
+  const { t } = locale;
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('annotation.title')}</h3>
+      {can(user?.role, 'note') && <AnnotationForm machineId={machineId} user={user} />}
+
+      <div style={{ flex: 1, overflow: 'auto' }}>
+        {annotations.length === 0 && <div style={{ color: '#666' }}>{t('annotation.empty')}</div>}
+        {annotations.map((a) => (
+          <div key={a.id} style={{ ...styles.item, borderLeftColor: ANNOTATION_COLORS[a.kind] }}>
+            <div style={{ fontSize: 13 }}>
+              <strong style={{ color: ANNOTATION_COLORS[a.kind] }}>{t(`annotation.kind.${a.kind}`)}</strong>
+              {a.text && <> — {a.text}</>}
+            </div>
+            <div style={{ fontSize: 11, color: '#666' }}>
+              {locale.dateTime(a.at)}
+              {a.recordId && <> • {t('annotation.sample')}</>}
+              {a.by && <> {t('annotation.by', { user: a.by })}</>}
+            </div>
+            <div style={{ display: 'flex', gap: 4 }}>
+              <button style={styles.smallBtn} onClick={() => onShow(a)}>{t('annotation.showInChart')}</button>
+              {canRemoveAnnotation(a, user) && (
+                <button
+                  style={{ ...styles.smallBtn, color: '#c92a2a', borderColor: '#f5c6cb' }}
+                  onClick={() => removeAnnotation(a).catch((err) => console.error('Remove annotation error', err))}
+                >
+                  {t('annotation.remove')}
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    height: '100%',
+    boxSizing: 'border-box',
+    display: 'flex',
+    flexDirection: 'column'
+  },
+  item: {
+    padding: '6px 8px',
+    borderBottom: '1px solid #f0f3f6',
+    borderLeft: '3px solid transparent'
+  },
+  smallBtn: {
+    marginTop: 4,
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  }
+};
@@ -1,455 +1,708 @@
-import React, { useEffect, useState, useRef, useMemo } from 'react';
-import { db } from './firebaseConfig';
-
-// Import images from src/assets/
-import drillBit from './assets/drill-bit.png';
-import drillBody from './assets/drill-body.png';
-
-import {
-  collection,
-  addDoc,
-  serverTimestamp,
-  query,
-  orderBy,
-  limit,
-  onSnapshot
-} from 'firebase/firestore';
-
-// chart.js + react wrapper
-import { Line } from 'react-chartjs-2';
-import {
-  Chart as ChartJS,
-  LineElement,
-  PointElement,
-  CategoryScale,
-  LinearScale,
-  Title,
-  Tooltip,
-  Legend
-} from 'chart.js';
-ChartJS.register(LineElement, PointElement, CategoryScale, LinearScale, Title, Tooltip, Legend);
-
-// Global cycle counter for degradation simulation
-let cycle = 0;
-
-// Updated helper to create sensor values with degradation
-function makeRandomDrillValues() {
-  cycle++;
-  const degradationFactor = cycle / 1000; // Wear over 1000 cycles
-  return {
-    temp: +(20 + Math.random() * 60 + degradationFactor * 10).toFixed(2), // Temp rises
-    rpm: Math.round(5000 - degradationFactor * 1000), // RPM decreases
-    load: +(Math.random() * 30 + degradationFactor * 5).toFixed(2),
-    vibration: +(Math.random() * 10 + degradationFactor * 2).toFixed(3),
-    depth: +(Math.random() * 50).toFixed(2)
-  };
+import React, { useEffect, useMemo, useState, useRef, useCallback, lazy, Suspense } from 'react';
+import { dataSource, mqttFeed } from './dataSource';
+import { useMachines } from './machines';
+import { useAlarmRules, useAlarms } from './alarms';
+import { fetchRange } from './history';
+import { useLivePredictions, usePredictionHistory, useBackendHealth, RUL_ALERT_CYCLES } from './predictions';
+import FleetOverview from './FleetOverview';
+import TimeRangePicker from './TimeRangePicker';
+import TelemetryChart from './TelemetryChart';
+import SimulatorPanel from './SimulatorPanel';
+import ImportDialog from './ImportDialog';
+import ExportDialog from './ExportDialog';
+import ReplayControls from './ReplayControls';
+import { useReplay } from './replay';
+import { useConnection, useMqttStatus } from './connection';
+import { useWatchdog } from './watchdog';
+import { useAnomalies } from './anomaly';
+import { DERIVED_METRICS, useDerivedMetrics } from './derived';
+import { SAMPLE_METRICS } from './schema';
+import { useQuarantine } from './quarantine';
+import QuarantinePanel from './QuarantinePanel';
+import AlarmSettings from './AlarmSettings';
+import AlarmLog from './AlarmLog';
+import DashboardGrid from './DashboardGrid';
+import { kindOf, metricOf } from './layout';
+import MaintenanceLog from './MaintenanceLog';
+import ToolLifeReport from './ToolLifeReport';
+import { useMaintenanceLog, useToolCounters } from './maintenance';
+import JobControls from './JobControls';
+import JobsPanel from './JobsPanel';
+import StatisticsPanel from './StatisticsPanel';
+import SpectrumPanel from './SpectrumPanel';
+import AnnotationTimeline from './AnnotationTimeline';
+import AnnotationForm from './AnnotationForm';
+import { useAnnotations, splitAnnotations } from './annotations';
+import { useJobs, useRunningJobs } from './jobs';
+import NotificationSettings from './NotificationSettings';
+import { useNotifications, setNotificationPrefs, snoozeSound } from './notifications';
+import SignIn from './SignIn';
+import { useAuth, can, signOut } from './auth';
+import { config } from './config';
+import { LANGUAGES, UNIT_SYSTEMS, DISPLAY_TIME_ZONES, LocaleContext, useLocale, useLocaleFor, useLocalePrefs, setLocalePrefs, siteTimeZone } from './locale';
+
+// three.js is large, so the 3D view loads in its own chunk
+const DrillScene = lazy(() => import('./DrillScene'));
+
+const maxListItems = 200; // recent entries rendered in the side list
+const backendColors = { checking: '#888', up: '#28a745', down: '#f33' };
+const connectionColors = { online: '#28a745', syncing: '#fd7e14', offline: '#f33' };
+const mqttColors = { connected: '#28a745', connecting: '#fd7e14', offline: '#f33' };
+const relistenDelayMs = 5000; // before re-subscribing after a listener error
+
+// Average interval between records in seconds, or null with too few
+function samplingRateOf(records) {
+  const times = records
+    .map((r) => r.createdAt?.getTime())
+    .filter(Boolean)
+    .sort((a, b) => a - b);
+  if (times.length < 2) return null;
+  return (times[times.length - 1] - times[0]) / (times.length - 1) / 1000;
 }
 
-// Thresholds for alarming
-const thresholds = {
-  temp: 70,
-  rpm: 4000,
-  load: 20,
-  vibration: 5,
-  depth: 40
-};
-
-// Drill Visualization Component
-function DrillVisualization({ isActive, latest }) {
+export default function App() {
+  const auth = useAuth();
+  const locale = useLocaleFor(null);
+  if (auth.status === 'loading') return <div style={styles.app}>{locale.t('app.loading')}</div>;
+  if (auth.status === 'signedOut') {
+    return (
+      <LocaleContext value={locale}>
+        <div style={styles.app}><SignIn error={auth.error} /></div>
+      </LocaleContext>
+    );
+  }
+  return <Dashboard user={auth.user} />;
+}
+
+// Everything behind sign-in
+function Dashboard({ user }) {
+  const machines = useMachines();
+  const [machineId, setMachineId] = useState(null); // null = fleet overview
+  const machine = machines.find((m) => m.id === machineId);
+  const backend = useBackendHealth();
+  const connection = useConnection();
+  const mqttStatus = useMqttStatus();
+  // Times show in the open machine's site zone (or UTC); on the fleet
+  // overview each tile uses its own machine's zone
+  const locale = useLocaleFor(machine);
+  const { t } = locale;
+
+  // The MQTT feed follows machines' own topics from the registry
+  useEffect(() => {
+    mqttFeed?.setMachines(machines);
+  }, [machines]);
+
+  // ... and tags their samples with the job running on them
+  const runningJobs = useRunningJobs();
+  useEffect(() => {
+    mqttFeed?.setJobs(runningJobs);
+  }, [runningJobs]);
+
   return (
-    <div style={styles.drillContainer}>
-      <div style={styles.drillWrapper}>
-        <img
-          src={drillBody}
-          style={styles.drillBody}
-          alt="Drill Body"
-        />
-        <img
-          src={drillBit}
-          style={{
-            ...styles.drillBit,
-            animation: isActive ? 'spin 0.12s ease-in-out infinite alternate' : 'none'
-          }}
-          alt="Drill Bit"
-        />
-        {/* Metric Labels with Thin Arrows to Specific Parts */}
-        <div style={{ ...styles.metricLabel, ...styles.tempLabel, color: (latest.temp > thresholds.temp) ? 'red' : '#333' }}>
-          <span>Temperature: {latest.temp ?? 'N/A'} °C</span>
-        </div>
-        <div style={{ ...styles.metricLabel, ...styles.rpmLabel, color: (latest.rpm > thresholds.rpm) ? 'red' : '#333' }}>
-          <span>RPM: {latest.rpm ?? 'N/A'}</span>
-        </div>
-        <div style={{ ...styles.metricLabel, ...styles.loadLabel, color: (latest.load > thresholds.load) ? 'red' : '#333' }}>
-          <span>Load: {latest.load ?? 'N/A'} A</span>
-        </div>
-        <div style={{ ...styles.metricLabel, ...styles.vibrationLabel, color: (latest.vibration > thresholds.vibration) ? 'red' : '#333' }}>
-          <span>Vibration: {latest.vibration ?? 'N/A'} m/s²</span>
+    <LocaleContext value={locale}>
+    <div style={styles.app}>
+      <header style={styles.header}>
+        <div style={styles.titleRow}>
+          <h1 style={{ margin: 0 }}>{t('app.title')}</h1>
+          <LocaleSettings machine={machine} />
         </div>
-        <div style={{ ...styles.metricLabel, ...styles.depthLabel, color: (latest.depth > thresholds.depth) ? 'red' : '#333' }}>
-          <span>Depth: {latest.depth ?? 'N/A'} mm</span>
+        <div style={{ fontSize: 13, color: '#333' }}>
+          {machine ? (
+            <>
+              <button style={styles.backBtn} onClick={() => setMachineId(null)}>{t('app.fleet')}</button>
+              <strong>{machine.name}</strong>
+              {machine.location && <> • {machine.location}</>}
+              {machine.bitType && <> • {t('app.bit', { bit: machine.bitType })}</>}
+              {' • '}
+            </>
+          ) : (
+            <>{t('app.fleetOverview')} • </>
+          )}
+          {t('app.dataSource')} <code>{dataSource.name}</code>{' '}
+          <span style={{ color: connectionColors[connection.status] }}>● {t(`connection.${connection.status}`)}</span>
+          {connection.pending > 0 && <> {t('app.queued', { count: connection.pending })}</>}
+          {mqttStatus && (
+            <>
+              {' • '}{t('app.mqtt')}{' '}
+              <span style={{ color: mqttColors[mqttStatus] }}>● {t(`mqtt.${mqttStatus}`)}</span>
+            </>
+          )}
+          {' • '}{t('app.mlBackend')}{' '}
+          <span style={{ color: backendColors[backend.status] }}>● {t(`backend.${backend.status}`)}</span>
+          {backend.modelVersion && <> {t('app.model', { version: backend.modelVersion })}</>}
+          {' • '}
+          {user.email ?? t('app.localUser')} ({user.role})
+          {config.auth.mode === 'firebase' && (
+            <button style={{ ...styles.backBtn, marginLeft: 8 }} onClick={() => signOut()}>{t('app.signOut')}</button>
+          )}
         </div>
-      </div>
+      </header>
+
+      {machine ? (
+        <MachineDashboard key={machine.id} machine={machine} user={user} />
+      ) : (
+        <main style={styles.fleetMain}>
+          <FleetOverview onSelect={setMachineId} canManage={can(user.role, 'settings')} />
+        </main>
+      )}
+
+      <footer style={styles.footer}>
+        <small>{t('app.footer', { env: '.env', example: '.env.example' })}</small>
+      </footer>
     </div>
+    </LocaleContext>
   );
 }
 
-export default function App() {
-  const [records, setRecords] = useState([]); // latest docs from Firestore (desc)
-  const [status, setStatus] = useState('idle');
-  const [autoSending, setAutoSending] = useState(false);
-  const [isDrillAnimating, setIsDrillAnimating] = useState(false);
-  const autoRef = useRef(null);
-  const [selectedMetric, setSelectedMetric] = useState('temp');
-  const [samplingRate, setSamplingRate] = useState('N/A');
-  const chartRef = useRef(null);
-  const limitToShow = 50; // how many points to show in chart
-
-  // ML states
-  const [rulPrediction, setRulPrediction] = useState(null);
-  const [estimatedTemp, setEstimatedTemp] = useState(null);
-
-  // Trigger drill animation on new data
-  useEffect(() => {
-    if (records.length > 0) {
-      setIsDrillAnimating(true);
-      const timeout = setTimeout(() => setIsDrillAnimating(false), 1000); // Animate for 1 second
-      return () => clearTimeout(timeout);
-    }
-  }, [records]);
+// Language, unit system and time-zone pickers. Without a machine open,
+// 'site' means each machine's own zone.
+function LocaleSettings({ machine }) {
+  const prefs = useLocalePrefs();
+  const { t } = useLocale();
+  return (
+    <div style={styles.localeSettings}>
+      <label>
+        {t('settings.language')}{' '}
+        <select value={prefs.language} onChange={(e) => setLocalePrefs({ language: e.target.value })}>
+          {Object.entries(LANGUAGES).map(([id, name]) => <option key={id} value={id}>{name}</option>)}
+        </select>
+      </label>
+      <label>
+        {t('settings.units')}{' '}
+        <select value={prefs.units} onChange={(e) => setLocalePrefs({ units: e.target.value })}>
+          {UNIT_SYSTEMS.map((id) => <option key={id} value={id}>{t(`units.${id}`)}</option>)}
+        </select>
+      </label>
+      <label>
+        {t('settings.timeZone')}{' '}
+        <select value={prefs.timeZone} onChange={(e) => setLocalePrefs({ timeZone: e.target.value })}>
+          {DISPLAY_TIME_ZONES.map((id) => (
+            <option key={id} value={id}>
+              {id === 'utc' ? t('zone.utc') : machine ? t('zone.site', { zone: siteTimeZone(machine) }) : t('zone.perMachine')}
+            </option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+}
 
-  // send one random data point to Firestore
-  async function sendRandomToFirestore() {
+// Single-machine view, scoped to one rig's records
+function MachineDashboard({ machine, user }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [records, setRecords] = useState([]); // latest records from the data source (desc)
+  // Status line as a message key and params, so it follows language changes
+  const [status, setStatus] = useState({ key: 'status.idle' });
+  const [selectedMetrics, setSelectedMetrics] = useState(['temp']); // metrics overlaid on the chart
+  const [samplingRate, setSamplingRate] = useState(null); // seconds between samples
+  const [listenAttempt, setListenAttempt] = useState(0);
+  const chartRef = useRef(null);
+  const limitToShow = 50; // how many points to show in chart (live mode)
+
+  // History browsing: range is null in live mode, else { from, to }
+  const [range, setRange] = useState(null);
+  const [rangePreset, setRangePreset] = useState('live');
+  // Replaying an imported recording (oldest first); null when not replaying
+  const [replayRecords, setReplayRecords] = useState(null);
+  const replay = useReplay(replayRecords);
+  const [showImport, setShowImport] = useState(false);
+  const [showExport, setShowExport] = useState(false);
+  const live = !range && !replayRecords;
+
+  // Viewers only read: the alarm log and prediction history are written by
+  // operators' and admins' dashboards
+  const recorder = can(user.role, 'record');
+
+  // Live samples stopped arriving: grey out the cards and raise a data alarm
+  const watchdog = useWatchdog(records[0], samplingRate, live);
+
+  // Statistical anomalies; they run in the browser, so they keep working
+  // when the prediction backend is down
+  const anomalies = useAnomalies(records);
+
+  // ML predictions for the newest window; only live results are stored
+  const { rulPrediction, estimatedTemp, incomplete, unsaved } = useLivePredictions(machine.id, records, { persist: live && recorder });
+  // Stored predictions for the records on screen, by record id
+  const predictionHistory = usePredictionHistory(machine.id, range, limitToShow * 2);
+  const predictions = useMemo(() => new Map([...predictionHistory, ...unsaved]), [predictionHistory, unsaved]);
+
+  // Alarm rules and state
+  const [rules, saveRules] = useAlarmRules(machine.id);
+  const { series: alarmSeries, current: alarms, log: alarmLog } = useAlarms(machine.id, records, rules, {
+    logChanges: live && recorder,
+    watchdog: live ? watchdog : null,
+    anomalies: anomalies.series,
+    predictions
+  });
+  const [showSettings, setShowSettings] = useState(false);
+
+  // Desktop, sound and webhook notifications for live alarms. Webhooks go
+  // out from the dashboards that write the alarm log.
+  const notifications = useNotifications(machine, alarms, alarmLog, { enabled: live, webhooks: live && recorder });
+  const [showNotifications, setShowNotifications] = useState(false);
+
+  // Maintenance log; the newest bit change starts the current tool's counters
+  const maintenance = useMaintenanceLog(machine.id);
+  const lastBitChange = maintenance.find((e) => e.kind === 'bitChange') ?? null;
+  const toolCounters = useToolCounters(machine.id, lastBitChange?.at ?? null);
+  const [showToolLife, setShowToolLife] = useState(false);
+
+  // Drilling jobs; samples written while one runs are tagged with its id
+  const jobs = useJobs(machine.id);
+  const activeJob = jobs.find((j) => !j.endedAt) ?? null;
+  const [showJobs, setShowJobs] = useState(false);
+
+  // Operators' notes and event markers; one can be added to a sample from
+  // the recent-entries list
+  const annotations = useAnnotations(machine.id);
+  const [annotatingId, setAnnotatingId] = useState(null);
+
+  // Statistics and correlations of the samples on screen
+  const [showStatistics, setShowStatistics] = useState(false);
+
+  // FFT of the samples' vibration waveforms, where they carry one
+  const [showSpectrum, setShowSpectrum] = useState(false);
+
+  // Stored samples that failed the schema and are left out
+  const quarantined = useQuarantine(machine.id);
+  const [showQuarantine, setShowQuarantine] = useState(false);
+
+  // write one simulated sample to the data source
+  async function appendSample(values) {
     try {
-      const values = makeRandomDrillValues();
-      await addDoc(collection(db, 'drillData'), {
-        ...values,
-        createdAt: serverTimestamp()
-      });
-      setStatus('sent');
+      const write = dataSource.append({ ...values, machineId: machine.id, ...(activeJob ? { jobId: activeJob.id } : {}) });
+      // Offline, Firestore queues the write and resolves it after reconnecting
+      if (!navigator.onLine) setStatus({ key: 'status.queued' });
+      await write;
+      setStatus({ key: 'status.sent' });
     } catch (err) {
       console.error('Write error', err);
-      setStatus('error: ' + (err.message || err));
+      setStatus({ key: 'status.error', params: { error: err.message || err } });
     }
   }
 
-  // Start / Stop automatic sending
-  function startAutoSend(intervalMs = 5000) {
-    if (autoRef.current) return;
-    setAutoSending(true);
-    autoRef.current = setInterval(sendRandomToFirestore, intervalMs);
-    setStatus('auto-started');
-  }
-  function stopAutoSend() {
-    if (autoRef.current) {
-      clearInterval(autoRef.current);
-      autoRef.current = null;
-    }
-    setAutoSending(false);
-    setStatus('auto-stopped');
-  }
-
-  // Realtime listener: top N docs ordered by createdAt desc
+  // Realtime listener: newest N records, newest first. Off while browsing
+  // history or replaying; re-subscribes a few seconds after an error.
   useEffect(() => {
-    const q = query(collection(db, 'drillData'), orderBy('createdAt', 'desc'), limit(limitToShow));
-    const unsub = onSnapshot(
-      q,
-      (snap) => {
-        const arr = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    if (!live) return;
+    let retry = null;
+    const unsub = dataSource.subscribe(
+      { limit: limitToShow, machineId: machine.id },
+      (arr) => {
         setRecords(arr);
-
-        // Calculate sampling rate (average interval in seconds)
-        if (arr.length > 1) {
-          const times = arr
-            .map((r) => r.createdAt?.toDate()?.getTime())
-            .filter(Boolean)
-            .sort((a, b) => a - b);
-          if (times.length > 1) {
-            const diffs = times.slice(1).map((t, i) => t - times[i]);
-            const avgDiff = diffs.reduce((a, b) => a + b, 0) / diffs.length / 1000; // in seconds
-            setSamplingRate(avgDiff.toFixed(2) + ' s');
-          }
-        } else {
-          setSamplingRate('N/A');
-        }
+        setSamplingRate(samplingRateOf(arr));
       },
       (err) => {
         console.error('Listen error', err);
-        setStatus('listen-error: ' + (err.message || err));
+        setStatus({ key: 'status.listenError', params: { error: err.message || err } });
+        retry = setTimeout(() => setListenAttempt((n) => n + 1), relistenDelayMs);
       }
     );
-    return () => unsub();
-  }, []);
+    return () => {
+      clearTimeout(retry);
+      unsub();
+    };
+  }, [machine.id, live, listenAttempt]);
 
-  // ML Prediction useEffect
+  // History: page through the selected range
   useEffect(() => {
-    if (records.length >= 20) {
-      // Reverse to chronological order (oldest to newest)
-      const recentRecords = records.slice(0, 20).reverse();
-      // Prepare sequence with features
-      const sequence = recentRecords.map((r, i) => {
-        const temp = r.temp ?? 0;
-        const rpm = r.rpm ?? 0;
-        const load = r.load ?? 0;
-        const vibration = r.vibration ?? 0;
-        const depth = r.depth ?? 0;
-        const prevTemp = i > 0 ? recentRecords[i-1].temp ?? 0 : temp;
-        const tempChange = temp - prevTemp;
-        const torqueEst = (load * 9.55) / Math.max(rpm, 1);
-        return [temp, rpm, load, vibration, depth, tempChange, torqueEst];
+    if (!range) return;
+    const controller = new AbortController();
+    setRecords([]);
+    setStatus({ key: 'status.loadingHistory' });
+    fetchRange(
+      { ...range, machineId: machine.id },
+      {
+        signal: controller.signal,
+        onPage: (loaded) => {
+          if (!controller.signal.aborted) setStatus({ key: 'status.loadingHistoryCount', params: { count: loaded.length } });
+        }
+      }
+    )
+      .then((loaded) => {
+        if (controller.signal.aborted) return;
+        setRecords([...loaded].reverse());
+        setSamplingRate(samplingRateOf(loaded));
+        setStatus({ key: 'status.history', params: { count: loaded.length } });
+      })
+      .catch((err) => {
+        console.error('History error', err);
+        setStatus({ key: 'status.historyError', params: { error: err.message || err } });
       });
+    return () => controller.abort();
+  }, [machine.id, range]);
 
-      // RUL Prediction
-      const backendUrl = process.env.NODE_ENV === 'production'
-  ? 'https://drill-dashboard-backend.onrender.com/' // Replace with your actual Render URL
-  : 'http://localhost:5000';
-
-// RUL Prediction
-fetch(`${backendUrl}/predict_rul`, {
-  method: 'POST',
-  headers: { 'Content-Type': 'application/json' },
-  body: JSON.stringify({ sequence: [sequence] })  // Batch of 1
-})
-  .then(res => res.json())
-  .then(data => setRulPrediction(Math.round(data.rul)))
-  .catch(err => console.error('RUL error:', err));
-
-// Temp Estimation (exclude temp for input)
-const sequenceForEst = sequence.map(row => row.slice(1)).flat();
-fetch(`${backendUrl}/predict_temp`, {
-  method: 'POST',
-  headers: { 'Content-Type': 'application/json' },
-  body: JSON.stringify({ sequence: sequenceForEst })
-})
-  .then(res => res.json())
-  .then(data => setEstimatedTemp(data.temp_est.toFixed(2)))
-  .catch(err => console.error('Temp est error:', err));
-    }
-  }, [records]);
-
-  // Chart data derived from records
-  const chartData = useMemo(() => {
-    const points = [...records].reverse();
-    const labels = points.map((r) => {
-      try {
-        return r.createdAt && typeof r.createdAt.toDate === 'function'
-          ? r.createdAt.toDate().toLocaleTimeString()
-          : '';
-      } catch (e) {
-        return '';
-      }
-    });
-    let values = points.map((r) => (r[selectedMetric] !== undefined ? r[selectedMetric] : 0));
-    
-    // Handle ML metrics (placeholders if not available)
-    if (selectedMetric === 'rul') {
-      values = new Array(points.length).fill(rulPrediction || 0);
-    } else if (selectedMetric === 'estTemp') {
-      values = new Array(points.length).fill(estimatedTemp || 0);
-    }
+  // Replay: the records "received" so far, newest first, like the live listener
+  useEffect(() => {
+    if (!replayRecords) return;
+    const received = replayRecords.slice(Math.max(0, replay.position - limitToShow + 1), replay.position + 1);
+    setSamplingRate(samplingRateOf(received));
+    setRecords(received.reverse());
+  }, [replayRecords, replay.position]);
+
+  function startReplay(imported) {
+    setRange(null);
+    setRangePreset('live');
+    // Ids unique to this recording, so predictions of an earlier one don't match
+    const token = Date.now().toString(36);
+    setReplayRecords(imported.map((r, i) => ({ ...r, id: `replay-${token}-${i}`, machineId: machine.id })));
+    setShowImport(false);
+    setStatus({ key: 'status.replay', params: { count: imported.length } });
+  }
 
-    return {
-      labels: labels.length ? labels : [''],
-      datasets: [
-        {
-          label: selectedMetric,
-          data: values.length ? values : [0],
-          fill: false,
-          tension: 0.3,
-          pointRadius: 2
-        }
-      ]
-    };
-  }, [records, selectedMetric, rulPrediction, estimatedTemp]);
+  function stopReplay() {
+    setReplayRecords(null);
+    setStatus({ key: 'status.live' });
+  }
+
+  function changeRange(next, presetId) {
+    setReplayRecords(null);
+    setRange(next);
+    setRangePreset(presetId);
+  }
 
-  const chartOptions = {
-    responsive: true,
-    plugins: { legend: { display: false }, title: { display: true, text: `${selectedMetric} over time` } },
-    scales: { y: { beginAtZero: true } }
-  };
+  // A job's time span in the chart; a running one up to now
+  function showJob(job) {
+    changeRange({ from: job.startedAt, to: job.endedAt ?? new Date() }, 'custom');
+  }
+
+  // Quarter of an hour either side of an annotation
+  function showAnnotation(annotation) {
+    const at = annotation.at.getTime();
+    changeRange({ from: new Date(at - 15 * 60 * 1000), to: new Date(Math.min(at + 15 * 60 * 1000, Date.now())) }, 'custom');
+  }
+
+  // Panning back while live switches to history, starting an hour before the
+  // oldest live record
+  const onChartPan = useCallback(() => {
+    if (!live || records.length === 0) return;
+    const oldest = records[records.length - 1].createdAt;
+    if (!oldest) return;
+    setRange({ from: new Date(oldest.getTime() - 60 * 60 * 1000), to: new Date() });
+    setRangePreset('custom');
+  }, [live, records]);
+
+  // Torque, power, rate of penetration, ... for every record on screen
+  const derived = useDerivedMetrics(records);
+
+  // ML metrics come from the stored prediction for each record (or the
+  // unsaved one, when replaying); the residual is measured minus estimated
+  // temp. Derived metrics come from `derived`.
+  const chartValueOf = useCallback((r, metric) => {
+    const p = predictions.get(r.id);
+    if (metric === 'rul') return p?.rul ?? null;
+    if (metric === 'estTemp') return p?.estTemp ?? null;
+    if (metric === 'residual') return p?.estTemp !== undefined && typeof r.temp === 'number' ? +(r.temp - p.estTemp).toFixed(2) : null;
+    if (DERIVED_METRICS.includes(metric)) return derived.get(r.id)?.[metric] ?? null;
+    return r[metric];
+  }, [predictions, derived]);
+
+  // Cards toggle metrics in and out of the overlay chart; keep at least one
+  function toggleMetric(metric) {
+    if (!selectedMetrics.includes(metric)) setSelectedMetrics([...selectedMetrics, metric]);
+    else if (selectedMetrics.length > 1) setSelectedMetrics(selectedMetrics.filter((m) => m !== metric));
+  }
 
   // latest (most recent) values
   const latest = records[0] || {};
+  const latestAnomalies = anomalies.byRecord.get(latest.id) || [];
+  // Cards light up for a threshold alarm or an anomaly on the newest sample
+  const alertOf = (metric) => !!alarms[metric]?.active || latestAnomalies.some((a) => a.metric === metric);
 
   // Export chart as PNG (high resolution)
   function exportChart() {
     if (chartRef.current) {
       const link = document.createElement('a');
-      link.download = `${selectedMetric}-chart.png`;
+      link.download = `${selectedMetrics.join('-')}-chart.png`;
       link.href = chartRef.current.toBase64Image('image/png', 1.0);  // Full resolution
       link.click();
     }
   }
 
-  // Export data as CSV (updated with predictions and consistent time format)
-  function exportCSV() {
-    const csvHeader = 'Time,Temp,RPM,Load,Vibration,Depth,RUL_Pred,Temp_Est\n';
-    const csvRows = records.map((r, i) => {
-      const time = r.createdAt?.toDate()?.toLocaleString('en-GB', {
-        day: '2-digit',
-        month: '2-digit',
-        year: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        second: '2-digit'
-      }).replace(',', '') ?? '—';
-      const rul = (i === 0 && rulPrediction !== null) ? rulPrediction : '—';
-      const tempEst = (i === 0 && estimatedTemp !== null) ? estimatedTemp : '—';
-      return `${time},${r.temp ?? '—'},${r.rpm ?? '—'},${r.load ?? '—'},${r.vibration ?? '—'},${r.depth ?? '—'},${rul},${tempEst}`;
-    }).join('\n');
-    const csv = csvHeader + csvRows;
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.download = 'drill-data.csv';
-    link.href = url;
-    link.click();
+  // Value, alert and title of a metric's card
+  function cardOf(metric) {
+    const pending = t(incomplete ? 'cards.incomplete' : 'cards.calculating');
+    if (metric === 'rul') return { value: rulPrediction ?? pending, isAlert: rulPrediction !== null && rulPrediction < RUL_ALERT_CYCLES };
+    if (metric === 'estTemp') {
+      return { value: estimatedTemp ?? pending, isAlert: estimatedTemp !== null && Math.abs(estimatedTemp - (latest.temp ?? 0)) > 5 };
+    }
+    if (metric === 'residual') {
+      const residual = chartValueOf(latest, 'residual');
+      return { title: t('cards.residual'), value: residual, isAlert: Math.abs(residual ?? 0) > 5 };
+    }
+    // Cumulative depth counts from the oldest sample on screen
+    if (metric === 'cumulativeDepth') return { title: t('cards.windowDepth'), value: derived.get(latest.id)?.[metric] ?? undefined };
+    if (DERIVED_METRICS.includes(metric)) return { value: derived.get(latest.id)?.[metric] ?? undefined };
+    return { value: latest[metric], isAlert: alertOf(metric) };
   }
 
-  return (
-    <div style={styles.app}>
-      <style>
-        {`
-          @keyframes spin {
-            from { transform: rotate(-2deg); }
-            to { transform: rotate(2deg); }
-          }
-        `}
-      </style>
-      <header style={styles.header}>
-        <h1 style={{ margin: 0 }}>Drill Dashboard (React)</h1>
-        <div style={{ fontSize: 13, color: '#333' }}>Firestore: collection <code>drillData</code> • Live listener • ML Predictions</div>
-      </header>
-
-      <main style={styles.main}>
-        <div style={styles.contentWrapper}>
-          <section style={styles.controls}>
-            <button style={styles.btn} onClick={sendRandomToFirestore}>Send Random Data</button>
-            <button style={styles.btn} disabled={autoSending} onClick={() => startAutoSend(5000)}>
-              Start Auto (5s)
-            </button>
-            <button style={{ ...styles.btn, background: '#f33' }} disabled={!autoSending} onClick={stopAutoSend}>
-              Stop Auto
-            </button>
-            <button
-              style={{ ...styles.btn, background: '#888' }}
-              onClick={() => {
-                setRecords([]);
-                setStatus('cleared local UI');
-              }}
-            >
-              Clear Local UI
-            </button>
-            <button style={{ ...styles.btn, background: '#28a745' }} onClick={exportChart}>
-              Export Chart as PNG
-            </button>
-            <button style={{ ...styles.btn, background: '#17a2b8' }} onClick={exportCSV}>
-              Export Data as CSV
-            </button>
-          </section>
-
-          <section style={styles.cardsRow}>
-            <MetricCard
-              title="Temperature"
-              value={latest.temp}
-              unit="°C"
-              active={selectedMetric === 'temp'}
-              onClick={() => setSelectedMetric('temp')}
-              isAlert={latest.temp > thresholds.temp}
-            />
-            <MetricCard
-              title="RPM"
-              value={latest.rpm}
-              unit=""
-              active={selectedMetric === 'rpm'}
-              onClick={() => setSelectedMetric('rpm')}
-              isAlert={latest.rpm > thresholds.rpm}
-            />
-            <MetricCard
-              title="Load (A)"
-              value={latest.load}
-              unit="A"
-              active={selectedMetric === 'load'}
-              onClick={() => setSelectedMetric('load')}
-              isAlert={latest.load > thresholds.load}
-            />
-            <MetricCard
-              title="Vibration"
-              value={latest.vibration}
-              unit="m/s²"
-              active={selectedMetric === 'vibration'}
-              onClick={() => setSelectedMetric('vibration')}
-              isAlert={latest.vibration > thresholds.vibration}
-            />
-            <MetricCard
-              title="Depth"
-              value={latest.depth}
-              unit="mm"
-              active={selectedMetric === 'depth'}
-              onClick={() => setSelectedMetric('depth')}
-              isAlert={latest.depth > thresholds.depth}
-            />
-            {/* New ML Cards */}
-            <MetricCard
-              title="Predicted RUL"
-              value={rulPrediction ?? 'Calculating...'}
-              unit="cycles"
-              active={selectedMetric === 'rul'}
-              onClick={() => setSelectedMetric('rul')}
-              isAlert={rulPrediction !== null && rulPrediction < 50}
-            />
-            <MetricCard
-              title="Estimated Temp"
-              value={estimatedTemp ?? 'Calculating...'}
-              unit="°C"
-              active={selectedMetric === 'estTemp'}
-              onClick={() => setSelectedMetric('estTemp')}
-              isAlert={estimatedTemp !== null && Math.abs(estimatedTemp - (latest.temp ?? 0)) > 5}
-            />
-          </section>
-
-          <section style={styles.chartSection}>
-            <div style={styles.chartBox}>
-              <Line ref={chartRef} data={chartData} options={chartOptions} />
-            </div>
-            <aside style={styles.recentList}>
-              <h3 style={{ marginTop: 0 }}>Recent entries (newest first)</h3>
-              <div style={{ maxHeight: 360, overflow: 'auto' }}>
-                {records.length === 0 && <div style={{ color: '#666' }}>No records yet</div>}
-                {records.map((r) => (
-                  <div key={r.id} style={styles.listItem}>
-                    <div style={{ fontSize: 13 }}>
-                      <strong>{r.temp ?? '—'}</strong> °C • <strong>{r.rpm ?? '—'}</strong> RPM • <strong>{r.load ?? '—'}</strong> A • <strong>{r.vibration ?? '—'}</strong> m/s² • <strong>{r.depth ?? '—'}</strong> mm
-                    </div>
-                    <div style={{ fontSize: 11, color: '#666' }}>
-                      {r.createdAt && typeof r.createdAt.toDate === 'function' ? r.createdAt.toDate().toLocaleString() : '—'}
-                    </div>
+  // Annotations tied to a sample, for the recent-entries list
+  const notesByRecord = useMemo(() => splitAnnotations(annotations).byRecord, [annotations]);
+  const canAnnotate = can(user.role, 'note');
+
+  // Cards and the 3D view grey out while the data is stale
+  const staleStyle = watchdog.stale ? styles.stale : {};
+
+  // Content of one dashboard widget (see layout/widgets.js)
+  function renderWidget(id) {
+    if (kindOf(id) === 'card') {
+      const metric = metricOf(id);
+      return (
+        <div style={{ ...styles.fill, ...staleStyle }}>
+          <MetricCard
+            metric={metric}
+            {...cardOf(metric)}
+            active={selectedMetrics.includes(metric)}
+            onClick={() => toggleMetric(metric)}
+          />
+        </div>
+      );
+    }
+    if (id === 'chart') {
+      return (
+        <div style={styles.chartBox}>
+          <TelemetryChart
+            key={range ? `${range.from.getTime()}-${range.to.getTime()}` : replayRecords ? 'replay' : 'live'}
+            records={records}
+            metrics={selectedMetrics}
+            rules={rules}
+            alarmSeries={alarmSeries}
+            anomalySeries={anomalies.series}
+            annotations={annotations}
+            valueOf={chartValueOf}
+            chartRef={chartRef}
+            onPan={onChartPan}
+          />
+        </div>
+      );
+    }
+    if (id === 'recent') {
+      return (
+        <aside style={styles.recentList}>
+          <h3 style={{ marginTop: 0 }}>{t('list.title')}</h3>
+          <div style={{ flex: 1, overflow: 'auto' }}>
+            {records.length === 0 && <div style={{ color: '#666' }}>{t('list.empty')}</div>}
+            {records.slice(0, maxListItems).map((r) => (
+              <div key={r.id} style={styles.listItem}>
+                <div style={{ fontSize: 13 }}>
+                  {SAMPLE_METRICS.map((metric, i) => (
+                    <React.Fragment key={metric}>
+                      {i > 0 && ' • '}
+                      <strong>{r[metric] === undefined || r[metric] === null ? '—' : locale.number(locale.value(metric, r[metric]))}</strong> {locale.unit(metric)}
+                    </React.Fragment>
+                  ))}
+                </div>
+                <div style={{ fontSize: 11, color: '#666' }}>
+                  {locale.dateTime(r.createdAt)}
+                </div>
+                {anomalies.byRecord.has(r.id) && (
+                  <div style={{ fontSize: 11, color: '#fd7e14' }}>
+                    ⚠ {anomalies.byRecord.get(r.id).map(locale.anomaly).join(' • ')}
                   </div>
+                )}
+                {notesByRecord.has(r.id) && (
+                  <div style={{ fontSize: 11, color: '#495057' }}>
+                    📝 {notesByRecord.get(r.id).map((a) => (a.text ? `${t(`annotation.kind.${a.kind}`)}: ${a.text}` : t(`annotation.kind.${a.kind}`))).join(' • ')}
+                  </div>
+                )}
+                {canAnnotate && !replayRecords && (annotatingId === r.id ? (
+                  <AnnotationForm
+                    machineId={machine.id}
+                    record={r}
+                    user={user}
+                    onDone={() => setAnnotatingId(null)}
+                    onCancel={() => setAnnotatingId(null)}
+                  />
+                ) : (
+                  <button style={styles.noteBtn} onClick={() => setAnnotatingId(r.id)}>{t('annotation.annotate')}</button>
                 ))}
               </div>
-            </aside>
-          </section>
-
-          <div style={{ marginTop: 12, color: '#333' }}>
-            <small>Status: {status}</small>
-            <br />
-            <small>Sampling Rate: {samplingRate}</small>
+            ))}
+            {records.length > maxListItems && (
+              <div style={{ fontSize: 12, color: '#666', padding: 8 }}>
+                {t('list.more', { shown: maxListItems, total: records.length })}
+              </div>
+            )}
           </div>
+        </aside>
+      );
+    }
+    if (id === 'stats') {
+      return (
+        <div style={{ ...styles.panel, color: '#333' }}>
+          <small>{t('status.label', { status: t(status.key, status.params) })}</small>
+          {quarantined.length > 0 && (
+            <>
+              <br />
+              <small style={{ color: '#c92a2a' }}>
+                {t('status.quarantined', { count: quarantined.length })}{' '}
+                <button style={styles.backBtn} onClick={() => setShowQuarantine(!showQuarantine)}>{t('status.details')}</button>
+              </small>
+            </>
+          )}
+          <br />
+          <small>{t('status.samplingRate', { rate: samplingRate ? `${locale.number(+samplingRate.toFixed(2))} s` : t('common.na') })}</small>
+        </div>
+      );
+    }
+    if (id === 'drill') {
+      return (
+        <div style={{ ...styles.fill, ...staleStyle }}>
+          <Suspense fallback={<div style={{ color: '#666' }}>{t('scene.loading')}</div>}>
+            <DrillScene latest={latest} alarms={alarms} hotC={rules.temp.max ?? undefined} running={!watchdog.stale} />
+          </Suspense>
+        </div>
+      );
+    }
+    if (id === 'alarmLog') return <AlarmLog entries={alarmLog} user={user} />;
+    if (id === 'maintenance') {
+      return <MaintenanceLog machineId={machine.id} entries={maintenance} counters={toolCounters} rul={rulPrediction} user={user} />;
+    }
+    if (id === 'annotations') {
+      return <AnnotationTimeline machineId={machine.id} annotations={annotations} user={user} onShow={showAnnotation} />;
+    }
+    return null;
+  }
+
+  return (
+    <main style={styles.main}>
+      <section style={styles.controls}>
+        {can(user.role, 'clear') && (
+          <button
+            style={{ ...styles.btn, background: '#888' }}
+            onClick={() => {
+              setRecords([]);
+              setStatus({ key: 'status.cleared' });
+            }}
+          >
+            {t('controls.clear')}
+          </button>
+        )}
+        <button style={{ ...styles.btn, background: '#28a745' }} onClick={exportChart}>
+          {t('controls.exportChart')}
+        </button>
+        <button style={{ ...styles.btn, background: '#17a2b8' }} onClick={() => setShowExport(!showExport)}>
+          {t('controls.exportData')}
+        </button>
+        {can(user.role, 'settings') && (
+          <button style={{ ...styles.btn, background: '#6f42c1' }} onClick={() => setShowSettings(!showSettings)}>
+            {t('controls.alarmRules')}
+          </button>
+        )}
+        <button style={{ ...styles.btn, background: '#fd7e14' }} onClick={() => setShowImport(!showImport)}>
+          {t('controls.import')}
+        </button>
+        <button style={{ ...styles.btn, background: '#dc3545' }} onClick={() => setShowNotifications(!showNotifications)}>
+          {t('controls.notifications')}
+        </button>
+        <button style={{ ...styles.btn, background: '#20c997' }} onClick={() => setShowToolLife(!showToolLife)}>
+          {t('controls.toolLife')}
+        </button>
+        <button style={{ ...styles.btn, background: '#495057' }} onClick={() => setShowJobs(!showJobs)}>
+          {t('controls.jobs')}
+        </button>
+        <button style={{ ...styles.btn, background: '#1864ab' }} onClick={() => setShowStatistics(!showStatistics)}>
+          {t('controls.statistics')}
+        </button>
+        <button style={{ ...styles.btn, background: '#ae3ec9' }} onClick={() => setShowSpectrum(!showSpectrum)}>
+          {t('controls.spectrum')}
+        </button>
+        <JobControls machine={machine} job={activeJob} user={user} />
+      </section>
+
+      {notifications.alerting && (
+        <div style={styles.alertBanner}>
+          🔔 {t(notifications.alerting === 'escalated' ? 'banner.escalated' : 'banner.alarm')} — {t('banner.acknowledge')}
+          {notifications.silenced ? (
+            <>
+              {' '}{t('banner.soundOff')}{' '}
+              <button style={styles.backBtn} onClick={() => setNotificationPrefs({ sound: true, muted: false, snoozedUntil: null })}>
+                {t('banner.soundOn')}
+              </button>
+            </>
+          ) : (
+            <>
+              {' '}
+              <button style={styles.backBtn} onClick={() => setNotificationPrefs({ muted: true })}>{t('banner.mute')}</button>
+              <button style={styles.backBtn} onClick={() => snoozeSound(5)}>{t('banner.snooze', { minutes: 5 })}</button>
+              <button style={styles.backBtn} onClick={() => snoozeSound(15)}>{t('banner.snooze', { minutes: 15 })}</button>
+            </>
+          )}
         </div>
-        <DrillVisualization isActive={isDrillAnimating} latest={latest} />
-      </main>
+      )}
 
-      <footer style={styles.footer}>
-        <small>Tip: paste your Firebase config into <code>src/firebaseConfig.js</code></small>
-      </footer>
-    </div>
+      {showNotifications && (
+        <NotificationSettings
+          machine={machine}
+          canEdit={can(user.role, 'settings')}
+          onClose={() => setShowNotifications(false)}
+        />
+      )}
+
+      {showExport && (
+        <ExportDialog
+          machineId={machine.id}
+          range={range}
+          records={records}
+          predictions={predictions}
+          annotations={annotations}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {showImport && (
+        <ImportDialog
+          machineId={machine.id}
+          canLoad={can(user.role, 'import')}
+          onReplay={startReplay}
+          onClose={() => setShowImport(false)}
+        />
+      )}
+
+      {showSettings && can(user.role, 'settings') && (
+        <AlarmSettings rules={rules} onSave={saveRules} onClose={() => setShowSettings(false)} />
+      )}
+
+      {showJobs && <JobsPanel jobs={jobs} alarmLog={alarmLog} onShow={showJob} onClose={() => setShowJobs(false)} />}
+
+      {showStatistics && <StatisticsPanel records={records} valueOf={chartValueOf} onClose={() => setShowStatistics(false)} />}
+
+      {showSpectrum && <SpectrumPanel records={records} onClose={() => setShowSpectrum(false)} />}
+
+      {showToolLife && <ToolLifeReport machineId={machine.id} entries={maintenance} onClose={() => setShowToolLife(false)} />}
+
+      {showQuarantine && <QuarantinePanel records={quarantined} onClose={() => setShowQuarantine(false)} />}
+
+      {can(user.role, 'simulate') && <SimulatorPanel onSample={appendSample} bitChangeId={lastBitChange?.id ?? null} />}
+
+      {replayRecords ? (
+        <ReplayControls replay={replay} records={replayRecords} onStop={stopReplay} />
+      ) : (
+        <TimeRangePicker range={range} presetId={rangePreset} onChange={changeRange} />
+      )}
+
+      {watchdog.stale && (
+        <div style={styles.staleBanner}>
+          {t('banner.stale', { silent: watchdog.silentFor, threshold: Math.round(watchdog.threshold) })}
+        </div>
+      )}
+
+      <DashboardGrid user={user} renderWidget={renderWidget} />
+    </main>
   );
 }
 
-function MetricCard({ title, value, unit, active, onClick, isAlert }) {
+// Numbers show in the display unit; strings (e.g. 'Calculating...') as is.
+// `title` defaults to the metric's label.
+function MetricCard({ metric, title, value, active, onClick, isAlert }) {
+  const locale = useLocale();
   return (
     <div onClick={onClick} style={{ ...styles.card, borderColor: active ? '#007bff' : '#eee' }}>
-      <div style={{ fontSize: 22, fontWeight: 700, color: isAlert ? 'red' : '#000' }}>{value !== undefined ? value : 'N/A'} {unit}</div>
-      <div style={{ color: '#666' }}>{title}</div>
+      <div style={{ fontSize: 22, fontWeight: 700, color: isAlert ? 'red' : '#000' }}>
+        {typeof value === 'string' ? value : value !== undefined && value !== null ? locale.format(metric, value) : locale.t('common.na')}
+      </div>
+      <div style={{ color: '#666' }}>{title ?? locale.label(metric)}</div>
     </div>
   );
 }
@@ -466,19 +719,36 @@ const styles = {
     borderBottom: '1px solid #e6eef7', 
     background: '#fff' 
   },
-  main: { 
-    display: 'grid', 
-    gridTemplateColumns: '1fr 1fr', 
-    gap: 20, 
-    padding: 20, 
+  titleRow: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 12
+  },
+  localeSettings: {
+    display: 'flex',
+    gap: 12,
+    fontSize: 13,
+    color: '#333'
+  },
+  fleetMain: {
+    padding: 20
+  },
+  backBtn: {
+    marginRight: 8,
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    cursor: 'pointer'
+  },
+  main: {
+    padding: 20,
     maxWidth: '100vw',
     boxSizing: 'border-box'
   },
-  contentWrapper: {
-    maxHeight: 'calc(100vh - 120px)', // Subtract header and footer height
-    overflowY: 'auto',
-    paddingRight: 10
-  },
   controls: { 
     display: 'flex', 
     gap: 10, 
@@ -493,14 +763,32 @@ const styles = {
     borderRadius: 8, 
     cursor: 'pointer' 
   },
-  cardsRow: { 
-    display: 'flex', 
-    gap: 12, 
-    marginBottom: 18, 
-    flexWrap: 'wrap' 
+  staleBanner: {
+    marginBottom: 10,
+    padding: '8px 12px',
+    background: '#fff3cd',
+    color: '#856404',
+    border: '1px solid #ffeeba',
+    borderRadius: 8,
+    fontSize: 13
+  },
+  alertBanner: {
+    marginBottom: 10,
+    padding: '8px 12px',
+    background: '#f8d7da',
+    color: '#721c24',
+    border: '1px solid #f5c6cb',
+    borderRadius: 8,
+    fontSize: 13
+  },
+  stale: {
+    opacity: 0.45,
+    filter: 'grayscale(1)'
   },
-  card: { 
-    flex: '1 1 180px', 
+  card: {
+    height: '100%',
+    boxSizing: 'border-box',
+    overflow: 'hidden',
     background: '#fff', 
     padding: 14, 
     borderRadius: 10, 
@@ -508,19 +796,34 @@ const styles = {
     boxShadow: '0 4px 12px rgba(10,20,40,0.04)', 
     cursor: 'pointer' 
   },
-  chartSection: { 
-    display: 'grid', 
-    gridTemplateColumns: '1fr 360px', 
-    gap: 16, 
-    alignItems: 'start' 
+  // Widget bodies fill their grid cell
+  fill: {
+    height: '100%'
   },
-  chartBox: { 
+  panel: {
+    height: '100%',
+    boxSizing: 'border-box',
+    overflow: 'auto',
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)'
+  },
+  chartBox: {
+    height: '100%',
+    boxSizing: 'border-box',
+    display: 'flex',
+    flexDirection: 'column',
     background: '#fff', 
     padding: 12, 
     borderRadius: 10, 
     boxShadow: '0 6px 18px rgba(10,20,40,0.04)' 
   },
-  recentList: { 
+  recentList: {
+    height: '100%',
+    boxSizing: 'border-box',
+    display: 'flex',
+    flexDirection: 'column',
     background: '#fff', 
     padding: 12, 
     borderRadius: 10, 
@@ -530,80 +833,17 @@ const styles = {
     padding: 8, 
     borderBottom: '1px solid #f0f3f6' 
   },
+  noteBtn: {
+    padding: 0,
+    background: 'none',
+    border: 'none',
+    color: '#007bff',
+    fontSize: 11,
+    cursor: 'pointer'
+  },
   footer: { 
     padding: 20, 
     textAlign: 'center', 
     color: '#666' 
-  },
-  drillContainer: {
-    position: 'fixed',
-    right: 0,
-    top: 80, // Below header
-    width: '50vw',
-    height: 'calc(100vh - 120px)', // Subtract header and footer height
-    display: 'flex',
-    justifyContent: 'center',
-    alignItems: 'center'
-  },
-  drillWrapper: { 
-    width: 250, 
-    height: 200, 
-    position: 'relative', 
-    display: 'flex', 
-    justifyContent: 'center', 
-    alignItems: 'center',
-    background: '#fff',
-    borderRadius: 10,
-    boxShadow: '0 6px 18px rgba(10,20,40,0.04)'
-  },
-  drillBody: { 
-    width: 250, 
-    height: 200, 
-    position: 'absolute', 
-    top: 0, 
-    left: 0, 
-    zIndex: 1 
-  },
-  drillBit: { 
-    width: 80, 
-    height: 60, 
-    position: 'absolute', 
-    top: 16, 
-    left: '-18%', 
-    zIndex: 0 
-  },
-  metricLabel: {
-    position: 'absolute',
-    display: 'flex',
-    alignItems: 'center',
-    background: 'rgba(255, 255, 255, 0.9)',
-    padding: '5px 10px',
-    borderRadius: 5,
-    fontSize: 12,
-    fontWeight: 500,
-    boxShadow: '0 2px 4px rgba(0,0,0,0.1)',
-    zIndex: 2
-  },
-  tempLabel: {
-    top: '5%',   // top of drill body
-    left: '50%',
-    transform: 'translateX(-50%)'
-  },
-  rpmLabel: {
-    top: '30%',  // front, near drill bit
-    left: '-140px'
-  },
-  vibrationLabel: {
-    top: '45%',  // handle grip
-    right: '-140px'
-  },
-  loadLabel: {
-    bottom: '10%', // bottom near power cord
-    right: '-140px'
-  },
-  depthLabel: {
-    top: '80%', // near drill bit tip
-    left: '-140px'
   }
-  // Note: CSS for ::after pseudo-elements removed for brevity; add back if needed
 };
\ No newline at end of file
@@ -0,0 +1,229 @@
+import React, { useMemo, useState } from 'react';
+import { Responsive, useContainerWidth } from 'react-grid-layout';
+import 'react-grid-layout/css/styles.css';
+import 'react-resizable/css/styles.css';
+import {
+  BREAKPOINTS,
+  COLS,
+  ROW_HEIGHT,
+  WIDGET_KINDS,
+  WIDGET_IDS,
+  kindOf,
+  metricOf,
+  defaultLayouts,
+  cleanLayouts,
+  widgetsOf,
+  addWidget,
+  removeWidget,
+  useDashboardViews,
+  saveDashboardView,
+  removeDashboardView,
+  useCurrentLayout,
+  setCurrentLayout
+} from './layout';
+import { useLocale } from './locale';
+
+// Grid of widgets the user can add, remove, move and resize (in edit mode),
+// with named views saved per user. `renderWidget(id)` draws a widget's
+// content; see layout/widgets.js for the ids.
+export default function DashboardGrid({ user, renderWidget }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const views = useDashboardViews(user);
+  const { viewId, layouts } = useCurrentLayout(user.uid);
+  const view = views.find((v) => v.id === viewId) ?? null;
+  const [editing, setEditing] = useState(false);
+  const [newName, setNewName] = useState(null); // "Save as" name; null while closed
+  const { width, containerRef, mounted } = useContainerWidth();
+
+  const update = (next) => setCurrentLayout(user.uid, next);
+  const shown = widgetsOf(layouts);
+  const addable = WIDGET_IDS.filter((id) => !shown.includes(id));
+  const changed = JSON.stringify(layouts) !== JSON.stringify(view ? view.layouts : defaultLayouts());
+
+  const titleOf = (id) => (kindOf(id) === 'card' ? locale.label(metricOf(id)) : t(`widget.${id}`));
+
+  // Grid items with their kind's minimum size
+  const gridLayouts = useMemo(() => Object.fromEntries(Object.entries(layouts).map(([bp, items]) => [
+    bp,
+    items.map((item) => {
+      const [minW, minH] = WIDGET_KINDS[kindOf(item.i)].min;
+      return { ...item, minW: Math.min(minW, COLS[bp]), minH };
+    })
+  ])), [layouts]);
+
+  function changeLayouts(all) {
+    const next = cleanLayouts(all);
+    if (JSON.stringify(next) !== JSON.stringify(layouts)) update({ layouts: next });
+  }
+
+  function selectView(id) {
+    const picked = views.find((v) => v.id === id);
+    update({ viewId: picked?.id ?? null, layouts: picked ? picked.layouts : defaultLayouts() });
+  }
+
+  async function saveAs() {
+    const name = newName.trim();
+    if (!name) return;
+    try {
+      const id = await saveDashboardView({ name, layouts });
+      update({ viewId: id });
+      setNewName(null);
+    } catch (err) {
+      console.error('Save view error', err);
+    }
+  }
+
+  function save() {
+    saveDashboardView({ id: view.id, name: view.name, layouts }).catch((err) => console.error('Save view error', err));
+  }
+
+  function remove() {
+    removeDashboardView(view.id).catch((err) => console.error('Delete view error', err));
+    update({ viewId: null });
+  }
+
+  return (
+    <div>
+      <div style={styles.toolbar}>
+        <label>
+          {t('layout.view')}{' '}
+          <select style={styles.input} value={view?.id ?? ''} onChange={(e) => selectView(e.target.value)}>
+            <option value="">{t('layout.default')}</option>
+            {views.map((v) => <option key={v.id} value={v.id}>{v.name}</option>)}
+          </select>
+        </label>
+        {changed && <span style={{ color: '#666' }}>{t('layout.unsaved')}</span>}
+        <button style={{ ...styles.btn, ...(editing ? styles.active : {}) }} onClick={() => setEditing(!editing)}>
+          {t(editing ? 'layout.done' : 'layout.edit')}
+        </button>
+        {editing && (
+          <>
+            <select style={styles.input} value="" disabled={!addable.length} onChange={(e) => update({ layouts: addWidget(layouts, e.target.value) })}>
+              <option value="">{t('layout.add')}</option>
+              {addable.map((id) => <option key={id} value={id}>{titleOf(id)}</option>)}
+            </select>
+            {view && <button style={styles.btn} disabled={!changed} onClick={save}>{t('layout.save', { name: view.name })}</button>}
+            {newName === null ? (
+              <button style={styles.btn} onClick={() => setNewName('')}>{t('layout.saveAs')}</button>
+            ) : (
+              <>
+                <input
+                  style={styles.input}
+                  autoFocus
+                  placeholder={t('layout.name')}
+                  value={newName}
+                  onChange={(e) => setNewName(e.target.value)}
+                  onKeyDown={(e) => e.key === 'Enter' && saveAs()}
+                />
+                <button style={styles.btn} disabled={!newName.trim()} onClick={saveAs}>{t('common.save')}</button>
+                <button style={styles.btn} onClick={() => setNewName(null)}>{t('common.cancel')}</button>
+              </>
+            )}
+            {view && <button style={styles.btn} onClick={remove}>{t('layout.delete')}</button>}
+            <button style={styles.btn} onClick={() => update({ layouts: defaultLayouts() })}>{t('layout.reset')}</button>
+          </>
+        )}
+      </div>
+
+      <div ref={containerRef}>
+        {mounted && (
+          <Responsive
+            width={width}
+            layouts={gridLayouts}
+            breakpoints={BREAKPOINTS}
+            cols={COLS}
+            rowHeight={ROW_HEIGHT}
+            margin={[12, 12]}
+            containerPadding={[0, 0]}
+            dragConfig={{ enabled: editing, handle: '.widget-handle', cancel: '.widget-remove' }}
+            resizeConfig={{ enabled: editing }}
+            onLayoutChange={(layout, all) => changeLayouts(all)}
+          >
+            {shown.map((id) => (
+              <div key={id} style={{ ...styles.widget, ...(editing ? styles.editing : {}) }}>
+                {editing && (
+                  <div className="widget-handle" style={styles.handle}>
+                    <span>⠿ {titleOf(id)}</span>
+                    <button
+                      className="widget-remove"
+                      style={styles.remove}
+                      title={t('layout.remove')}
+                      onClick={() => update({ layouts: removeWidget(layouts, id) })}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                )}
+                <div style={styles.body}>{renderWidget(id)}</div>
+              </div>
+            ))}
+          </Responsive>
+        )}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  toolbar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+    marginBottom: 10,
+    fontSize: 13,
+    color: '#333'
+  },
+  input: {
+    padding: '4px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 4
+  },
+  btn: {
+    padding: '4px 10px',
+    background: '#fff',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 13,
+    cursor: 'pointer'
+  },
+  active: {
+    background: '#007bff',
+    color: '#fff'
+  },
+  widget: {
+    display: 'flex',
+    flexDirection: 'column',
+    boxSizing: 'border-box'
+  },
+  editing: {
+    outline: '2px dashed #cfe2ff',
+    borderRadius: 10
+  },
+  handle: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '2px 8px',
+    background: '#e7f1ff',
+    borderRadius: '8px 8px 0 0',
+    fontSize: 12,
+    color: '#333',
+    cursor: 'move'
+  },
+  remove: {
+    background: 'none',
+    border: 'none',
+    color: '#c92a2a',
+    cursor: 'pointer'
+  },
+  // Widgets fill their cell; their own content scrolls
+  body: {
+    flex: 1,
+    minHeight: 0,
+    display: 'flex',
+    flexDirection: 'column'
+  }
+};
@@ -0,0 +1,147 @@
+import React, { useRef } from 'react';
+import { Canvas, useFrame } from '@react-three/fiber';
+import { Html, OrbitControls } from '@react-three/drei';
+import { Color } from 'three';
+import { useLocale } from './locale';
+
+// Scene units: the workpiece top is y = 0 and the bit is 1 unit long
+const BIT_LENGTH = 1;
+const DEPTH_RANGE_MM = 40; // depth at which the bit is fully in the workpiece
+const CLEARANCE = 0.05; // gap between tip and workpiece at zero depth
+const SHAKE_PER_MS2 = 0.01; // shake amplitude per m/s² of vibration
+const COLD_C = 25;
+const MIN_HEAT_SPAN_C = 5; // a temp limit at or below COLD_C still gets a scale
+
+const cold = new Color('#4a6fa5');
+const warm = new Color('#f2c14e');
+const hot = new Color('#d62828');
+
+// Body colour from cold blue through yellow to red at `hotC` and above
+function heatColor(temp, hotC) {
+  if (typeof temp !== 'number') return '#9aa5b1';
+  const span = Math.max(hotC - COLD_C, MIN_HEAT_SPAN_C);
+  const t = Math.min(Math.max((temp - COLD_C) / span, 0), 1);
+  const c = t < 0.5 ? new Color().lerpColors(cold, warm, t * 2) : new Color().lerpColors(warm, hot, (t - 0.5) * 2);
+  return `#${c.getHexString()}`;
+}
+
+// The text is built out here: Canvas passes context on to its children,
+// but Html renders its own into a separate DOM root
+function Callout({ position, metric, value, alarm }) {
+  const locale = useLocale();
+  const known = value !== undefined && value !== null;
+  return (
+    <Html position={position} style={{ pointerEvents: 'none' }}>
+      <div style={{ ...styles.callout, color: alarm ? 'red' : '#333', borderColor: alarm ? 'red' : '#ccc' }}>
+        {locale.label(metric)}: {known ? locale.format(metric, value) : locale.t('common.na')}
+      </div>
+    </Html>
+  );
+}
+
+// Spindle, chuck and bit. The bit turns at the sampled rpm, the whole tool
+// shakes with the vibration and sinks into the workpiece with the depth.
+function Drill({ latest, alarms, hotC, running }) {
+  const toolRef = useRef(null);
+  const bitRef = useRef(null);
+
+  useFrame(({ clock }, delta) => {
+    const rpm = running && typeof latest.rpm === 'number' ? latest.rpm : 0;
+    // Clockwise seen from above
+    bitRef.current.rotation.y -= (rpm / 60) * 2 * Math.PI * delta;
+
+    const depth = typeof latest.depth === 'number' ? latest.depth : 0;
+    const targetY = CLEARANCE - Math.min(depth / DEPTH_RANGE_MM, 1) * BIT_LENGTH;
+    const tool = toolRef.current.position;
+    tool.y += (targetY - tool.y) * Math.min(delta * 5, 1); // ease towards the new depth
+
+    const amp = running && typeof latest.vibration === 'number' ? latest.vibration * SHAKE_PER_MS2 : 0;
+    const t = clock.elapsedTime;
+    tool.x = Math.sin(t * 97) * amp;
+    tool.z = Math.cos(t * 83) * amp;
+  });
+
+  const alarm = (metric) => !!alarms[metric]?.active;
+
+  return (
+    <group ref={toolRef} position={[0, CLEARANCE, 0]}>
+      <group ref={bitRef}>
+        {/* Body with two flutes, tip pointing down at y = 0 */}
+        <mesh position={[0, BIT_LENGTH / 2 + 0.07, 0]}>
+          <cylinderGeometry args={[0.06, 0.06, BIT_LENGTH - 0.14, 16]} />
+          <meshStandardMaterial color="#c0c6cc" metalness={0.8} roughness={0.3} />
+        </mesh>
+        <mesh position={[0, BIT_LENGTH / 2 + 0.07, 0]}>
+          <boxGeometry args={[0.15, BIT_LENGTH - 0.14, 0.02]} />
+          <meshStandardMaterial color="#8a939b" metalness={0.8} roughness={0.4} />
+        </mesh>
+        <mesh position={[0, 0.07, 0]} rotation={[Math.PI, 0, 0]}>
+          <coneGeometry args={[0.06, 0.14, 16]} />
+          <meshStandardMaterial color="#c0c6cc" metalness={0.8} roughness={0.3} />
+        </mesh>
+      </group>
+
+      <mesh position={[0, BIT_LENGTH + 0.15, 0]}>
+        <cylinderGeometry args={[0.16, 0.2, 0.3, 24]} />
+        <meshStandardMaterial color="#555" metalness={0.6} roughness={0.4} />
+      </mesh>
+      <mesh position={[0, BIT_LENGTH + 0.9, 0]}>
+        <cylinderGeometry args={[0.45, 0.45, 1.2, 32]} />
+        <meshStandardMaterial color={heatColor(latest.temp, hotC)} roughness={0.5} />
+      </mesh>
+      <mesh position={[0, BIT_LENGTH + 1.65, 0]}>
+        <cylinderGeometry args={[0.35, 0.4, 0.3, 32]} />
+        <meshStandardMaterial color="#343a40" roughness={0.6} />
+      </mesh>
+
+      <Callout position={[0.5, BIT_LENGTH + 1.2, 0]} metric="temp" value={latest.temp} alarm={alarm('temp')} />
+      <Callout position={[0.5, BIT_LENGTH + 0.7, 0]} metric="vibration" value={latest.vibration} alarm={alarm('vibration')} />
+      <Callout position={[0.4, BIT_LENGTH + 1.75, 0]} metric="load" value={latest.load} alarm={alarm('load')} />
+      <Callout position={[0.25, BIT_LENGTH + 0.15, 0]} metric="rpm" value={latest.rpm} alarm={alarm('rpm')} />
+    </group>
+  );
+}
+
+// 3D view of one rig's newest sample. `running` is false while the data is
+// stale, which stops the spin and shake; `hotC` is the fully red temperature.
+export default function DrillScene({ latest, alarms, hotC = 70, running = true }) {
+  return (
+    <div style={styles.scene}>
+      <Canvas camera={{ position: [3, 2.5, 4], fov: 45 }}>
+        <ambientLight intensity={0.6} />
+        <directionalLight position={[4, 6, 3]} intensity={1.4} />
+        <Drill latest={latest} alarms={alarms} hotC={hotC} running={running} />
+
+        {/* Workpiece: translucent so the bit stays visible inside the hole */}
+        <mesh position={[0, -0.5, 0]}>
+          <boxGeometry args={[2.4, 1, 2.4]} />
+          <meshStandardMaterial color="#8d99ae" transparent opacity={0.55} />
+        </mesh>
+        <Callout position={[-1.2, 0, 1.2]} metric="depth" value={latest.depth} alarm={!!alarms.depth?.active} />
+
+        <OrbitControls target={[0, 1, 0]} enablePan={false} minDistance={2.5} maxDistance={12} />
+      </Canvas>
+    </div>
+  );
+}
+
+const styles = {
+  scene: {
+    width: '100%',
+    height: '100%',
+    background: '#fff',
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    overflow: 'hidden'
+  },
+  callout: {
+    whiteSpace: 'nowrap',
+    background: 'rgba(255, 255, 255, 0.9)',
+    padding: '4px 8px',
+    border: '1px solid #ccc',
+    borderRadius: 5,
+    fontSize: 12,
+    fontWeight: 500,
+    boxShadow: '0 2px 4px rgba(0,0,0,0.1)'
+  }
+};
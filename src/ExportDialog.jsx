@@ -0,0 +1,135 @@
+import React, { useRef, useState } from 'react';
+import TimeRangePicker from './TimeRangePicker';
+import { useLocale } from './locale';
+import { EXPORT_FORMATS, EXPORT_METRICS, exportTelemetry, exportFileName, downloadBlob } from './exporters';
+
+// Export a time range (or the records on screen) as CSV, JSON Lines or XLSX.
+// `records` are the on-screen records (newest first) with their `predictions`,
+// `annotations` the machine's notes and event markers. Values and times are
+// written in the display units and time zone.
+export default function ExportDialog({ machineId, range: initialRange, records, predictions, annotations, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [range, setRange] = useState(initialRange);
+  const [presetId, setPresetId] = useState(initialRange ? 'custom' : 'live');
+  const [format, setFormat] = useState('csv');
+  const [metrics, setMetrics] = useState(EXPORT_METRICS);
+  const [withNotes, setWithNotes] = useState(true);
+  const [status, setStatus] = useState('');
+  const [busy, setBusy] = useState(false);
+  const controllerRef = useRef(null);
+
+  function toggle(metric) {
+    setMetrics(metrics.includes(metric)
+      ? metrics.filter((m) => m !== metric)
+      : EXPORT_METRICS.filter((m) => m === metric || metrics.includes(m)));
+  }
+
+  async function run() {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setBusy(true);
+    setStatus(t('export.running'));
+    try {
+      const { blob, count } = await exportTelemetry({
+        machineId,
+        range,
+        records,
+        predictions,
+        annotations: withNotes ? annotations : null,
+        format,
+        metrics,
+        locale,
+        signal: controller.signal,
+        onProgress: (n) => setStatus(t('export.progress', { count: n }))
+      });
+      // On-screen exports are named after the span of the records themselves
+      const from = range?.from ?? records[records.length - 1]?.createdAt ?? new Date();
+      const to = range?.to ?? records[0]?.createdAt ?? new Date();
+      downloadBlob(blob, exportFileName(machineId, from, to, format));
+      setStatus(t('export.done', { count }));
+    } catch (err) {
+      if (err.name === 'AbortError') setStatus(t('export.cancelled'));
+      else {
+        console.error('Export error', err);
+        setStatus(t('export.failed', { error: err.message || err }));
+      }
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('export.title')}</h3>
+      <TimeRangePicker
+        range={range}
+        presetId={presetId}
+        liveLabel={t('export.onScreen')}
+        onChange={(next, id) => {
+          setRange(next);
+          setPresetId(id);
+        }}
+      />
+
+      <div style={styles.row}>
+        {EXPORT_METRICS.map((m) => (
+          <label key={m} style={{ fontSize: 13 }}>
+            <input type="checkbox" checked={metrics.includes(m)} onChange={() => toggle(m)} /> {locale.label(m)}
+          </label>
+        ))}
+        <label style={{ fontSize: 13 }}>
+          <input type="checkbox" checked={withNotes} onChange={(e) => setWithNotes(e.target.checked)} /> {t('export.annotations')}
+        </label>
+      </div>
+
+      <div style={styles.row}>
+        <select style={styles.input} value={format} onChange={(e) => setFormat(e.target.value)}>
+          {Object.entries(EXPORT_FORMATS).map(([id, f]) => <option key={id} value={id}>{f.label}</option>)}
+        </select>
+        <button style={styles.btn} disabled={busy} onClick={run}>{t('export.export')}</button>
+        {busy && (
+          <button style={{ ...styles.btn, background: '#f33' }} onClick={() => controllerRef.current?.abort()}>
+            {t('common.cancel')}
+          </button>
+        )}
+        <button style={{ ...styles.btn, background: '#888' }} disabled={busy} onClick={onClose}>{t('common.close')}</button>
+      </div>
+      <div style={{ fontSize: 12, color: '#666', marginBottom: 6 }}>
+        {t('export.settings', { units: t(`units.${locale.units}`), zone: locale.timeZone })}
+      </div>
+
+      {status && <div style={{ fontSize: 13 }}>{status}</div>}
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  row: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 10,
+    marginBottom: 10
+  },
+  input: {
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: 6
+  },
+  btn: {
+    padding: '8px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,183 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { dataSource } from './dataSource';
+import { useMachines, saveMachine, removeMachine } from './machines';
+import { useAlarmRules, latestAlarmState } from './alarms';
+import { SAMPLE_METRICS } from './schema';
+import { useLocale, isValidTimeZone } from './locale';
+
+const emptyForm = { id: '', name: '', location: '', bitType: '', timeZone: '', mqttTopic: '' };
+
+// Grid of compact tiles, one per registered rig. `canManage` shows the
+// registry editing controls.
+export default function FleetOverview({ onSelect, canManage }) {
+  const { t } = useLocale();
+  const machines = useMachines();
+  const [form, setForm] = useState(emptyForm);
+  const [formError, setFormError] = useState('');
+
+  async function submit(e) {
+    e.preventDefault();
+    if (!form.id.trim() || !form.name.trim()) return;
+    // Empty means the configured site zone (see locale/index.js)
+    const timeZone = form.timeZone.trim();
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      setFormError(t('fleet.badTimeZone', { zone: timeZone }));
+      return;
+    }
+    setFormError('');
+    try {
+      await saveMachine({ ...form, id: form.id.trim(), name: form.name.trim(), timeZone, mqttTopic: form.mqttTopic.trim() });
+      setForm(emptyForm);
+    } catch (err) {
+      console.error('Save machine error', err);
+    }
+  }
+
+  return (
+    <div>
+      <section style={styles.grid}>
+        {machines.map((m) => (
+          <FleetTile
+            key={m.id}
+            machine={m}
+            onClick={() => onSelect(m.id)}
+            onEdit={canManage ? () => setForm({ ...emptyForm, ...m }) : null}
+            onRemove={canManage ? () => removeMachine(m.id).catch((err) => console.error('Remove machine error', err)) : null}
+          />
+        ))}
+      </section>
+
+      {canManage && (
+        <form style={styles.form} onSubmit={submit}>
+          <h3 style={{ margin: 0, width: '100%' }}>{t('fleet.formTitle')}</h3>
+          {Object.keys(emptyForm).map((field) => (
+            <input
+              key={field}
+              style={styles.input}
+              placeholder={t(`fleet.field.${field}`)}
+              value={form[field]}
+              onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+            />
+          ))}
+          <button style={styles.btn} type="submit">{t('common.save')}</button>
+          {formError && <div style={{ width: '100%', color: '#c92a2a', fontSize: 13 }}>{formError}</div>}
+        </form>
+      )}
+    </div>
+  );
+}
+
+// Recent samples evaluated per tile, enough for debounce and rate rules
+const tileWindow = 20;
+
+// Times on a tile are in its own machine's zone
+function FleetTile({ machine, onClick, onEdit, onRemove }) {
+  const fleetLocale = useLocale();
+  const locale = useMemo(() => fleetLocale.forMachine(machine), [fleetLocale, machine]);
+  const { t } = locale;
+  const [records, setRecords] = useState([]);
+  const [rules] = useAlarmRules(machine.id);
+
+  useEffect(() => dataSource.subscribe(
+    { limit: tileWindow, machineId: machine.id },
+    setRecords,
+    (err) => console.error('Fleet listen error', err)
+  ), [machine.id]);
+
+  const latest = records[0] || {};
+  const alarms = useMemo(() => latestAlarmState(records, rules), [records, rules]);
+  const alarmed = SAMPLE_METRICS.filter((m) => alarms[m]?.active);
+
+  return (
+    <div onClick={onClick} style={{ ...styles.tile, borderColor: alarmed.length ? 'red' : '#eee' }}>
+      <div style={styles.tileHeader}>
+        <strong>{machine.name}</strong>
+        <span style={{ color: alarmed.length ? 'red' : '#28a745', fontSize: 12 }}>
+          {alarmed.length ? t('fleet.alarms', { count: alarmed.length }) : t('fleet.ok')}
+        </span>
+      </div>
+      <div style={{ fontSize: 12, color: '#666' }}>
+        {[machine.location, machine.bitType].filter(Boolean).join(' • ') || machine.id}
+      </div>
+      <div style={styles.tileValues}>
+        {SAMPLE_METRICS.map((metric) => (
+          <div key={metric} style={{ color: alarmed.includes(metric) ? 'red' : '#000' }}>
+            <div style={{ fontWeight: 700 }}>{locale.format(metric, latest[metric])}</div>
+            <div style={{ fontSize: 11, color: '#666' }}>{locale.shortLabel(metric)}</div>
+          </div>
+        ))}
+      </div>
+      <div style={{ fontSize: 11, color: '#666' }}>
+        {latest.createdAt ? t('fleet.lastSample', { time: locale.dateTime(latest.createdAt) }) : t('fleet.noData')}
+      </div>
+      {onEdit && (
+        <div style={{ display: 'flex', gap: 6, marginTop: 6 }}>
+          <button style={styles.linkBtn} onClick={(e) => { e.stopPropagation(); onEdit(); }}>{t('fleet.edit')}</button>
+          <button style={styles.linkBtn} onClick={(e) => { e.stopPropagation(); onRemove(); }}>{t('fleet.remove')}</button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))',
+    gap: 12,
+    marginBottom: 20
+  },
+  tile: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    border: '2px solid #eee',
+    boxShadow: '0 4px 12px rgba(10,20,40,0.04)',
+    cursor: 'pointer'
+  },
+  tileHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'baseline'
+  },
+  tileValues: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(5, 1fr)',
+    gap: 4,
+    margin: '10px 0',
+    fontSize: 13
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    maxWidth: 720
+  },
+  input: {
+    padding: '8px 10px',
+    border: '1px solid #ddd',
+    borderRadius: 6,
+    flex: '1 1 140px'
+  },
+  btn: {
+    padding: '8px 14px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  },
+  linkBtn: {
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  }
+};
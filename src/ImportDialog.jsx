@@ -0,0 +1,153 @@
+import React, { useMemo, useState } from 'react';
+import { dataSource } from './dataSource';
+import { useMachines } from './machines';
+import { IMPORT_FIELDS, parseFile, guessMapping, toRecords } from './importers';
+import { useLocale } from './locale';
+
+const maxErrorsShown = 5;
+
+// Load a CSV / JSON Lines recording, map its columns, then replay it through
+// the dashboard or (with `canLoad`) bulk-load it into the data source under
+// a machine
+export default function ImportDialog({ machineId, canLoad, onReplay, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const machines = useMachines();
+  const [file, setFile] = useState(null); // { name, columns, rows, errors }
+  const [mapping, setMapping] = useState({});
+  const [target, setTarget] = useState(machineId);
+  const [status, setStatus] = useState('');
+
+  async function pickFile(e) {
+    const picked = e.target.files[0];
+    if (!picked) return;
+    try {
+      const parsed = parseFile(picked.name, await picked.text());
+      setFile({ name: picked.name, ...parsed });
+      setMapping(guessMapping(parsed.columns));
+      setStatus('');
+    } catch (err) {
+      setStatus(t('import.readError', { error: err.message || err }));
+    }
+  }
+
+  const result = useMemo(
+    () => (file && mapping.time ? toRecords(file.rows, mapping) : { records: [], errors: [] }),
+    [file, mapping]
+  );
+  const errors = [...(file?.errors || []), ...result.errors];
+
+  async function bulkLoad() {
+    setStatus(t('import.loading', { count: result.records.length }));
+    try {
+      const count = await dataSource.importRecords(result.records.map((r) => ({ ...r, machineId: target })));
+      setStatus(t('import.loaded', { count, machine: target }));
+    } catch (err) {
+      console.error('Import error', err);
+      setStatus(t('import.failed', { error: err.message || err }));
+    }
+  }
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('import.title')}</h3>
+      <input type="file" accept=".csv,.jsonl,.ndjson,text/csv" onChange={pickFile} />
+
+      {file && (
+        <>
+          <div style={styles.mapping}>
+            {IMPORT_FIELDS.map((field) => (
+              <label key={field} style={styles.field}>
+                {field === 'time' ? `${t('import.time')} *` : locale.label(field)}
+                <select
+                  style={styles.input}
+                  value={mapping[field] ?? ''}
+                  onChange={(e) => setMapping({ ...mapping, [field]: e.target.value })}
+                >
+                  <option value="">{t('import.none')}</option>
+                  {file.columns.map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div style={{ fontSize: 13 }}>
+            {t('import.summary', { file: file.name, rows: file.rows.length, valid: result.records.length })}
+            {result.records.length > 0 && (
+              <> ({locale.dateTime(result.records[0].createdAt)} – {locale.dateTime(result.records[result.records.length - 1].createdAt)})</>
+            )}
+          </div>
+          {errors.length > 0 && (
+            <div style={{ fontSize: 12, color: 'red', marginTop: 4 }}>
+              {t('import.skipped', { count: errors.length })}
+              {errors.slice(0, maxErrorsShown).map((e) => <div key={e}>{e}</div>)}
+              {errors.length > maxErrorsShown && <div>…</div>}
+            </div>
+          )}
+
+          <div style={styles.actions}>
+            <button style={styles.btn} disabled={!result.records.length} onClick={() => onReplay(result.records)}>
+              {t('import.replay')}
+            </button>
+            {canLoad && (
+              <>
+                <span style={{ fontSize: 13 }}>{t('import.loadInto')}</span>
+                <select style={styles.input} value={target} onChange={(e) => setTarget(e.target.value)}>
+                  {machines.map((m) => <option key={m.id} value={m.id}>{m.name}</option>)}
+                </select>
+                <button style={{ ...styles.btn, background: '#28a745' }} disabled={!result.records.length} onClick={bulkLoad}>
+                  {t('import.load')}
+                </button>
+              </>
+            )}
+          </div>
+        </>
+      )}
+
+      {status && <div style={{ fontSize: 13, marginTop: 6 }}>{status}</div>}
+      <button style={{ ...styles.btn, background: '#888', marginTop: 10 }} onClick={onClose}>{t('common.close')}</button>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  mapping: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 8,
+    margin: '10px 0'
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: 12,
+    color: '#333',
+    gap: 2
+  },
+  input: {
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: 6
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    marginTop: 10
+  },
+  btn: {
+    padding: '8px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { JOB_FIELDS, startJob, stopJob } from './jobs';
+import { can } from './auth';
+import { useLocale } from './locale';
+
+// Start / stop a drilling job on one machine, for the controls bar. `job` is
+// the machine's running job, or null. Operators and up can start and stop.
+export default function JobControls({ machine, job, user }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [form, setForm] = useState(null); // field values while starting; null when closed
+  const allowed = can(user.role, 'job');
+
+  function open() {
+    setForm({ part: '', material: '', bit: machine.bitType ?? '', operator: user.email ?? '' });
+  }
+
+  function start() {
+    if (!form.part.trim()) return;
+    startJob(machine.id, form).catch((err) => console.error('Start job error', err));
+    setForm(null);
+  }
+
+  if (job) {
+    return (
+      <div style={styles.running}>
+        <span>
+          ● {t('job.running', { part: job.part, time: locale.time(job.startedAt) })}
+          {job.operator && <> • {job.operator}</>}
+        </span>
+        {allowed && (
+          <button style={styles.stopBtn} onClick={() => stopJob(job).catch((err) => console.error('Stop job error', err))}>
+            {t('job.stop')}
+          </button>
+        )}
+      </div>
+    );
+  }
+  if (!allowed) return null;
+  if (!form) {
+    return <button style={styles.btn} onClick={open}>{t('job.start')}</button>;
+  }
+  return (
+    <div style={styles.form}>
+      {JOB_FIELDS.map((field) => (
+        <input
+          key={field}
+          style={styles.input}
+          placeholder={t(`job.field.${field}`)}
+          autoFocus={field === 'part'}
+          value={form[field]}
+          onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+          onKeyDown={(e) => e.key === 'Enter' && start()}
+        />
+      ))}
+      <button style={styles.btn} disabled={!form.part.trim()} onClick={start}>{t('job.start')}</button>
+      <button style={{ ...styles.btn, background: '#888' }} onClick={() => setForm(null)}>{t('common.cancel')}</button>
+    </div>
+  );
+}
+
+const styles = {
+  btn: {
+    padding: '10px 14px',
+    background: '#343a40',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  },
+  stopBtn: {
+    padding: '6px 10px',
+    background: '#fff',
+    color: '#c92a2a',
+    border: '1px solid #f5c6cb',
+    borderRadius: 6,
+    cursor: 'pointer'
+  },
+  running: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    padding: '4px 10px',
+    background: '#e6fcf5',
+    color: '#087f5b',
+    border: '1px solid #96f2d7',
+    borderRadius: 8,
+    fontSize: 13
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6
+  },
+  input: {
+    padding: '8px 8px',
+    border: '1px solid #ddd',
+    borderRadius: 6,
+    width: 120
+  }
+};
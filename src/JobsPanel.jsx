@@ -0,0 +1,184 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { JOB_SUMMARY_METRICS, searchJobs, loadJobData, summarizeJob } from './jobs';
+import { useLocale } from './locale';
+
+// Searchable list of a machine's jobs. Each opens a summary, or its time span
+// in the chart via `onShow(job)`. `alarmLog` is the machine's alarm log.
+export default function JobsPanel({ jobs, alarmLog, onShow, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [search, setSearch] = useState('');
+  const [selectedId, setSelectedId] = useState(null);
+  const shown = useMemo(() => searchJobs(jobs, search), [jobs, search]);
+  const selected = jobs.find((j) => j.id === selectedId) ?? null;
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('job.list')}</h3>
+      <input
+        style={{ ...styles.input, width: '100%', maxWidth: 360, marginBottom: 8 }}
+        placeholder={t('job.search')}
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+      />
+      <div style={{ maxHeight: 240, overflow: 'auto' }}>
+        {shown.length === 0 && <div style={{ color: '#666' }}>{t(jobs.length ? 'job.noMatch' : 'job.none')}</div>}
+        {shown.map((job) => (
+          <div key={job.id} style={{ ...styles.item, ...(job.id === selectedId ? styles.selected : {}) }}>
+            <div style={{ fontSize: 13 }}>
+              <strong>{job.part}</strong>
+              {[job.material, job.bit, job.operator].filter(Boolean).map((v) => <React.Fragment key={v}> • {v}</React.Fragment>)}
+              {!job.endedAt && <span style={{ color: '#087f5b' }}> • {t('job.active')}</span>}
+            </div>
+            <div style={{ fontSize: 11, color: '#666' }}>
+              {locale.dateTime(job.startedAt)} – {job.endedAt ? locale.dateTime(job.endedAt) : '…'}
+            </div>
+            <div style={{ display: 'flex', gap: 4 }}>
+              <button style={styles.smallBtn} onClick={() => setSelectedId(job.id === selectedId ? null : job.id)}>{t('job.summary')}</button>
+              <button style={styles.smallBtn} onClick={() => onShow(job)}>{t('job.showInChart')}</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {selected && <JobSummary key={selected.id} job={selected} alarmLog={alarmLog} />}
+
+      <button style={{ ...styles.btn, background: '#888', marginTop: 10 }} onClick={onClose}>{t('common.close')}</button>
+    </div>
+  );
+}
+
+function JobSummary({ job, alarmLog }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [data, setData] = useState(null); // see loadJobData
+  const [status, setStatus] = useState({ key: 'job.loading' }); // { key, params } or null
+
+  // Loaded again when a running job ends; until then it is summarized as it
+  // stood when opened
+  const startedMs = job.startedAt.getTime();
+  const endedMs = job.endedAt?.getTime() ?? null;
+  useEffect(() => {
+    const controller = new AbortController();
+    const span = { id: job.id, machineId: job.machineId, startedAt: new Date(startedMs), endedAt: endedMs === null ? null : new Date(endedMs) };
+    loadJobData(span, { signal: controller.signal })
+      .then((loaded) => {
+        if (controller.signal.aborted) return;
+        setData(loaded);
+        setStatus(null);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error('Job summary error', err);
+        setStatus({ key: 'job.failed', params: { error: err.message || err } });
+      });
+    return () => controller.abort();
+  }, [job.id, job.machineId, startedMs, endedMs]);
+
+  const summary = useMemo(
+    () => data && summarizeJob(job, data.samples, alarmLog, data.predictions, data.now),
+    [job, data, alarmLog]
+  );
+  const alarmName = (metric) => {
+    if (metric === 'data') return t('alarmLog.noData');
+    if (metric === 'anomaly') return t('alarmLog.anomaly');
+    return locale.label(metric);
+  };
+  const minutes = summary ? Math.round(summary.durationMs / 60000) : 0;
+
+  return (
+    <div style={styles.summary}>
+      <h4 style={{ margin: '0 0 6px' }}>{t('job.summaryTitle', { part: job.part })}</h4>
+      {status && <div style={{ fontSize: 13 }}>{t(status.key, status.params)}</div>}
+      {summary && (
+        <table style={styles.table}>
+          <tbody>
+            <tr><th style={styles.th}>{t('job.duration')}</th><td>{t('job.minutes', { count: minutes })}</td></tr>
+            <tr><th style={styles.th}>{t('job.samples')}</th><td>{locale.number(summary.samples)}</td></tr>
+            <tr><th style={styles.th}>{t('job.depth')}</th><td>{locale.format('cumulativeDepth', summary.depth)}</td></tr>
+            {JOB_SUMMARY_METRICS.map((metric) => (
+              <tr key={metric}>
+                <th style={styles.th}>{locale.label(metric)}</th>
+                <td>
+                  {t('job.avgPeak', {
+                    avg: locale.format(metric, summary.stats[metric].avg === null ? null : +summary.stats[metric].avg.toFixed(2)),
+                    peak: locale.format(metric, summary.stats[metric].peak)
+                  })}
+                </td>
+              </tr>
+            ))}
+            <tr>
+              <th style={styles.th}>{t('job.alarms')}</th>
+              <td>
+                {summary.alarms.length}
+                {summary.alarms.length > 0 && (
+                  <> ({[...new Set(summary.alarms.map((e) => alarmName(e.metric)))].join(', ')})</>
+                )}
+              </td>
+            </tr>
+            <tr>
+              <th style={styles.th}>{t('job.rul')}</th>
+              <td>{t('job.rulStartEnd', { start: locale.format('rul', summary.rulStart), end: locale.format('rul', summary.rulEnd) })}</td>
+            </tr>
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  input: {
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: 6,
+    boxSizing: 'border-box'
+  },
+  item: {
+    padding: 8,
+    borderBottom: '1px solid #f0f3f6'
+  },
+  selected: {
+    background: '#e7f1ff'
+  },
+  smallBtn: {
+    marginTop: 4,
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  },
+  summary: {
+    marginTop: 12,
+    paddingTop: 8,
+    borderTop: '1px solid #e6eef7'
+  },
+  table: {
+    fontSize: 13,
+    borderCollapse: 'collapse'
+  },
+  th: {
+    textAlign: 'left',
+    fontWeight: 500,
+    color: '#666',
+    padding: '2px 16px 2px 0'
+  },
+  btn: {
+    padding: '8px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { MAINTENANCE_KINDS, logMaintenance } from './maintenance';
+import { can } from './auth';
+import { useLocale } from './locale';
+
+// Maintenance log for one machine, newest first, with the current bit's
+// cycle and depth counters. Operators and up can log bit changes,
+// inspections and repairs; a bit change restarts the counters.
+export default function MaintenanceLog({ machineId, entries, counters, rul, user }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const [kind, setKind] = useState('bitChange');
+  const [at, setAt] = useState(''); // wall time in the display zone; '' = now
+  const [note, setNote] = useState('');
+  const [error, setError] = useState('');
+  const lastBitChange = entries.find((e) => e.kind === 'bitChange');
+
+  function submit() {
+    const when = at ? locale.fromWallTime(at) : new Date();
+    if (!when || when > new Date()) {
+      setError(t('maintenance.badTime'));
+      return;
+    }
+    setError('');
+    logMaintenance({ machineId, kind, at: when, note: note.trim() }, user)
+      .catch((err) => console.error('Maintenance log error', err));
+    setAt('');
+    setNote('');
+  }
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('maintenance.title')}</h3>
+      <div style={{ fontSize: 13, marginBottom: 8 }}>
+        {!lastBitChange && <span style={{ color: '#666' }}>{t('maintenance.noBitChange')}</span>}
+        {lastBitChange && (
+          <>
+            <strong>{t('maintenance.currentBit', { time: locale.dateTime(lastBitChange.at) })}</strong>
+            <br />
+            {!counters || counters.loading ? t('maintenance.counting') : t('maintenance.usage', {
+              cycles: locale.format('rul', counters.cycles),
+              depth: locale.format('cumulativeDepth', counters.depth)
+            })}
+            {counters && !counters.loading && typeof rul === 'number' && (
+              <>
+                <br />
+                <span style={{ color: '#666' }}>
+                  {t('maintenance.projected', { rul: locale.format('rul', rul), life: locale.format('rul', counters.cycles + rul) })}
+                </span>
+              </>
+            )}
+          </>
+        )}
+      </div>
+
+      {can(user?.role, 'maintain') && (
+        <div style={styles.form}>
+          <select style={styles.input} value={kind} onChange={(e) => setKind(e.target.value)}>
+            {MAINTENANCE_KINDS.map((k) => <option key={k} value={k}>{t(`maintenance.kind.${k}`)}</option>)}
+          </select>
+          <input
+            type="datetime-local"
+            style={styles.input}
+            title={t('maintenance.at')}
+            value={at}
+            onChange={(e) => setAt(e.target.value)}
+          />
+          <input
+            style={{ ...styles.input, flex: 1, minWidth: 100 }}
+            placeholder={t('maintenance.note')}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && submit()}
+          />
+          <button style={styles.btn} onClick={submit}>{t('maintenance.log')}</button>
+        </div>
+      )}
+      {error && <div style={{ fontSize: 12, color: '#c92a2a' }}>{error}</div>}
+
+      <div style={{ flex: 1, overflow: 'auto' }}>
+        {entries.length === 0 && <div style={{ color: '#666' }}>{t('maintenance.empty')}</div>}
+        {entries.map((e) => (
+          <div key={e.id} style={styles.item}>
+            <div style={{ fontSize: 13 }}>
+              <strong>{t(`maintenance.kind.${e.kind}`)}</strong>
+              {e.note && <> — {e.note}</>}
+            </div>
+            <div style={{ fontSize: 11, color: '#666' }}>
+              {locale.dateTime(e.at)}
+              {e.by && <> {t('maintenance.by', { user: e.by })}</>}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    height: '100%',
+    boxSizing: 'border-box',
+    display: 'flex',
+    flexDirection: 'column'
+  },
+  form: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 4,
+    marginBottom: 8
+  },
+  input: {
+    padding: '2px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 6,
+    fontSize: 12
+  },
+  btn: {
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  },
+  item: {
+    padding: 8,
+    borderBottom: '1px solid #f0f3f6'
+  }
+};
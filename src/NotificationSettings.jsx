@@ -0,0 +1,242 @@
+import React, { useEffect, useState } from 'react';
+import {
+  NOTIFICATION_EVENTS,
+  useNotificationSettings,
+  useNotificationPrefs,
+  setNotificationPrefs,
+  desktopSupported,
+  desktopPermission,
+  requestDesktopPermission,
+  sendTestWebhook
+} from './notifications';
+import { useLocale } from './locale';
+
+const emptyHook = { url: '', events: ['raised', 'escalated'], enabled: true };
+
+// Notification settings: this browser's desktop / sound choices, and the
+// shared cooldown, escalation and webhooks (editable with `canEdit`)
+export default function NotificationSettings({ machine, canEdit, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const prefs = useNotificationPrefs();
+  const [settings, saveSettings] = useNotificationSettings();
+  const [draft, setDraft] = useState(settings);
+  const [permission, setPermission] = useState(desktopPermission);
+  const [tests, setTests] = useState({}); // webhook index -> result text
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => setDraft(settings), [settings]);
+
+  async function toggleDesktop(on) {
+    if (on && permission !== 'granted') {
+      const result = await requestDesktopPermission();
+      setPermission(result);
+      if (result !== 'granted') return;
+    }
+    setNotificationPrefs({ desktop: on });
+  }
+
+  function updateHook(i, changes) {
+    setDraft({ ...draft, webhooks: draft.webhooks.map((h, j) => (j === i ? { ...h, ...changes } : h)) });
+  }
+
+  function toggleEvent(i, event, on) {
+    const { events } = draft.webhooks[i];
+    updateHook(i, { events: on ? [...events, event] : events.filter((e) => e !== event) });
+  }
+
+  async function test(i) {
+    setTests({ ...tests, [i]: t('notify.sending') });
+    try {
+      const status = await sendTestWebhook(draft.webhooks[i].url, machine);
+      setTests((prev) => ({ ...prev, [i]: t('notify.ok', { status }) }));
+    } catch (err) {
+      setTests((prev) => ({ ...prev, [i]: t('notify.failed', { error: err.message || err }) }));
+    }
+  }
+
+  async function save() {
+    setSaving(true);
+    try {
+      await saveSettings({
+        cooldownS: Number(draft.cooldownS) || 0,
+        escalateAfterS: Number(draft.escalateAfterS) || 0,
+        webhooks: draft.webhooks.filter((h) => h.url.trim()).map((h) => ({ ...h, url: h.url.trim() }))
+      });
+      onClose();
+    } catch (err) {
+      console.error('Save notification settings error', err);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('notify.title')}</h3>
+
+      <h4 style={styles.h4}>{t('notify.browser')}</h4>
+      <label style={styles.check}>
+        <input
+          type="checkbox"
+          disabled={!desktopSupported || permission === 'denied'}
+          checked={prefs.desktop && permission === 'granted'}
+          onChange={(e) => toggleDesktop(e.target.checked)}
+        />
+        {t('notify.desktop')}
+        {!desktopSupported && <span style={styles.hint}> {t('notify.unsupported')}</span>}
+        {permission === 'denied' && <span style={styles.hint}> {t('notify.blocked')}</span>}
+      </label>
+      <label style={styles.check}>
+        <input type="checkbox" checked={prefs.sound} onChange={(e) => setNotificationPrefs({ sound: e.target.checked })} />
+        {t('notify.sound')}
+      </label>
+      <label style={styles.check}>
+        <input type="checkbox" checked={prefs.muted} onChange={(e) => setNotificationPrefs({ muted: e.target.checked })} />
+        {t('notify.muted')}
+        {prefs.snoozedUntil > Date.now() && (
+          <span style={styles.hint}>
+            {' '}{t('notify.snoozedUntil', { time: locale.time(new Date(prefs.snoozedUntil)) })}{' '}
+            <button style={styles.linkBtn} onClick={() => setNotificationPrefs({ snoozedUntil: null })}>{t('notify.resume')}</button>
+          </span>
+        )}
+      </label>
+
+      <h4 style={styles.h4}>{t('notify.shared')}</h4>
+      <div style={styles.hint}>{t('notify.sentInEnglish')}</div>
+      <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', fontSize: 13 }}>
+        <label>
+          {t('notify.cooldown')}{' '}
+          <input
+            type="number"
+            style={styles.number}
+            disabled={!canEdit}
+            value={draft.cooldownS}
+            onChange={(e) => setDraft({ ...draft, cooldownS: e.target.value })}
+          />
+        </label>
+        <label>
+          {t('notify.escalate')}{' '}
+          <input
+            type="number"
+            style={styles.number}
+            disabled={!canEdit}
+            value={draft.escalateAfterS}
+            onChange={(e) => setDraft({ ...draft, escalateAfterS: e.target.value })}
+          />
+        </label>
+      </div>
+
+      <div style={{ fontSize: 13, marginTop: 10 }}>{t('notify.webhooks')}</div>
+      {draft.webhooks.length === 0 && <div style={styles.hint}>{t('notify.none')}</div>}
+      {draft.webhooks.map((hook, i) => (
+        <div key={i} style={styles.hookRow}>
+          <input
+            style={styles.url}
+            placeholder="https://example.com/hooks/drill"
+            disabled={!canEdit}
+            value={hook.url}
+            onChange={(e) => updateHook(i, { url: e.target.value })}
+          />
+          {NOTIFICATION_EVENTS.map((event) => (
+            <label key={event} style={{ fontSize: 12 }}>
+              <input
+                type="checkbox"
+                disabled={!canEdit}
+                checked={hook.events.includes(event)}
+                onChange={(e) => toggleEvent(i, event, e.target.checked)}
+              />
+              {t(`notify.event.${event}`)}
+            </label>
+          ))}
+          <label style={{ fontSize: 12 }}>
+            <input
+              type="checkbox"
+              disabled={!canEdit}
+              checked={hook.enabled}
+              onChange={(e) => updateHook(i, { enabled: e.target.checked })}
+            />
+            {t('notify.enabled')}
+          </label>
+          <button style={styles.linkBtn} disabled={!canEdit || !hook.url.trim()} onClick={() => test(i)}>{t('notify.test')}</button>
+          {canEdit && (
+            <button style={styles.linkBtn} onClick={() => setDraft({ ...draft, webhooks: draft.webhooks.filter((_, j) => j !== i) })}>
+              {t('notify.remove')}
+            </button>
+          )}
+          {tests[i] && <span style={styles.hint}>{tests[i]}</span>}
+        </div>
+      ))}
+
+      <div style={{ display: 'flex', gap: 8, marginTop: 10 }}>
+        {canEdit && (
+          <>
+            <button style={{ ...styles.btn, background: '#888' }} onClick={() => setDraft({ ...draft, webhooks: [...draft.webhooks, emptyHook] })}>
+              {t('notify.add')}
+            </button>
+            <button style={styles.btn} disabled={saving} onClick={save}>{t('common.save')}</button>
+          </>
+        )}
+        <button style={{ ...styles.btn, background: '#888' }} onClick={onClose}>{t('common.close')}</button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  h4: {
+    margin: '10px 0 6px'
+  },
+  check: {
+    display: 'block',
+    fontSize: 13,
+    marginBottom: 4
+  },
+  hint: {
+    fontSize: 12,
+    color: '#666'
+  },
+  number: {
+    width: 80,
+    padding: '4px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 4
+  },
+  hookRow: {
+    display: 'flex',
+    gap: 8,
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginTop: 6
+  },
+  url: {
+    flex: '1 1 240px',
+    padding: '4px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 4
+  },
+  linkBtn: {
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  },
+  btn: {
+    padding: '8px 14px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,55 @@
+import React from 'react';
+import { clearQuarantine } from './dataSource';
+import { useLocale } from './locale';
+
+// Stored samples hidden because they failed the schema, with the reasons
+export default function QuarantinePanel({ records, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('quarantine.title')}</h3>
+      <div style={{ fontSize: 12, color: '#666', marginBottom: 8 }}>
+        {t('quarantine.help', { file: 'src/schema.js' })}
+      </div>
+      <div style={{ maxHeight: 240, overflow: 'auto' }}>
+        {records.length === 0 && <div style={{ color: '#666' }}>{t('quarantine.none')}</div>}
+        {records.map((r) => (
+          <div key={r.id} style={styles.item}>
+            <div style={{ fontSize: 13 }}>
+              <code>{r.id}</code>
+              {r.createdAt instanceof Date && <> • {locale.dateTime(r.createdAt)}</>}
+            </div>
+            <div style={{ fontSize: 12, color: '#c92a2a' }}>{r.errors.join('; ')}</div>
+          </div>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: 8, marginTop: 10 }}>
+        <button style={{ ...styles.btn, background: '#888' }} onClick={clearQuarantine}>{t('quarantine.clear')}</button>
+        <button style={{ ...styles.btn, background: '#888' }} onClick={onClose}>{t('common.close')}</button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginTop: 16
+  },
+  item: {
+    padding: 8,
+    borderBottom: '1px solid #f0f3f6'
+  },
+  btn: {
+    padding: '8px 14px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,76 @@
+import React from 'react';
+import { REPLAY_SPEEDS } from './replay';
+import { useLocale } from './locale';
+
+// Player bar for an imported recording: play/pause, speed, seek, stop
+export default function ReplayControls({ replay, records, onStop }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const current = records[replay.position];
+
+  return (
+    <div style={styles.bar}>
+      <strong style={{ fontSize: 13 }}>{t('replay.title')}</strong>
+      {replay.playing ? (
+        <button style={styles.btn} onClick={replay.pause}>{t('replay.pause')}</button>
+      ) : (
+        <button style={styles.btn} disabled={replay.position >= records.length - 1} onClick={replay.play}>{t('replay.play')}</button>
+      )}
+      {REPLAY_SPEEDS.map((s) => (
+        <button
+          key={s}
+          style={{ ...styles.speed, ...(replay.speed === s ? styles.active : {}) }}
+          onClick={() => replay.setSpeed(s)}
+        >
+          {s}x
+        </button>
+      ))}
+      <input
+        type="range"
+        style={{ flex: 1, minWidth: 160 }}
+        min={0}
+        max={records.length - 1}
+        value={replay.position}
+        onChange={(e) => replay.seek(Number(e.target.value))}
+      />
+      <span style={{ fontSize: 12, color: '#333' }}>
+        {replay.position + 1}/{records.length} • {locale.dateTime(current?.createdAt)}
+      </span>
+      <button style={{ ...styles.btn, background: '#888' }} onClick={onStop}>{t('replay.back')}</button>
+    </div>
+  );
+}
+
+const styles = {
+  bar: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 8,
+    background: '#fff8e1',
+    padding: 10,
+    borderRadius: 10,
+    marginBottom: 14
+  },
+  btn: {
+    padding: '6px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  },
+  speed: {
+    padding: '4px 8px',
+    background: '#fff',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  },
+  active: {
+    background: '#007bff',
+    color: '#fff'
+  }
+};
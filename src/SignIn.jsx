@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { signIn } from './auth';
+import { useLocale } from './locale';
+
+// Email / password sign-in (Firebase Auth, or its local emulator)
+export default function SignIn({ error: authError }) {
+  const { t } = useLocale();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      await signIn(email.trim(), password);
+    } catch (err) {
+      setError(err.code === 'auth/invalid-credential' ? t('signIn.wrong') : err.message || String(err));
+      setBusy(false);
+    }
+  }
+
+  return (
+    <form style={styles.panel} onSubmit={submit}>
+      <h2 style={{ marginTop: 0 }}>{t('signIn.title')}</h2>
+      <label style={styles.field}>
+        {t('signIn.email')}
+        <input style={styles.input} type="email" autoComplete="username" value={email} onChange={(e) => setEmail(e.target.value)} />
+      </label>
+      <label style={styles.field}>
+        {t('signIn.password')}
+        <input
+          style={styles.input}
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+        />
+      </label>
+      <button style={styles.btn} type="submit" disabled={busy || !email || !password}>
+        {t(busy ? 'signIn.busy' : 'signIn.submit')}
+      </button>
+      {(error || authError) && <div style={{ color: 'red', fontSize: 13 }}>{error || authError}</div>}
+    </form>
+  );
+}
+
+const styles = {
+  panel: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: 10,
+    width: 320,
+    margin: '80px auto',
+    background: '#fff',
+    padding: 20,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)'
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: 13,
+    color: '#333',
+    gap: 4
+  },
+  input: {
+    padding: '8px 10px',
+    border: '1px solid #ddd',
+    borderRadius: 6
+  },
+  btn: {
+    padding: '8px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
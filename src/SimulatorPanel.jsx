@@ -0,0 +1,160 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { createSimulator, SCENARIOS } from './simulator';
+import { useLocale } from './locale';
+
+const accelerations = [1, 10, 60, 600];
+
+// Start / pause / switch scenarios of the drill simulator. Every generated
+// sample is handed to `onSample(values)`. A new `bitChangeId` (the newest
+// bit change in the maintenance log) puts a new bit in the simulated rig.
+export default function SimulatorPanel({ onSample, bitChangeId = null }) {
+  const { t, number } = useLocale();
+  const [scenario, setScenario] = useState('normal');
+  const [seed, setSeed] = useState(1);
+  const [intervalS, setIntervalS] = useState(5); // wall-clock seconds between samples
+  const [acceleration, setAcceleration] = useState(1); // simulated seconds per real second
+  const [waveform, setWaveform] = useState(false); // attach a vibration waveform block to each sample
+  const [running, setRunning] = useState(false);
+  const [simState, setSimState] = useState(null);
+  const simRef = useRef(null);
+
+  function simulator() {
+    if (!simRef.current) simRef.current = createSimulator({ seed, scenario });
+    return simRef.current;
+  }
+
+  function step() {
+    const sim = simulator();
+    const values = sim.next(intervalS * acceleration, { waveform });
+    setSimState(sim.state);
+    onSample(values);
+  }
+
+  // The timer always calls the latest step, so speed/scenario changes apply
+  // while running
+  const stepRef = useRef(step);
+  stepRef.current = step;
+
+  useEffect(() => {
+    if (!running) return;
+    const timer = setInterval(() => stepRef.current(), intervalS * 1000);
+    return () => clearInterval(timer);
+  }, [running, intervalS]);
+
+  const bitChangeRef = useRef(bitChangeId);
+  useEffect(() => {
+    if (bitChangeId === bitChangeRef.current) return;
+    bitChangeRef.current = bitChangeId;
+    if (!simRef.current) return;
+    simRef.current.newBit();
+    setSimState(simRef.current.state);
+  }, [bitChangeId]);
+
+  function changeScenario(id) {
+    setScenario(id);
+    simulator().setScenario(id);
+    setSimState(simulator().state);
+  }
+
+  // Restarts from a new bit, with the current seed
+  function reset() {
+    simulator().reset(seed);
+    simulator().setScenario(scenario);
+    setSimState(simulator().state);
+  }
+
+  return (
+    <div style={styles.panel}>
+      <label style={styles.field}>
+        {t('sim.scenario')}
+        <select style={styles.input} value={scenario} onChange={(e) => changeScenario(e.target.value)}>
+          {Object.keys(SCENARIOS).map((id) => <option key={id} value={id}>{t(`scenario.${id}`)}</option>)}
+        </select>
+      </label>
+      <label style={styles.field}>
+        {t('sim.seed')}
+        <input
+          type="number"
+          style={{ ...styles.input, width: 80 }}
+          value={seed}
+          disabled={running}
+          onChange={(e) => setSeed(Number(e.target.value) || 0)}
+        />
+      </label>
+      <label style={styles.field}>
+        {t('sim.interval')}
+        <input
+          type="number"
+          min="0.2"
+          step="0.1"
+          style={{ ...styles.input, width: 70 }}
+          value={intervalS}
+          onChange={(e) => setIntervalS(Math.max(Number(e.target.value) || 0.2, 0.2))}
+        />
+      </label>
+      <label style={styles.field}>
+        {t('sim.speed')}
+        <select style={styles.input} value={acceleration} onChange={(e) => setAcceleration(Number(e.target.value))}>
+          {accelerations.map((a) => <option key={a} value={a}>{a}x</option>)}
+        </select>
+      </label>
+      <label style={{ ...styles.field, flexDirection: 'row', alignItems: 'center', gap: 4 }}>
+        <input type="checkbox" checked={waveform} onChange={(e) => setWaveform(e.target.checked)} />
+        {t('sim.waveform')}
+      </label>
+      <div style={{ display: 'flex', gap: 6 }}>
+        <button style={styles.btn} disabled={running} onClick={() => setRunning(true)}>{t('sim.start')}</button>
+        <button style={{ ...styles.btn, background: '#f33' }} disabled={!running} onClick={() => setRunning(false)}>
+          {t('sim.pause')}
+        </button>
+        <button style={styles.btn} disabled={running} onClick={step}>{t('sim.step')}</button>
+        <button style={{ ...styles.btn, background: '#888' }} onClick={reset}>{t('sim.reset')}</button>
+      </div>
+      {simState && (
+        <div style={{ fontSize: 12, color: '#333', width: '100%' }}>
+          {t('sim.state', {
+            time: number(Math.round(simState.simTime)),
+            wear: number(+(simState.wear * 100).toFixed(1)),
+            holes: simState.holes,
+            samples: simState.samples,
+            seed: simState.seed
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'flex-end',
+    gap: 10,
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    fontSize: 12,
+    color: '#333',
+    gap: 2
+  },
+  input: {
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: 6
+  },
+  btn: {
+    padding: '8px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,284 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { Chart as ChartJS, LineElement, PointElement, LinearScale, Tooltip } from 'chart.js';
+import { findPeaks, orderOf, rpmHarmonics, spectrogram } from './spectrum';
+import { METRICS } from './metrics';
+import { useLocale } from './locale';
+ChartJS.register(LineElement, PointElement, LinearScale, Tooltip);
+
+const waterfallRows = 60; // newest samples with a waveform in the waterfall
+const waterfallRowPx = 5;
+const waterfallRangeDb = 50; // colour scale below the strongest amplitude
+const harmonicColor = '#343a40';
+
+// Dashed vertical line at each spindle harmonic, labelled with its order
+const harmonicLines = {
+  id: 'harmonicLines',
+  afterDatasetsDraw(chart, args, opts) {
+    const { ctx, chartArea, scales } = chart;
+    for (const h of opts.harmonics || []) {
+      const x = scales.x.getPixelForValue(h.freq);
+      if (x < chartArea.left || x > chartArea.right) continue;
+      ctx.save();
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = harmonicColor;
+      ctx.setLineDash([4, 4]);
+      ctx.stroke();
+      ctx.fillStyle = harmonicColor;
+      ctx.font = '11px system-ui';
+      ctx.fillText(h.label, x + 3, chartArea.top + 12);
+      ctx.restore();
+    }
+  }
+};
+
+// Dark blue for quiet through to red for the strongest amplitude
+function heatColor(share) {
+  return `hsl(${Math.round(240 * (1 - share))}, 80%, ${Math.round(12 + 43 * share)}%)`;
+}
+
+// Spectrum of one sample's vibration waveform and a waterfall of the recent
+// ones, from `records` on screen (newest first). Follows the newest sample
+// with a waveform until another one is picked.
+export default function SpectrumPanel({ records, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const rows = useMemo(() => spectrogram(records, waterfallRows), [records]);
+  const [selectedId, setSelectedId] = useState(null); // null follows the newest
+  const row = rows.find((r) => r.id === selectedId) ?? rows[0] ?? null;
+
+  const peaks = useMemo(() => (row ? findPeaks(row.spectrum) : []), [row]);
+  const harmonics = useMemo(() => (row ? rpmHarmonics(row.rpm) : []), [row]);
+
+  const chartData = useMemo(() => {
+    if (!row) return { datasets: [] };
+    const { resolution, amplitudes } = row.spectrum;
+    return {
+      datasets: [
+        {
+          label: t('spectrum.spectrum'),
+          data: amplitudes.map((a, k) => ({ x: k * resolution, y: locale.value('vibration', a) })),
+          borderColor: METRICS.vibration.color,
+          backgroundColor: METRICS.vibration.color,
+          borderWidth: 1,
+          pointRadius: 0
+        },
+        {
+          label: t('spectrum.peaks'),
+          data: peaks.map((p) => ({ x: p.freq, y: locale.value('vibration', p.amplitude) })),
+          showLine: false,
+          borderColor: '#c92a2a',
+          backgroundColor: '#c92a2a',
+          pointRadius: 4
+        }
+      ]
+    };
+  }, [row, peaks, locale, t]);
+
+  const options = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    parsing: false,
+    scales: {
+      x: { type: 'linear', min: 0, max: row ? row.spectrum.rate / 2 : undefined, title: { display: true, text: t('spectrum.frequency') } },
+      y: { type: 'linear', min: 0, title: { display: true, text: t('spectrum.amplitude', { unit: locale.unit('vibration') }) } }
+    },
+    interaction: { mode: 'nearest', axis: 'x', intersect: false },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (item) => `${locale.number(+item.parsed.x.toFixed(1))} Hz: ${locale.format('vibration', +item.parsed.y.toFixed(3))}`
+        }
+      },
+      harmonicLines: { harmonics: harmonics.map((h) => ({ freq: h.freq, label: t('spectrum.harmonic', { order: h.order }) })) }
+    }
+  }), [row, harmonics, locale, t]);
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('spectrum.title')}</h3>
+      {!row ? (
+        <div style={{ color: '#666', marginBottom: 10 }}>{t('spectrum.none')}</div>
+      ) : (
+        <>
+          <label style={{ fontSize: 13 }}>
+            {t('spectrum.sample')}{' '}
+            <select style={styles.input} value={selectedId ?? ''} onChange={(e) => setSelectedId(e.target.value || null)}>
+              <option value="">{t('spectrum.latest')}</option>
+              {rows.map((r) => <option key={r.id} value={r.id}>{locale.dateTime(r.at)}</option>)}
+            </select>
+          </label>
+          <div style={{ fontSize: 12, color: '#666', marginTop: 6 }}>
+            {t('spectrum.info', {
+              time: locale.dateTime(row.at),
+              rate: locale.number(row.spectrum.rate),
+              resolution: locale.number(+row.spectrum.resolution.toFixed(2)),
+              rpm: typeof row.rpm === 'number' ? locale.number(row.rpm) : t('common.na')
+            })}
+          </div>
+
+          <div style={styles.chartBox}>
+            <Line data={chartData} options={options} plugins={[harmonicLines]} />
+          </div>
+
+          <h4 style={styles.subtitle}>{t('spectrum.peaks')}</h4>
+          {peaks.length === 0 ? (
+            <div style={{ fontSize: 13, color: '#666' }}>{t('spectrum.noPeaks')}</div>
+          ) : (
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>{t('spectrum.peakFreq')}</th>
+                  <th style={styles.th}>{t('spectrum.peakAmp')}</th>
+                  <th style={styles.th}>{t('spectrum.order')}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {peaks.map((p) => {
+                  const order = orderOf(p.freq, row.rpm);
+                  return (
+                    <tr key={p.freq}>
+                      <td style={styles.td}>{locale.number(+p.freq.toFixed(1))} Hz</td>
+                      <td style={styles.td}>{locale.format('vibration', +p.amplitude.toFixed(3))}</td>
+                      <td style={styles.td}>{order === null ? '—' : t('spectrum.harmonic', { order: locale.number(+order.toFixed(2)) })}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+
+          <h4 style={styles.subtitle}>{t('spectrum.waterfall')}</h4>
+          <div style={{ fontSize: 12, color: '#666', marginBottom: 6 }}>{t('spectrum.waterfallHint', { range: waterfallRangeDb })}</div>
+          <Waterfall rows={rows} selected={row} onSelect={(r) => setSelectedId(r.id)} />
+        </>
+      )}
+      <button style={{ ...styles.btn, background: '#888', marginTop: 10 }} onClick={onClose}>{t('common.close')}</button>
+    </div>
+  );
+}
+
+// One line per sample, newest at the top: frequency across, amplitude as
+// colour in dB below the strongest bin of any row, a white dot at 1x RPM.
+// Clicking a line picks that sample.
+function Waterfall({ rows, selected, onSelect }) {
+  const locale = useLocale();
+  const canvasRef = useRef(null);
+  const maxFreq = Math.max(...rows.map((r) => r.spectrum.rate / 2));
+  const height = rows.length * waterfallRowPx;
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const width = canvas.clientWidth;
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, width, height);
+    const top = Math.max(...rows.map((r) => Math.max(...r.spectrum.amplitudes)));
+    if (!(top > 0)) return;
+    rows.forEach((r, i) => {
+      const y = i * waterfallRowPx;
+      const { resolution, amplitudes } = r.spectrum;
+      const binPx = (resolution / maxFreq) * width;
+      amplitudes.forEach((a, k) => {
+        const db = a > 0 ? 20 * Math.log10(a / top) : -Infinity;
+        ctx.fillStyle = heatColor(Math.max(0, 1 + db / waterfallRangeDb));
+        ctx.fillRect(k * binPx, y, Math.ceil(binPx), waterfallRowPx);
+      });
+      const [first] = rpmHarmonics(r.rpm);
+      if (first) {
+        ctx.fillStyle = '#fff';
+        ctx.fillRect((first.freq / maxFreq) * width - 1, y + 1, 2, waterfallRowPx - 2);
+      }
+      if (r === selected) {
+        ctx.strokeStyle = '#fff';
+        ctx.strokeRect(0.5, y + 0.5, width - 1, waterfallRowPx - 1);
+      }
+    });
+  }, [rows, selected, maxFreq, height]);
+
+  function pick(e) {
+    const i = Math.floor((e.clientY - e.currentTarget.getBoundingClientRect().top) / waterfallRowPx);
+    if (rows[i]) onSelect(rows[i]);
+  }
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1];
+  return (
+    <div>
+      <div style={styles.waterfallTime}>{locale.t('spectrum.newest', { time: locale.dateTime(rows[0].at) })}</div>
+      <canvas ref={canvasRef} style={{ ...styles.waterfall, height }} onClick={pick} />
+      <div style={styles.waterfallTime}>{locale.t('spectrum.oldest', { time: locale.dateTime(rows[rows.length - 1].at) })}</div>
+      <div style={styles.freqAxis}>
+        {ticks.map((f) => <span key={f}>{locale.number(Math.round(f * maxFreq))} Hz</span>)}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  input: {
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: 6
+  },
+  chartBox: {
+    position: 'relative',
+    height: 280,
+    marginTop: 8
+  },
+  subtitle: {
+    margin: '12px 0 6px'
+  },
+  table: {
+    fontSize: 13,
+    borderCollapse: 'collapse'
+  },
+  th: {
+    textAlign: 'left',
+    fontWeight: 500,
+    color: '#666',
+    padding: '2px 16px 2px 0'
+  },
+  td: {
+    padding: '2px 16px 2px 0'
+  },
+  waterfall: {
+    display: 'block',
+    width: '100%',
+    cursor: 'pointer',
+    background: heatColor(0)
+  },
+  waterfallTime: {
+    fontSize: 11,
+    color: '#666',
+    margin: '2px 0'
+  },
+  freqAxis: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    fontSize: 11,
+    color: '#666',
+    marginTop: 2
+  },
+  btn: {
+    padding: '8px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
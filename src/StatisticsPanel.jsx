@@ -0,0 +1,320 @@
+import React, { useMemo, useState } from 'react';
+import { Bar, Scatter } from 'react-chartjs-2';
+import { Chart as ChartJS, BarElement, CategoryScale, PointElement, LinearScale, Tooltip } from 'chart.js';
+import { PERCENTILES, STATS_METRICS, histogram, windowStatistics } from './statistics';
+import { METRICS } from './metrics';
+import { useLocale } from './locale';
+ChartJS.register(BarElement, CategoryScale, PointElement, LinearScale, Tooltip);
+
+const maxScatterPoints = 2000; // longer windows plot every n-th sample
+const histogramBins = 20;
+
+// Blue for the oldest sample in the window through to red for the newest
+const timeColor = (f) => `hsl(${Math.round(240 * (1 - f))}, 75%, 45%)`;
+
+// Cell shade for a correlation: blue positive, red negative
+function correlationColor(r) {
+  if (r === null) return '#f8f9fa';
+  const alpha = Math.abs(r) * 0.6;
+  return r >= 0 ? `rgba(24,100,171,${alpha})` : `rgba(201,42,42,${alpha})`;
+}
+
+// Statistics of the samples on screen: `records` (newest first) and
+// `valueOf(record, metric)` as the chart gets them, so it follows the live
+// window, a history range or a replay and updates with them
+export default function StatisticsPanel({ records, valueOf, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const stats = useMemo(() => windowStatistics(records, valueOf), [records, valueOf]);
+  const shown = STATS_METRICS.filter((m) => stats.summaries[m]);
+  const [histMetric, setHistMetric] = useState('temp');
+  const [xMetric, setXMetric] = useState('load');
+  const [yMetric, setYMetric] = useState('vibration');
+
+  // Absolute values rounded for the table; std is a spread, so it converts
+  // without the unit's offset
+  const show = (metric, v) => locale.format(metric, +v.toFixed(2));
+  const showSpread = (metric, v) => {
+    const u = locale.unit(metric);
+    const n = locale.number(+locale.value(metric, v, { delta: true }).toFixed(2));
+    return u ? `${n} ${u}` : n;
+  };
+
+  const bins = useMemo(() => histogram(stats.columns[histMetric] ?? [], histogramBins), [stats, histMetric]);
+  const histData = useMemo(() => ({
+    labels: bins.map((b) => locale.number(+locale.value(histMetric, (b.from + b.to) / 2).toFixed(2))),
+    datasets: [{
+      label: t('stats.samplesAxis'),
+      data: bins.map((b) => b.count),
+      backgroundColor: METRICS[histMetric].color,
+      barPercentage: 1,
+      categoryPercentage: 1
+    }]
+  }), [bins, histMetric, locale, t]);
+  const histOptions = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { title: { display: true, text: `${locale.label(histMetric)} (${locale.unit(histMetric)})` } },
+      y: { beginAtZero: true, title: { display: true, text: t('stats.samplesAxis') } }
+    },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          title: (items) => {
+            const b = bins[items[0].dataIndex];
+            return `${locale.format(histMetric, +b.from.toFixed(2))} – ${locale.format(histMetric, +b.to.toFixed(2))}`;
+          }
+        }
+      }
+    }
+  }), [bins, histMetric, locale, t]);
+
+  // Oldest first, so the newest points are drawn on top
+  const scatterData = useMemo(() => {
+    const step = Math.ceil(records.length / maxScatterPoints);
+    const points = [];
+    for (let i = records.length - 1; i >= 0; i -= step) {
+      const x = stats.columns[xMetric]?.[i];
+      const y = stats.columns[yMetric]?.[i];
+      if (typeof x === 'number' && typeof y === 'number') points.push({ x: locale.value(xMetric, x), y: locale.value(yMetric, y), at: records[i].createdAt });
+    }
+    const first = points[0]?.at?.getTime() ?? 0;
+    const span = (points[points.length - 1]?.at?.getTime() ?? 0) - first;
+    const colors = points.map((p) => timeColor(span > 0 ? (p.at.getTime() - first) / span : 1));
+    return { datasets: [{ data: points, backgroundColor: colors, borderColor: colors, pointRadius: 2 }] };
+  }, [records, stats, xMetric, yMetric, locale]);
+  const scatterOptions = useMemo(() => ({
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    scales: {
+      x: { type: 'linear', title: { display: true, text: `${locale.label(xMetric)} (${locale.unit(xMetric)})` } },
+      y: { type: 'linear', title: { display: true, text: `${locale.label(yMetric)} (${locale.unit(yMetric)})` } }
+    },
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (item) => `${locale.dateTime(item.raw.at)}: ${locale.number(+item.raw.x.toFixed(2))}, ${locale.number(+item.raw.y.toFixed(2))}`
+        }
+      }
+    }
+  }), [xMetric, yMetric, locale]);
+  const scatterPoints = scatterData.datasets[0].data;
+
+  function plotPair(a, b) {
+    if (a === b) {
+      setHistMetric(a);
+      return;
+    }
+    setXMetric(a);
+    setYMetric(b);
+  }
+
+  const metricSelect = (value, onChange) => (
+    <select style={styles.input} value={value} onChange={(e) => onChange(e.target.value)}>
+      {STATS_METRICS.map((m) => <option key={m} value={m}>{locale.label(m)}</option>)}
+    </select>
+  );
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('stats.title')}</h3>
+      <div style={{ fontSize: 13, color: '#666', marginBottom: 8 }}>{t('stats.samples', { count: records.length })}</div>
+
+      {shown.length === 0 ? (
+        <div style={{ color: '#666', marginBottom: 10 }}>{t('stats.empty')}</div>
+      ) : (
+        <>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th style={styles.th}>{t('stats.metric')}</th>
+                  <th style={styles.num}>{t('stats.count')}</th>
+                  <th style={styles.num}>{t('stats.min')}</th>
+                  <th style={styles.num}>{t('stats.max')}</th>
+                  <th style={styles.num}>{t('stats.mean')}</th>
+                  <th style={styles.num}>{t('stats.std')}</th>
+                  {PERCENTILES.map((p) => <th key={p} style={styles.num}>{t('stats.percentile', { p })}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((metric) => {
+                  const s = stats.summaries[metric];
+                  return (
+                    <tr
+                      key={metric}
+                      style={{ cursor: 'pointer', background: metric === histMetric ? '#e7f1ff' : undefined }}
+                      onClick={() => setHistMetric(metric)}
+                    >
+                      <td style={styles.th}>{locale.label(metric)}</td>
+                      <td style={styles.num}>{locale.number(s.count)}</td>
+                      <td style={styles.num}>{show(metric, s.min)}</td>
+                      <td style={styles.num}>{show(metric, s.max)}</td>
+                      <td style={styles.num}>{show(metric, s.mean)}</td>
+                      <td style={styles.num}>{showSpread(metric, s.std)}</td>
+                      {PERCENTILES.map((p) => <td key={p} style={styles.num}>{show(metric, s.percentiles[p])}</td>)}
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div style={styles.charts}>
+            <div style={styles.chartColumn}>
+              <h4 style={styles.subtitle}>
+                {t('stats.histogram')} {metricSelect(histMetric, setHistMetric)}
+              </h4>
+              {bins.length ? (
+                <div style={styles.chartBox}><Bar data={histData} options={histOptions} /></div>
+              ) : (
+                <div style={styles.noData}>{t('stats.noData', { metric: locale.label(histMetric) })}</div>
+              )}
+            </div>
+
+            <div style={styles.chartColumn}>
+              <h4 style={styles.subtitle}>
+                {t('stats.scatter')} {metricSelect(xMetric, setXMetric)} {t('stats.versus')} {metricSelect(yMetric, setYMetric)}
+              </h4>
+              {scatterPoints.length ? (
+                <>
+                  <div style={styles.chartBox}><Scatter data={scatterData} options={scatterOptions} /></div>
+                  <div style={styles.timeLegend}>
+                    {locale.dateTime(scatterPoints[0].at)}
+                    <span style={styles.gradient} />
+                    {locale.dateTime(scatterPoints[scatterPoints.length - 1].at)}
+                  </div>
+                </>
+              ) : (
+                <div style={styles.noData}>{t('stats.noPairs')}</div>
+              )}
+            </div>
+          </div>
+
+          <h4 style={styles.subtitle}>{t('stats.correlation')}</h4>
+          <div style={{ fontSize: 12, color: '#666', marginBottom: 6 }}>{t('stats.correlationHint')}</div>
+          <div style={{ overflowX: 'auto' }}>
+            <table style={styles.table}>
+              <thead>
+                <tr>
+                  <th />
+                  {shown.map((m) => <th key={m} style={styles.num}>{locale.shortLabel(m)}</th>)}
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((a) => (
+                  <tr key={a}>
+                    <th style={styles.th}>{locale.shortLabel(a)}</th>
+                    {shown.map((b) => {
+                      const r = stats.matrix[a][b];
+                      const selected = a === xMetric && b === yMetric;
+                      return (
+                        <td
+                          key={b}
+                          title={`${locale.label(a)} / ${locale.label(b)}`}
+                          style={{ ...styles.cell, background: correlationColor(r), outline: selected ? '2px solid #343a40' : 'none' }}
+                          onClick={() => plotPair(a, b)}
+                        >
+                          {r === null ? '—' : locale.number(+r.toFixed(2))}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+
+      <button style={{ ...styles.btn, background: '#888', marginTop: 10 }} onClick={onClose}>{t('common.close')}</button>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  input: {
+    padding: '4px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 6,
+    fontWeight: 400
+  },
+  table: {
+    fontSize: 12,
+    borderCollapse: 'collapse'
+  },
+  th: {
+    textAlign: 'left',
+    fontWeight: 500,
+    color: '#666',
+    padding: '3px 12px 3px 0',
+    whiteSpace: 'nowrap'
+  },
+  num: {
+    textAlign: 'right',
+    padding: '3px 8px',
+    whiteSpace: 'nowrap'
+  },
+  cell: {
+    textAlign: 'center',
+    minWidth: 44,
+    padding: '4px 6px',
+    border: '1px solid #fff',
+    cursor: 'pointer'
+  },
+  charts: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: 18,
+    marginTop: 12
+  },
+  chartColumn: {
+    flex: '1 1 360px',
+    minWidth: 0
+  },
+  chartBox: {
+    position: 'relative',
+    height: 260
+  },
+  subtitle: {
+    margin: '12px 0 6px'
+  },
+  noData: {
+    color: '#666',
+    fontSize: 13
+  },
+  timeLegend: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: 8,
+    fontSize: 11,
+    color: '#666',
+    marginTop: 4
+  },
+  gradient: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    background: `linear-gradient(to right, ${timeColor(0)}, ${timeColor(0.5)}, ${timeColor(1)})`
+  },
+  btn: {
+    padding: '8px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
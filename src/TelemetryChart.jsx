@@ -0,0 +1,333 @@
+import React, { useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  LineElement,
+  PointElement,
+  LinearScale,
+  TimeScale,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import 'chartjs-adapter-date-fns';
+import zoomPlugin from 'chartjs-plugin-zoom';
+import { lttb } from './downsample';
+import { METRICS } from './metrics';
+import { ANNOTATION_COLORS } from './annotations';
+import { useLocale } from './locale';
+ChartJS.register(LineElement, PointElement, LinearScale, TimeScale, Title, Tooltip, Legend, zoomPlugin);
+
+const maxChartPoints = 1000; // longer series are downsampled before charting
+const anomalyColor = '#fd7e14';
+
+// Shades the region outside each rule's allowed band, on the metric's own axis
+const thresholdBands = {
+  id: 'thresholdBands',
+  beforeDatasetsDraw(chart, args, opts) {
+    const { ctx, chartArea } = chart;
+    for (const band of opts.bands || []) {
+      const scale = chart.scales[band.axisId];
+      if (!scale) continue;
+      ctx.save();
+      ctx.fillStyle = band.color;
+      if (band.max !== null && band.max !== undefined) {
+        const y = Math.min(scale.getPixelForValue(band.max), chartArea.bottom);
+        if (y > chartArea.top) ctx.fillRect(chartArea.left, chartArea.top, chartArea.width, y - chartArea.top);
+      }
+      if (band.min !== null && band.min !== undefined) {
+        const y = Math.max(scale.getPixelForValue(band.min), chartArea.top);
+        if (y < chartArea.bottom) ctx.fillRect(chartArea.left, y, chartArea.width, chartArea.bottom - y);
+      }
+      ctx.restore();
+    }
+  }
+};
+
+// Vertical line through the instant the tooltip is showing
+const crosshair = {
+  id: 'crosshair',
+  afterDraw(chart) {
+    const active = chart.tooltip?.getActiveElements();
+    if (!active?.length) return;
+    const { ctx, chartArea } = chart;
+    const x = active[0].element.x;
+    ctx.save();
+    ctx.beginPath();
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = 'rgba(0,0,0,0.35)';
+    ctx.setLineDash([4, 4]);
+    ctx.stroke();
+    ctx.restore();
+  }
+};
+
+// Annotations as vertical lines with a flag at the top; hovering near one
+// shows its text. `opts.markers` is [{ x, color, lines }].
+const eventMarkers = {
+  id: 'eventMarkers',
+  afterEvent(chart, args, opts) {
+    const { event } = args;
+    const { chartArea, scales } = chart;
+    let hovered = null;
+    if (event.type === 'mousemove' && event.y >= chartArea.top && event.y <= chartArea.bottom) {
+      hovered = (opts.markers || []).find((m) => Math.abs(scales.x.getPixelForValue(m.x) - event.x) <= 4) ?? null;
+    }
+    if (hovered !== chart.$hoveredMarker) {
+      chart.$hoveredMarker = hovered;
+      args.changed = true;
+    }
+  },
+  afterDatasetsDraw(chart, args, opts) {
+    const { ctx, chartArea, scales } = chart;
+    for (const m of opts.markers || []) {
+      const x = scales.x.getPixelForValue(m.x);
+      if (x < chartArea.left || x > chartArea.right) continue;
+      ctx.save();
+      ctx.beginPath();
+      ctx.moveTo(x, chartArea.top);
+      ctx.lineTo(x, chartArea.bottom);
+      ctx.lineWidth = m === chart.$hoveredMarker ? 2 : 1;
+      ctx.strokeStyle = m.color;
+      ctx.stroke();
+      ctx.fillStyle = m.color;
+      ctx.fillRect(x, chartArea.top, 8, 6);
+      ctx.restore();
+    }
+  },
+  afterDraw(chart) {
+    const m = chart.$hoveredMarker;
+    if (!m) return;
+    const { ctx, chartArea, scales } = chart;
+    const x = scales.x.getPixelForValue(m.x);
+    ctx.save();
+    ctx.font = '12px system-ui';
+    const width = Math.max(...m.lines.map((l) => ctx.measureText(l).width)) + 12;
+    const height = m.lines.length * 16 + 8;
+    const left = Math.min(x + 6, chartArea.right - width);
+    ctx.fillStyle = 'rgba(255,255,255,0.95)';
+    ctx.strokeStyle = m.color;
+    ctx.fillRect(left, chartArea.top + 10, width, height);
+    ctx.strokeRect(left, chartArea.top + 10, width, height);
+    ctx.fillStyle = '#111';
+    m.lines.forEach((line, i) => ctx.fillText(line, left + 6, chartArea.top + 26 + i * 16));
+    ctx.restore();
+  }
+};
+
+// Metrics with the same unit share an axis
+function axisOf(metric) {
+  return `y-${METRICS[metric].unit || metric}`;
+}
+
+function withAlpha(hex, alpha) {
+  const n = parseInt(hex.slice(1), 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+function medianInterval(times) {
+  const diffs = times.slice(1).map((t, i) => t - times[i]).filter((d) => d > 0).sort((a, b) => a - b);
+  return diffs.length ? diffs[Math.floor(diffs.length / 2)] : null;
+}
+
+// Overlay of several metrics on a real time axis, one y-axis per unit.
+// `records` is newest first; `alarmSeries` and `anomalySeries` are the alarm
+// engine and anomaly detector output for the same records, oldest first.
+// `valueOf(record, metric)` overrides how a metric's value is read (used for
+// metrics that are not stored on records). `annotations` are drawn as
+// markers. Values, axes, bands and times are shown in the locale's units and
+// time zone.
+export default function TelemetryChart({ records, metrics, rules, alarmSeries, anomalySeries = [], annotations = [], valueOf, chartRef, onPan }) {
+  const locale = useLocale();
+  // Visible x range after zoom/pan; null = fit all data
+  const [viewWindow, setViewWindow] = useState(null);
+
+  const { chartData, gap } = useMemo(() => {
+    const all = [...records].reverse();
+    const read = (r, metric) => {
+      const v = valueOf ? valueOf(r, metric) : r[metric];
+      return typeof v === 'number' ? locale.value(metric, v) : null;
+    };
+
+    // Only downsample what is on screen, so zooming in reveals detail
+    let start = 0;
+    let end = all.length;
+    if (viewWindow) {
+      while (start < end && all[start].createdAt?.getTime() < viewWindow.min) start++;
+      while (end > start && all[end - 1].createdAt?.getTime() > viewWindow.max) end--;
+      start = Math.max(0, start - 1);
+      end = Math.min(all.length, end + 1);
+    }
+    const xs = all.slice(start, end).map((r) => r.createdAt?.getTime() ?? 0);
+
+    // Union of each metric's LTTB picks keeps every series' shape while
+    // letting all datasets share x positions (needed for the index tooltip)
+    let keep = xs.map((_, i) => i);
+    if (xs.length > maxChartPoints) {
+      const picked = new Set();
+      const perMetric = Math.ceil(maxChartPoints / metrics.length);
+      for (const metric of metrics) {
+        const ys = all.slice(start, end).map((r) => read(r, metric) ?? 0);
+        lttb(xs, ys, perMetric).forEach((i) => picked.add(i));
+      }
+      keep = [...picked].sort((a, b) => a - b);
+    }
+    const indices = keep.map((i) => i + start);
+
+    const datasets = metrics.map((metric) => {
+      const meta = METRICS[metric];
+      // Anomalies show as larger orange triangles, threshold alarms as red points
+      const found = indices.map((i) => (anomalySeries[i] || []).filter((a) => a.metric === metric));
+      const colors = indices.map((i, k) => {
+        if (alarmSeries[i]?.[metric]?.active) return 'red';
+        return found[k].length ? anomalyColor : meta.color;
+      });
+      const unit = locale.unit(metric);
+      return {
+        label: `${locale.label(metric)}${unit ? ` (${unit})` : ''}`,
+        data: indices.map((i, k) => ({
+          x: all[i].createdAt?.getTime() ?? null,
+          y: read(all[i], metric),
+          anomaly: found[k].map((a) => locale.t(`anomaly.detector.${a.detector}`)).join(', ')
+        })),
+        yAxisID: axisOf(metric),
+        borderColor: meta.color,
+        backgroundColor: meta.color,
+        pointBackgroundColor: colors,
+        pointBorderColor: colors,
+        fill: false,
+        tension: 0.3,
+        pointRadius: found.map((f) => (f.length ? 6 : 2)),
+        pointStyle: found.map((f) => (f.length ? 'triangle' : 'circle'))
+      };
+    });
+
+    // Lines are broken across gaps much longer than the usual sample interval
+    return { chartData: { datasets }, gap: medianInterval(xs) };
+  }, [records, metrics, alarmSeries, anomalySeries, valueOf, viewWindow, locale]);
+
+  const options = useMemo(() => {
+    const scales = {
+      x: {
+        type: 'time',
+        min: viewWindow?.min,
+        max: viewWindow?.max,
+        // Chart.js places ticks in the browser's zone; the labels are in the
+        // display zone
+        ticks: {
+          callback(value) {
+            return locale.axisTime(value, this.max - this.min);
+          }
+        }
+      }
+    };
+    const axes = [...new Set(metrics.map(axisOf))];
+    axes.forEach((axisId, i) => {
+      const onAxis = metrics.filter((m) => axisOf(m) === axisId);
+      const meta = METRICS[onAxis[0]];
+      const unit = locale.unit(onAxis[0]);
+      const label = onAxis.map((m) => locale.label(m)).join(' / ');
+      scales[axisId] = {
+        type: 'linear',
+        position: i % 2 ? 'right' : 'left',
+        title: { display: true, text: unit ? `${label} (${unit})` : label, color: meta.color },
+        ticks: { color: meta.color },
+        grid: { drawOnChartArea: i === 0 }
+      };
+    });
+
+    const bands = metrics
+      .filter((metric) => rules[metric])
+      .map((metric) => ({
+        axisId: axisOf(metric),
+        min: locale.value(metric, rules[metric].min),
+        max: locale.value(metric, rules[metric].max),
+        color: withAlpha(METRICS[metric].color, 0.08)
+      }));
+
+    const markers = annotations.map((a) => ({
+      x: a.at.getTime(),
+      color: ANNOTATION_COLORS[a.kind],
+      lines: [
+        `${locale.t(`annotation.kind.${a.kind}`)} • ${locale.dateTime(a.at)}`,
+        ...(a.text ? [a.text.length > 80 ? `${a.text.slice(0, 79)}…` : a.text] : []),
+        ...(a.by ? [locale.t('annotation.by', { user: a.by })] : [])
+      ]
+    }));
+
+    const onViewChange = ({ chart }) => setViewWindow({ min: chart.scales.x.min, max: chart.scales.x.max });
+
+    return {
+      responsive: true,
+      // Fills the widget it sits in, whatever its shape
+      maintainAspectRatio: false,
+      animation: false,
+      spanGaps: gap ? gap * 5 : true,
+      interaction: { mode: 'index', intersect: false },
+      scales,
+      plugins: {
+        legend: { display: true, position: 'bottom' },
+        title: { display: true, text: locale.t('chart.title', { metrics: metrics.map(locale.label).join(', ') }) },
+        tooltip: {
+          callbacks: {
+            title: (items) => (items.length ? locale.dateTime(new Date(items[0].parsed.x)) : ''),
+            label: (item) => {
+              const metric = metrics[item.datasetIndex];
+              const y = item.parsed.y;
+              return `${locale.label(metric)}: ${y === null || y === undefined ? '—' : locale.number(y)} ${locale.unit(metric)}`;
+            },
+            afterLabel: (item) => (item.raw.anomaly ? locale.t('chart.anomaly', { detectors: item.raw.anomaly }) : '')
+          }
+        },
+        thresholdBands: { bands },
+        eventMarkers: { markers },
+        zoom: {
+          pan: {
+            enabled: true,
+            mode: 'x',
+            onPanComplete: (ctx) => {
+              onViewChange(ctx);
+              if (onPan) onPan();
+            }
+          },
+          zoom: { wheel: { enabled: true }, pinch: { enabled: true }, mode: 'x', onZoomComplete: onViewChange }
+        }
+      }
+    };
+  }, [metrics, rules, annotations, viewWindow, gap, onPan, locale]);
+
+  function resetZoom() {
+    chartRef.current?.resetZoom();
+    setViewWindow(null);
+  }
+
+  return (
+    <>
+      <div style={styles.canvas}>
+        <Line ref={chartRef} data={chartData} options={options} plugins={[thresholdBands, crosshair, eventMarkers]} />
+      </div>
+      <button style={styles.zoomBtn} onClick={resetZoom}>{locale.t('chart.resetZoom')}</button>
+    </>
+  );
+}
+
+const styles = {
+  // Chart.js sizes the canvas to this box
+  canvas: {
+    position: 'relative',
+    flex: 1,
+    minHeight: 0
+  },
+  zoomBtn: {
+    marginTop: 6,
+    padding: '2px 8px',
+    background: 'none',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 12,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,72 @@
+import React, { useState } from 'react';
+import { RANGE_PRESETS } from './history';
+import { useLocale } from './locale';
+
+// Preset buttons plus a custom from/to. `range` is null in live mode;
+// `liveLabel` renames the live preset where it means something else.
+// <input type="datetime-local"> has no zone, so from/to are wall-clock
+// times in the display zone.
+export default function TimeRangePicker({ range, presetId, onChange, liveLabel }) {
+  const locale = useLocale();
+  const [from, setFrom] = useState(locale.wallTime(range?.from));
+  const [to, setTo] = useState(locale.wallTime(range?.to));
+
+  function applyCustom() {
+    if (!from || !to) return;
+    const next = { from: locale.fromWallTime(from), to: locale.fromWallTime(to) };
+    if (!next.from || !next.to || next.from >= next.to) return;
+    onChange(next, 'custom');
+  }
+
+  return (
+    <div style={styles.row}>
+      {RANGE_PRESETS.map((p) => (
+        <button
+          key={p.id}
+          style={{ ...styles.preset, ...(presetId === p.id ? styles.active : {}) }}
+          onClick={() => onChange(p.range(), p.id)}
+        >
+          {p.id === 'live' && liveLabel ? liveLabel : locale.t(`range.${p.id}`)}
+        </button>
+      ))}
+      <span style={{ marginLeft: 8, fontSize: 13, color: '#333' }}>{locale.t('range.from')} ({locale.timeZone})</span>
+      <input type="datetime-local" style={styles.input} value={from} onChange={(e) => setFrom(e.target.value)} />
+      <span style={{ fontSize: 13, color: '#333' }}>{locale.t('range.to')}</span>
+      <input type="datetime-local" style={styles.input} value={to} onChange={(e) => setTo(e.target.value)} />
+      <button
+        style={{ ...styles.preset, ...(presetId === 'custom' ? styles.active : {}) }}
+        onClick={applyCustom}
+      >
+        {locale.t('range.apply')}
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  row: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: 6,
+    marginBottom: 14
+  },
+  preset: {
+    padding: '6px 10px',
+    background: '#fff',
+    color: '#007bff',
+    border: '1px solid #cfe2ff',
+    borderRadius: 6,
+    fontSize: 13,
+    cursor: 'pointer'
+  },
+  active: {
+    background: '#007bff',
+    color: '#fff'
+  },
+  input: {
+    padding: '4px 6px',
+    border: '1px solid #ddd',
+    borderRadius: 4
+  }
+};
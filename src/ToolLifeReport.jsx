@@ -0,0 +1,138 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { Line } from 'react-chartjs-2';
+import { Chart as ChartJS, LineElement, PointElement, LinearScale, Tooltip, Legend } from 'chart.js';
+import { finishedTools, loadToolLifeReport } from './maintenance';
+import { METRICS } from './metrics';
+import { useLocale } from './locale';
+ChartJS.register(LineElement, PointElement, LinearScale, Tooltip, Legend);
+
+// Predicted vs actual remaining life for the tools the maintenance log shows
+// were replaced. `entries` is the machine's maintenance log.
+export default function ToolLifeReport({ machineId, entries, onClose }) {
+  const locale = useLocale();
+  const { t } = locale;
+  const tools = useMemo(() => finishedTools(entries), [entries]);
+  const [toolIndex, setToolIndex] = useState(0);
+  const tool = tools[toolIndex] ?? null;
+  const [report, setReport] = useState(null);
+  const [status, setStatus] = useState(null); // { key, params }, so it follows language changes
+
+  const fromMs = tool?.from.getTime();
+  const toMs = tool?.to.getTime();
+  useEffect(() => {
+    if (fromMs === undefined) return;
+    const controller = new AbortController();
+    setReport(null);
+    setStatus({ key: 'toolLife.loading' });
+    loadToolLifeReport(machineId, { from: new Date(fromMs), to: new Date(toMs) }, { signal: controller.signal })
+      .then((loaded) => {
+        if (controller.signal.aborted) return;
+        setReport(loaded);
+        setStatus(null);
+      })
+      .catch((err) => {
+        if (controller.signal.aborted) return;
+        console.error('Tool life report error', err);
+        setStatus({ key: 'toolLife.failed', params: { error: err.message || err } });
+      });
+    return () => controller.abort();
+  }, [machineId, fromMs, toMs]);
+
+  const chartData = useMemo(() => ({
+    datasets: report ? [
+      {
+        label: t('toolLife.predicted'),
+        data: report.points.map((p) => ({ x: p.used, y: p.predicted })),
+        borderColor: METRICS.rul.color,
+        backgroundColor: METRICS.rul.color,
+        pointRadius: 2,
+        borderWidth: 1
+      },
+      {
+        label: t('toolLife.actual'),
+        data: [{ x: 0, y: report.life }, { x: report.life, y: 0 }],
+        borderColor: '#495057',
+        borderDash: [6, 4],
+        pointRadius: 0,
+        borderWidth: 1
+      }
+    ] : []
+  }), [report, t]);
+
+  const options = useMemo(() => ({
+    responsive: true,
+    animation: false,
+    scales: {
+      x: { type: 'linear', min: 0, title: { display: true, text: t('toolLife.used') } },
+      y: { type: 'linear', min: 0, title: { display: true, text: locale.unit('rul') } }
+    },
+    plugins: { legend: { position: 'bottom' } }
+  }), [locale, t]);
+
+  return (
+    <div style={styles.panel}>
+      <h3 style={{ marginTop: 0 }}>{t('toolLife.title')}</h3>
+      {tools.length === 0 ? (
+        <div style={{ color: '#666', marginBottom: 10 }}>{t('toolLife.none')}</div>
+      ) : (
+        <>
+          <label style={{ fontSize: 13 }}>
+            {t('toolLife.tool')}{' '}
+            <select style={styles.input} value={toolIndex} onChange={(e) => setToolIndex(Number(e.target.value))}>
+              {tools.map((tl, i) => (
+                <option key={tl.from.getTime()} value={i}>
+                  {t('toolLife.period', { from: locale.dateTime(tl.from), to: locale.dateTime(tl.to) })}
+                </option>
+              ))}
+            </select>
+          </label>
+          {status && <div style={{ fontSize: 13, marginTop: 8 }}>{t(status.key, status.params)}</div>}
+          {report && (
+            <div style={{ fontSize: 13, marginTop: 8 }}>
+              {t('toolLife.life', { cycles: locale.format('rul', report.life), depth: locale.format('cumulativeDepth', report.depth) })}
+              <br />
+              {report.points.length === 0 ? (
+                <span style={{ color: '#666' }}>{t('toolLife.noPredictions')}</span>
+              ) : (
+                <>
+                  {t('toolLife.predictions', { count: report.points.length })}
+                  {' • '}{t('toolLife.mae', { value: locale.format('rul', +report.mae.toFixed(1)) })}
+                  {' • '}{t('toolLife.bias', { value: locale.format('rul', +report.bias.toFixed(1)) })}
+                </>
+              )}
+            </div>
+          )}
+          {report && report.points.length > 0 && (
+            <div style={{ maxWidth: 720, marginTop: 8 }}>
+              <Line data={chartData} options={options} />
+            </div>
+          )}
+        </>
+      )}
+      <button style={{ ...styles.btn, background: '#888', marginTop: 10 }} onClick={onClose}>{t('common.close')}</button>
+    </div>
+  );
+}
+
+const styles = {
+  panel: {
+    background: '#fff',
+    padding: 12,
+    borderRadius: 10,
+    boxShadow: '0 6px 18px rgba(10,20,40,0.04)',
+    marginBottom: 18
+  },
+  input: {
+    padding: '6px 8px',
+    border: '1px solid #ddd',
+    borderRadius: 6
+  },
+  btn: {
+    padding: '8px 12px',
+    background: '#007bff',
+    color: '#fff',
+    border: 'none',
+    borderRadius: 8,
+    cursor: 'pointer'
+  }
+};
@@ -0,0 +1,92 @@
+// Alarm rule engine. A rule per metric:
+//
+//   min, max      allowed band; null = no limit on that side
+//   maxRate       largest allowed change per second (absolute); null = off
+//   consecutive   violating samples in a row needed to raise (debounce)
+//   hysteresis    once raised, the value must come back this far inside the
+//                 band before the alarm clears
+//
+// The engine is pure: feed it samples oldest first and it returns the alarm
+// state of every metric after each sample.
+
+export const DEFAULT_RULES = {
+  temp: { min: null, max: 70, maxRate: null, consecutive: 1, hysteresis: 0 },
+  // RPM drops as the bit wears, so low RPM is the alarm condition
+  rpm: { min: 4000, max: null, maxRate: null, consecutive: 1, hysteresis: 0 },
+  load: { min: null, max: 20, maxRate: null, consecutive: 1, hysteresis: 0 },
+  vibration: { min: null, max: 5, maxRate: null, consecutive: 1, hysteresis: 0 },
+  depth: { min: null, max: 40, maxRate: null, consecutive: 1, hysteresis: 0 }
+};
+
+const isSet = (v) => v !== null && v !== undefined && v !== '';
+
+// Why a value breaks the rule ('low' | 'high' | 'rate'), or null if it doesn't.
+// `margin` shrinks the band, which is how hysteresis is applied while active.
+function violation(rule, value, rate, margin) {
+  if (isSet(rule.min) && value < rule.min + margin) return 'low';
+  if (isSet(rule.max) && value > rule.max - margin) return 'high';
+  if (isSet(rule.maxRate) && rate !== null && Math.abs(rate) > rule.maxRate) return 'rate';
+  return null;
+}
+
+function limitFor(rule, reason) {
+  if (reason === 'low') return rule.min;
+  if (reason === 'high') return rule.max;
+  return rule.maxRate;
+}
+
+const idle = { active: false, reason: null, count: 0 };
+
+// Advance one metric's state by one sample
+function step(rule, prev, sample, prevSample, metric) {
+  const value = sample[metric];
+  if (typeof value !== 'number') return prev;
+
+  const prevValue = prevSample?.[metric];
+  const dt = prevSample ? (sample.createdAt - prevSample.createdAt) / 1000 : 0;
+  const rate = typeof prevValue === 'number' && dt > 0 ? (value - prevValue) / dt : null;
+
+  if (prev.active) {
+    const reason = violation(rule, value, rate, Number(rule.hysteresis) || 0);
+    if (reason) return { ...prev, reason, value };
+    return { ...idle, value };
+  }
+
+  const reason = violation(rule, value, rate, 0);
+  if (!reason) return { ...idle, value };
+  const count = prev.count + 1;
+  if (count < Math.max(1, Number(rule.consecutive) || 1)) return { ...idle, count, value };
+  return {
+    active: true,
+    reason,
+    count,
+    value,
+    limit: limitFor(rule, reason),
+    since: sample.createdAt,
+    recordId: sample.id
+  };
+}
+
+// Evaluate `samples` (oldest first). Returns one { [metric]: state } per sample.
+export function evaluateSeries(samples, rules = DEFAULT_RULES) {
+  const out = [];
+  let state = Object.fromEntries(Object.keys(rules).map((m) => [m, idle]));
+  samples.forEach((sample, i) => {
+    const prevSample = i > 0 ? samples[i - 1] : null;
+    state = Object.fromEntries(
+      Object.entries(rules).map(([metric, rule]) => [
+        metric,
+        step(rule, state[metric], sample, prevSample, metric)
+      ])
+    );
+    out.push(state);
+  });
+  return out;
+}
+
+// Alarm state after the newest sample; `records` is newest first, as delivered
+// by the data source.
+export function latestAlarmState(records, rules = DEFAULT_RULES) {
+  const series = evaluateSeries([...records].reverse(), rules);
+  return series[series.length - 1] || {};
+}
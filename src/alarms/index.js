@@ -0,0 +1,134 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { dataSource } from '../dataSource';
+import { DEFAULT_RULES, evaluateSeries } from './engine';
+import { anomalyState } from '../anomaly';
+import { rulAlarmState } from '../predictions';
+
+export { DEFAULT_RULES, evaluateSeries, latestAlarmState } from './engine';
+
+const ruleStore = dataSource.docs('alarmRules'); // one doc per machine: { id: machineId, rules }
+const logStore = dataSource.docs('alarms');
+
+// Rules for one machine, falling back to the defaults for unset metrics
+export function useAlarmRules(machineId) {
+  const [saved, setSaved] = useState(null);
+
+  useEffect(() => ruleStore.subscribe(
+    (docs) => setSaved(docs.find((d) => d.id === machineId)?.rules || null),
+    (err) => console.error('Alarm rules error', err)
+  ), [machineId]);
+
+  const rules = useMemo(() => {
+    const merged = {};
+    for (const metric of Object.keys(DEFAULT_RULES)) {
+      merged[metric] = { ...DEFAULT_RULES[metric], ...saved?.[metric] };
+    }
+    return merged;
+  }, [saved]);
+
+  const save = (next) => ruleStore.put({ id: machineId, rules: next });
+  return [rules, save];
+}
+
+// Alarm log entries for one machine, newest first:
+// { id, machineId, metric, reason, value, limit, raisedAt, clearedAt,
+//   acknowledgedAt, acknowledgedBy, notes: [{ text, by, at }] }
+export function useAlarmLog(machineId) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => logStore.subscribe(
+    (docs) => setEntries(
+      docs
+        .filter((d) => d.machineId === machineId)
+        .sort((a, b) => b.raisedAt - a.raisedAt)
+    ),
+    (err) => console.error('Alarm log error', err)
+  ), [machineId]);
+
+  return entries;
+}
+
+// `user` is the signed-in user ({ uid, email })
+export function acknowledgeAlarm(entry, user) {
+  return logStore.put({ ...entry, acknowledgedAt: new Date(), acknowledgedBy: user?.email ?? user?.uid ?? null });
+}
+
+// Notes keep an ISO time string: nested dates don't round-trip every adapter
+export function addAlarmNote(entry, text, user) {
+  const note = { text, by: user?.email ?? user?.uid ?? null, at: new Date().toISOString() };
+  return logStore.put({ ...entry, notes: [...(entry.notes || []), note] });
+}
+
+// Runs the rule engine over `records` (newest first) and keeps the alarm log
+// in step with it: an entry is opened when a metric goes into alarm and
+// closed when it clears. Pass logChanges: false for records that are not live
+// (history), which must not touch the log. Pass the `watchdog` state
+// (see useWatchdog) to also log "no data" alarms under the metric 'data',
+// the `anomalies` series (see useAnomalies) to log detected anomalies
+// under 'anomaly', and the ML `predictions` (Map recordId -> { rul }) to log
+// low remaining life under 'rul'. Returns the per-record series (oldest
+// first) and the current state.
+export function useAlarms(machineId, records, rules, { logChanges = true, watchdog = null, anomalies = null, predictions = null } = {}) {
+  const log = useAlarmLog(machineId);
+  const series = useMemo(() => evaluateSeries([...records].reverse(), rules), [records, rules]);
+  const stale = watchdog?.stale ?? false;
+  const threshold = watchdog ? Math.round(watchdog.threshold) : null;
+  const current = useMemo(() => {
+    const latest = { ...series[series.length - 1] };
+    if (anomalies && records.length) latest.anomaly = anomalyState(anomalies, [...records].reverse());
+    if (predictions) latest.rul = rulAlarmState([...records].reverse(), predictions);
+    if (threshold === null || !records[0]) return latest;
+    const last = records[0];
+    return {
+      ...latest,
+      data: {
+        active: stale,
+        reason: 'stale',
+        value: threshold,
+        limit: threshold,
+        since: new Date(last.createdAt.getTime() + threshold * 1000),
+        recordId: last.id
+      }
+    };
+  }, [series, records, stale, threshold, anomalies, predictions]);
+  // Writes already sent but not yet reflected in `log`
+  const pending = useRef(new Set());
+
+  useEffect(() => {
+    if (!logChanges || records.length === 0) return;
+    for (const [metric, state] of Object.entries(current)) {
+      const open = log.find((e) => e.metric === metric && !e.clearedAt);
+      if (state.active && !open) {
+        // Keyed by the raising sample, so two open dashboards write one entry
+        const id = `${machineId}:${metric}:${state.recordId}`;
+        if (pending.current.has(id)) continue;
+        pending.current.add(id);
+        logStore.put({
+          id,
+          machineId,
+          metric,
+          reason: state.reason,
+          value: state.value,
+          limit: state.limit,
+          raisedAt: state.since,
+          clearedAt: null,
+          acknowledgedAt: null
+        }).catch((err) => {
+          // Retried on the next evaluation
+          pending.current.delete(id);
+          console.error('Alarm log write error', err);
+        });
+      } else if (!state.active && open) {
+        const key = `clear:${open.id}`;
+        if (pending.current.has(key)) continue;
+        pending.current.add(key);
+        logStore.put({ ...open, clearedAt: new Date() }).catch((err) => {
+          pending.current.delete(key);
+          console.error('Alarm log write error', err);
+        });
+      }
+    }
+  }, [machineId, records.length, current, log, logChanges]);
+
+  return { series, current, log };
+}
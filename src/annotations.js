@@ -0,0 +1,72 @@
+import { useEffect, useState } from 'react';
+import { dataSource } from './dataSource';
+import { can } from './auth';
+
+// A free-text note, or a typed event marker
+export const ANNOTATION_KINDS = ['note', 'start', 'stop', 'fault', 'inspection'];
+
+// Marker colour on the chart and in the timeline
+export const ANNOTATION_COLORS = {
+  note: '#495057',
+  start: '#2b8a3e',
+  stop: '#868e96',
+  fault: '#c92a2a',
+  inspection: '#1971c2'
+};
+
+const annotationStore = dataSource.docs('annotations');
+
+// Annotations on one machine, newest first:
+// { id, machineId, kind, at, text, recordId, by }
+// `recordId` ties one to a sample (and `at` is that sample's time); null
+// pins it to `at` alone.
+export function useAnnotations(machineId) {
+  const [annotations, setAnnotations] = useState([]);
+
+  useEffect(() => annotationStore.subscribe(
+    (docs) => setAnnotations(
+      docs
+        .filter((d) => d.machineId === machineId)
+        .sort((a, b) => b.at - a.at)
+    ),
+    (err) => console.error('Annotations error', err)
+  ), [machineId]);
+
+  return annotations;
+}
+
+// `record` (optional) is the sample it is about; `user` the signed-in user
+export function addAnnotation({ machineId, kind, at = new Date(), text = '', record = null }, user) {
+  if (!ANNOTATION_KINDS.includes(kind)) throw new Error(`Unknown annotation kind "${kind}"`);
+  if (kind === 'note' && !text.trim()) throw new Error('A note needs text');
+  return annotationStore.put({
+    machineId,
+    kind,
+    at: record?.createdAt ?? at,
+    text: text.trim(),
+    recordId: record?.id ?? null,
+    by: user?.email ?? user?.uid ?? null
+  });
+}
+
+export function removeAnnotation(annotation) {
+  return annotationStore.remove(annotation.id);
+}
+
+// Whoever wrote an annotation can remove it again, and admins any
+export function canRemoveAnnotation(annotation, user) {
+  return can(user?.role, 'settings') || (!!user?.uid && annotation.writtenBy?.uid === user.uid);
+}
+
+// Annotations by the sample they are about, for the rows of an export:
+// { byRecord: Map(recordId -> [annotation]), pinned: [annotation] } with
+// the time-pinned ones oldest first
+export function splitAnnotations(annotations) {
+  const byRecord = new Map();
+  const pinned = [];
+  for (const a of annotations) {
+    if (a.recordId) byRecord.set(a.recordId, [...(byRecord.get(a.recordId) ?? []), a]);
+    else pinned.push(a);
+  }
+  return { byRecord, pinned: pinned.sort((a, b) => a.at - b.at) };
+}
@@ -0,0 +1,243 @@
+// Statistical anomaly detection over a telemetry stream. Unlike the alarm
+// rules it needs no limits: each detector learns a baseline from the
+// preceding samples.
+//
+//   zscore        value more than `z` residual standard deviations off the
+//                 rolling trend
+//   ewma          EWMA control chart of the residuals: leaves ± L·σ_ewma
+//   cusum         two-sided CUSUM of the residuals, for slow drift
+//   multivariate  Mahalanobis distance of the joint sample (e.g. high load at
+//                 low rpm, each fine on its own)
+//
+// Like the alarm engine it is pure: feed samples oldest first and it returns,
+// per sample, the list of anomalies found on it.
+
+export const ANOMALY_METRICS = ['temp', 'rpm', 'load', 'vibration'];
+
+// Tuned on the simulator: under 2% of healthy samples flagged, while bit
+// breakage, bearing failure and coolant loss are all caught
+export const DEFAULT_ANOMALY_SETTINGS = {
+  window: 30, // samples in the rolling baseline; nothing is flagged before
+  z: 3.5,
+  ewmaLambda: 0.2,
+  ewmaL: 3.5,
+  cusumWindow: 120, // samples in CUSUM's longer baseline
+  cusumK: 0.5, // slack, in residual standard deviations
+  cusumH: 8, // decision interval, in residual standard deviations
+  // Squared Mahalanobis distance: the 99.9% point of Hotelling's T² for 4
+  // metrics and a 30-sample baseline
+  mahalanobis: 29.5
+};
+
+// Detector ids; the locale has their names (anomaly.detector.*)
+export const DETECTORS = ['zscore', 'ewma', 'cusum', 'multivariate'];
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// Least-squares line through the last `size` (t, value) points, so a steady
+// trend such as bit wear is part of the baseline rather than an anomaly
+function rollingTrend(size) {
+  const points = [];
+  let st = 0;
+  let sv = 0;
+  let stt = 0;
+  let stv = 0;
+  let svv = 0;
+  const add = ([t, v], sign) => {
+    st += sign * t;
+    sv += sign * v;
+    stt += sign * t * t;
+    stv += sign * t * v;
+    svv += sign * v * v;
+  };
+  return {
+    get full() {
+      return points.length === size;
+    },
+    push(t, v) {
+      points.push([t, v]);
+      add([t, v], 1);
+      if (points.length > size) add(points.shift(), -1);
+    },
+    // { predicted value at t, residual standard deviation }
+    fit(t) {
+      const n = points.length;
+      const sxx = stt - (st * st) / n;
+      const sxy = stv - (st * sv) / n;
+      const syy = svv - (sv * sv) / n;
+      const slope = sxx > 0 ? sxy / sxx : 0;
+      const predicted = sv / n + slope * (t - st / n);
+      return { predicted, std: Math.sqrt(Math.max(syy - slope * sxy, 0) / (n - 2)) };
+    }
+  };
+}
+
+// Mean vector and covariance matrix of the last `size` vectors pushed
+function rollingCovariance(size, dim) {
+  const vectors = [];
+  const sum = new Array(dim).fill(0);
+  const outer = Array.from({ length: dim }, () => new Array(dim).fill(0));
+  const add = (v, sign) => {
+    for (let i = 0; i < dim; i++) {
+      sum[i] += sign * v[i];
+      for (let j = 0; j < dim; j++) outer[i][j] += sign * v[i] * v[j];
+    }
+  };
+  return {
+    get full() {
+      return vectors.length === size;
+    },
+    push(v) {
+      vectors.push(v);
+      add(v, 1);
+      if (vectors.length > size) add(vectors.shift(), -1);
+    },
+    mean() {
+      return sum.map((s) => s / vectors.length);
+    },
+    covariance() {
+      const n = vectors.length;
+      return outer.map((row, i) => row.map((s, j) => (s - (sum[i] * sum[j]) / n) / (n - 1)));
+    }
+  };
+}
+
+// Solves A x = b by Gaussian elimination with partial pivoting; null if singular
+function solve(A, b) {
+  const n = b.length;
+  const m = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(m[r][c]) > Math.abs(m[pivot][c])) pivot = r;
+    if (Math.abs(m[pivot][c]) < 1e-12) return null;
+    [m[c], m[pivot]] = [m[pivot], m[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = m[r][c] / m[c][c];
+      for (let k = c; k <= n; k++) m[r][k] -= f * m[c][k];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let s = m[r][n];
+    for (let k = r + 1; k < n; k++) s -= m[r][k] * x[k];
+    x[r] = s / m[r][r];
+  }
+  return x;
+}
+
+// Per-metric univariate detectors, all working on the residual from the
+// rolling trend's prediction for the new sample
+function metricDetector(settings) {
+  const { window, z, ewmaLambda, ewmaL, cusumWindow, cusumK, cusumH } = settings;
+  const trend = rollingTrend(window);
+  // A longer line for CUSUM: it follows steady wear but lags behind a
+  // process that is speeding up, which is the drift we want to catch
+  const longTrend = rollingTrend(cusumWindow);
+  let t = 0;
+  let ewma = 0;
+  let hi = 0;
+  let lo = 0;
+
+  return (value) => {
+    const found = [];
+    const { predicted, std } = trend.full ? trend.fit(t) : {};
+    if (std > 0) {
+      const r = (value - predicted) / std; // in residual standard deviations
+
+      if (Math.abs(r) > z) found.push({ detector: 'zscore', score: Math.abs(r), direction: r < 0 ? 'low' : 'high' });
+
+      ewma = ewmaLambda * r + (1 - ewmaLambda) * ewma;
+      const ewmaScore = Math.abs(ewma) / Math.sqrt(ewmaLambda / (2 - ewmaLambda));
+      if (ewmaScore > ewmaL) found.push({ detector: 'ewma', score: ewmaScore, direction: ewma < 0 ? 'low' : 'high' });
+
+    }
+
+    const long = longTrend.full ? longTrend.fit(t) : {};
+    if (long.std > 0) {
+      // Small persistent offsets add up; the sums restart after a detection
+      const d = (value - long.predicted) / long.std;
+      hi = Math.max(0, hi + d - cusumK);
+      lo = Math.max(0, lo - d - cusumK);
+      if (hi > cusumH || lo > cusumH) {
+        found.push({ detector: 'cusum', score: Math.max(hi, lo), direction: hi > cusumH ? 'high' : 'low' });
+        hi = 0;
+        lo = 0;
+      }
+    }
+    trend.push(t, value);
+    longTrend.push(t++, value);
+    return found;
+  };
+}
+
+// Stateful detector for one stream: push samples oldest first and each call
+// returns the anomalies found on that sample ([{ metric, detector, score,
+// direction }], empty when none)
+export function createAnomalyDetector(settings = DEFAULT_ANOMALY_SETTINGS) {
+  const detectors = Object.fromEntries(ANOMALY_METRICS.map((m) => [m, metricDetector(settings)]));
+  const joint = rollingCovariance(settings.window, ANOMALY_METRICS.length);
+
+  return {
+    push(sample) {
+      const found = [];
+      for (const metric of ANOMALY_METRICS) {
+        if (!isNum(sample[metric])) continue;
+        for (const a of detectors[metric](sample[metric])) found.push({ metric, ...a });
+      }
+
+      const x = ANOMALY_METRICS.map((m) => sample[m]);
+      if (!x.every(isNum)) return found;
+      if (joint.full) {
+        const mean = joint.mean();
+        const diff = x.map((v, i) => v - mean[i]);
+        // A small ridge keeps near-constant metrics from making Σ singular
+        const cov = joint.covariance().map((row, i) => row.map((c, j) => (i === j ? c + 1e-9 + c * 1e-6 : c)));
+        const w = solve(cov, diff);
+        if (w) {
+          const parts = diff.map((d, i) => d * w[i]);
+          const d2 = parts.reduce((a, b) => a + b, 0);
+          if (d2 > settings.mahalanobis) {
+            // Attribute it to the metric contributing most to the distance
+            const top = parts.indexOf(Math.max(...parts));
+            found.push({
+              metric: ANOMALY_METRICS[top],
+              detector: 'multivariate',
+              score: Math.sqrt(d2),
+              direction: diff[top] < 0 ? 'low' : 'high'
+            });
+          }
+        }
+      }
+      joint.push(x);
+      return found;
+    }
+  };
+}
+
+// Anomalies for every sample of a finished series (oldest first), aligned
+// with `samples`
+export function detectAnomalies(samples, settings = DEFAULT_ANOMALY_SETTINGS) {
+  const detector = createAnomalyDetector(settings);
+  return samples.map((sample) => detector.push(sample));
+}
+
+// Alarm-style state for the newest samples: active while any of the last
+// `hold` samples has an anomaly, so isolated hits don't flap the alarm log.
+// `series` and `samples` are oldest first. The value is that sample's
+// anomalies, [{ metric, direction, detector, score }], for the alarm log to
+// show in the reader's language (see locale.anomaly).
+export function anomalyState(series, samples, hold = 5) {
+  for (let i = series.length - 1; i >= Math.max(0, series.length - hold); i--) {
+    if (series[i].length) {
+      return {
+        active: true,
+        reason: 'anomaly',
+        value: series[i].map(({ metric, direction, detector, score }) => ({ metric, direction, detector, score: +score.toFixed(1) })),
+        limit: null,
+        since: samples[i].createdAt,
+        recordId: samples[i].id
+      };
+    }
+  }
+  return { active: false, reason: null };
+}
@@ -0,0 +1,47 @@
+import { useMemo, useRef } from 'react';
+import { createAnomalyDetector, DEFAULT_ANOMALY_SETTINGS } from './engine';
+
+export {
+  ANOMALY_METRICS,
+  DEFAULT_ANOMALY_SETTINGS,
+  DETECTORS,
+  createAnomalyDetector,
+  detectAnomalies,
+  anomalyState
+} from './engine';
+
+// Results kept for records that have scrolled out of view
+const maxRemembered = 5000;
+
+// Runs the detectors over a stream of `records` (newest first). When the
+// records only gained newer ones (live, replay) just those are fed to the
+// running detector, so its baseline spans the whole session rather than the
+// visible window; any other change (history, seek) starts over.
+// Returns the per-record series (oldest first, aligned with the alarm series)
+// and a Map(recordId -> anomalies) for records with any.
+export function useAnomalies(records, settings = DEFAULT_ANOMALY_SETTINGS) {
+  const stream = useRef(null); // { detector, settings, lastId, found }
+
+  return useMemo(() => {
+    let s = stream.current;
+    const seen = s && s.settings === settings ? records.findIndex((r) => r.id === s.lastId) : -1;
+    if (seen < 0) s = { detector: createAnomalyDetector(settings), settings, found: new Map() };
+    const fresh = seen < 0 ? records : records.slice(0, seen);
+    for (let i = fresh.length - 1; i >= 0; i--) {
+      const found = s.detector.push(fresh[i]);
+      if (found.length) s.found.set(fresh[i].id, found);
+    }
+    while (s.found.size > maxRemembered) s.found.delete(s.found.keys().next().value);
+    s.lastId = records[0]?.id;
+    stream.current = s;
+
+    const series = [];
+    const byRecord = new Map();
+    for (let i = records.length - 1; i >= 0; i--) {
+      const found = s.found.get(records[i].id) || [];
+      series.push(found);
+      if (found.length) byRecord.set(records[i].id, found);
+    }
+    return { series, byRecord };
+  }, [records, settings]);
+}
@@ -0,0 +1,85 @@
+import { useSyncExternalStore } from 'react';
+import { onIdTokenChanged, signInWithEmailAndPassword, signOut as firebaseSignOut } from 'firebase/auth';
+import { config } from './config';
+import { getFirebaseAuth } from './firebaseConfig';
+import { setWriteAuthor } from './dataSource';
+
+// Roles in increasing order of rights. A user's role is the `role` custom
+// claim on their Firebase ID token; users without one are viewers.
+export const ROLES = ['viewer', 'operator', 'admin'];
+
+// Lowest role allowed to do each thing
+const PERMISSIONS = {
+  clear: 'operator', // clear the local view
+  record: 'operator', // write alarm log entries and predictions while watching live
+  acknowledge: 'operator', // acknowledge alarms
+  note: 'operator', // add notes
+  maintain: 'operator', // log bit changes, inspections and repairs
+  job: 'operator', // start and stop drilling jobs
+  simulate: 'admin', // run the simulator
+  import: 'admin', // bulk-load recordings into the store
+  settings: 'admin' // alarm rules, machine registry
+};
+
+export function can(role, action) {
+  const needed = PERMISSIONS[action];
+  if (!needed) throw new Error(`Unknown permission "${action}"`);
+  return ROLES.indexOf(role) >= ROLES.indexOf(needed);
+}
+
+// { status: 'loading' | 'signedOut' | 'signedIn', user: { uid, email, role } | null, error }
+let state = { status: 'loading', user: null, error: null };
+const listeners = new Set();
+let started = false;
+
+function setState(next) {
+  state = { ...state, ...next };
+  setWriteAuthor(state.user);
+  listeners.forEach((l) => l());
+}
+
+function roleOf(claims) {
+  return ROLES.includes(claims.role) ? claims.role : 'viewer';
+}
+
+// Starts following the auth state the first time anything needs it
+function start() {
+  if (started) return;
+  started = true;
+  if (config.auth.mode === 'none') {
+    setState({ status: 'signedIn', user: { uid: 'local', email: null, role: config.auth.devRole } });
+    return;
+  }
+  // Fires on sign-in/out and on token refresh, so claim changes get picked up
+  onIdTokenChanged(getFirebaseAuth(), async (user) => {
+    if (!user) {
+      setState({ status: 'signedOut', user: null });
+      return;
+    }
+    try {
+      const token = await user.getIdTokenResult();
+      setState({ status: 'signedIn', user: { uid: user.uid, email: user.email, role: roleOf(token.claims) }, error: null });
+    } catch (err) {
+      console.error('Auth token error', err);
+      setState({ status: 'signedOut', user: null, error: err.message || String(err) });
+    }
+  });
+}
+
+function subscribe(listener) {
+  start();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function useAuth() {
+  return useSyncExternalStore(subscribe, () => state);
+}
+
+export function signIn(email, password) {
+  return signInWithEmailAndPassword(getFirebaseAuth(), email, password);
+}
+
+export function signOut() {
+  return firebaseSignOut(getFirebaseAuth());
+}
@@ -0,0 +1,58 @@
+// Runtime configuration, read from Vite env vars (see .env.example)
+const env = import.meta.env;
+const dataSource = env.VITE_DATA_SOURCE || 'firestore';
+// ML backend production builds use unless VITE_PREDICTION_BASE_URL says otherwise
+const deployedPredictionUrl = 'https://drill-dashboard-backend.onrender.com';
+
+export const config = {
+  // Which telemetry backend to use: 'firestore' | 'memory' | 'indexeddb'
+  dataSource,
+  // Firestore collection / IndexedDB store holding drill samples
+  telemetryCollection: env.VITE_TELEMETRY_COLLECTION || 'drillData',
+
+  prediction: {
+    // ML backend base URL. In development the dev server proxies /api to
+    // localhost:5000 (or serves a mock with `npm run dev:mock`); a static
+    // production host has no /api, so builds default to the deployed backend.
+    baseUrl: env.VITE_PREDICTION_BASE_URL || (env.PROD ? deployedPredictionUrl : '/api'),
+    timeoutMs: Number(env.VITE_PREDICTION_TIMEOUT_MS) || 10000,
+    retries: env.VITE_PREDICTION_RETRIES !== undefined ? Number(env.VITE_PREDICTION_RETRIES) : 2,
+    healthIntervalMs: 30000
+  },
+
+  // Live telemetry from drill controllers over MQTT (WebSockets). Off
+  // without a broker URL.
+  mqtt: {
+    url: env.VITE_MQTT_URL || '', // e.g. ws://localhost:9001
+    // Topic each machine publishes on; `{machineId}` is its registry id. A
+    // machine's own MQTT topic in the registry replaces this for it.
+    topic: env.VITE_MQTT_TOPIC || 'drills/{machineId}/telemetry',
+    // Payload paths per sample field, e.g. 'temp:temperature,rpm:spindle.rpm,createdAt:ts'
+    fields: env.VITE_MQTT_FIELDS || '',
+    username: env.VITE_MQTT_USERNAME || undefined,
+    password: env.VITE_MQTT_PASSWORD || undefined,
+    // Store incoming samples in the telemetry collection, rather than only
+    // showing them for the session
+    persist: env.VITE_MQTT_PERSIST === 'true'
+  },
+
+  auth: {
+    // 'firebase' (sign-in required) or 'none' (local development: everyone
+    // is a local user with `devRole`). Defaults to Firebase Auth whenever
+    // the data lives in Firestore.
+    mode: env.VITE_AUTH || (dataSource === 'firestore' ? 'firebase' : 'none'),
+    // e.g. 127.0.0.1:9099 to sign in against the Auth emulator
+    emulatorHost: env.VITE_FIREBASE_AUTH_EMULATOR_HOST || '',
+    devRole: env.VITE_DEV_ROLE || 'admin'
+  },
+
+  // Defaults for the language / units / time-zone pickers; each browser
+  // keeps its own choice after that
+  locale: {
+    language: env.VITE_LANGUAGE || 'en',
+    units: env.VITE_UNITS || 'metric',
+    // IANA zone of sites whose machine has none set in the registry;
+    // defaults to the browser's zone
+    siteTimeZone: env.VITE_SITE_TIME_ZONE || ''
+  }
+};
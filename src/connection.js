@@ -0,0 +1,36 @@
+import { useEffect, useState } from 'react';
+import { dataSource, mqttFeed, pendingWrites, subscribePendingWrites } from './dataSource';
+
+// Connection state for the header indicator:
+// { status: 'online' | 'offline' | 'syncing', pending } where 'syncing' means
+// connected but queued writes are still flushing
+export function useConnection(source = dataSource) {
+  const [browserOnline, setBrowserOnline] = useState(navigator.onLine);
+  const [backendOnline, setBackendOnline] = useState(true);
+  const [pending, setPending] = useState(pendingWrites);
+
+  useEffect(() => {
+    const up = () => setBrowserOnline(true);
+    const down = () => setBrowserOnline(false);
+    window.addEventListener('online', up);
+    window.addEventListener('offline', down);
+    return () => {
+      window.removeEventListener('online', up);
+      window.removeEventListener('offline', down);
+    };
+  }, []);
+
+  useEffect(() => (source.onConnection ? source.onConnection(setBackendOnline) : undefined), [source]);
+  useEffect(() => subscribePendingWrites(setPending), []);
+
+  const online = browserOnline && backendOnline;
+  return { status: !online ? 'offline' : pending > 0 ? 'syncing' : 'online', pending };
+}
+
+// Link to the MQTT broker for the header: 'connecting' | 'connected' |
+// 'offline', or null when no broker is configured
+export function useMqttStatus(feed = mqttFeed) {
+  const [status, setStatus] = useState(feed ? feed.status : null);
+  useEffect(() => (feed ? feed.onStatus(setStatus) : undefined), [feed]);
+  return status;
+}
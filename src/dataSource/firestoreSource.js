@@ -0,0 +1,120 @@
+import {
+  collection,
+  doc as docRef,
+  addDoc,
+  setDoc,
+  deleteDoc,
+  serverTimestamp,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  getDocs,
+  onSnapshot,
+  writeBatch
+} from 'firebase/firestore';
+import { getDb } from '../firebaseConfig';
+
+// Firestore keeps dates as Timestamps; the rest of the app works with Dates.
+// Pending local writes have no server time yet, so ask for an estimate.
+function toPlain(doc) {
+  const data = doc.data({ serverTimestamps: 'estimate' });
+  for (const key of Object.keys(data)) {
+    if (data[key] && typeof data[key].toDate === 'function') data[key] = data[key].toDate();
+  }
+  return { ...data, id: doc.id };
+}
+
+function toRecord(doc) {
+  const record = toPlain(doc);
+  return { ...record, createdAt: record.createdAt || null };
+}
+
+// Whether the latest snapshot came from the server rather than the local
+// cache. Shared by every Firestore source: they use one connection.
+let connected = true;
+const connectionListeners = new Set();
+
+function noteSnapshot(snap) {
+  if (snap.metadata.fromCache === !connected) return;
+  connected = !snap.metadata.fromCache;
+  connectionListeners.forEach((l) => l(connected));
+}
+
+export function createFirestoreSource({ collectionName = 'drillData' } = {}) {
+  const col = (name = collectionName) => collection(getDb(), name);
+
+  // Filtering by machine together with ordering on createdAt needs a
+  // composite index (machineId ASC, createdAt ASC/DESC) in Firestore.
+  function machineFilter(machineId) {
+    return machineId ? [where('machineId', '==', machineId)] : [];
+  }
+
+  return {
+    name: 'firestore',
+
+    subscribe({ limit: max = 50, machineId } = {}, onRecords, onError) {
+      const q = query(col(), ...machineFilter(machineId), orderBy('createdAt', 'desc'), limit(max));
+      // Metadata changes tell us when the listener falls back to the cache
+      return onSnapshot(q, { includeMetadataChanges: true }, (snap) => {
+        noteSnapshot(snap);
+        onRecords(snap.docs.map(toRecord));
+      }, onError);
+    },
+
+    async append(values) {
+      const ref = await addDoc(col(), { ...values, createdAt: serverTimestamp() });
+      return ref.id;
+    },
+
+    // Firestore batches are limited to 500 writes
+    async importRecords(records) {
+      for (let i = 0; i < records.length; i += 500) {
+        const batch = writeBatch(getDb());
+        for (const { id, ...record } of records.slice(i, i + 500)) batch.set(id ? docRef(col(), id) : docRef(col()), record);
+        await batch.commit();
+      }
+      return records.length;
+    },
+
+    // The cursor is the last document snapshot of the previous page
+    async queryRange({ from, to, machineId, limit: max = 500, cursor = null } = {}) {
+      const constraints = machineFilter(machineId);
+      if (from) constraints.push(where('createdAt', '>=', from));
+      if (to) constraints.push(where('createdAt', '<=', to));
+      constraints.push(orderBy('createdAt', 'asc'));
+      if (cursor) constraints.push(startAfter(cursor));
+      constraints.push(limit(max));
+
+      const snap = await getDocs(query(col(), ...constraints));
+      const docs = snap.docs;
+      return {
+        records: docs.map(toRecord),
+        cursor: docs.length === max ? docs[docs.length - 1] : null
+      };
+    },
+
+    onConnection(listener) {
+      connectionListeners.add(listener);
+      listener(connected);
+      return () => connectionListeners.delete(listener);
+    },
+
+    docs(name) {
+      return {
+        subscribe(onDocs, onError) {
+          return onSnapshot(col(name), (snap) => onDocs(snap.docs.map(toPlain)), onError);
+        },
+        async put({ id, ...data }) {
+          const ref = id ? docRef(col(name), id) : docRef(col(name));
+          await setDoc(ref, data);
+          return ref.id;
+        },
+        remove(id) {
+          return deleteDoc(docRef(col(name), id));
+        }
+      };
+    }
+  };
+}
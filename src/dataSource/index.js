@@ -0,0 +1,184 @@
+// Pluggable telemetry data source. Every adapter exposes the same interface:
+//
+//   subscribe({ limit, machineId }, onRecords, onError) -> unsubscribe
+//     Calls onRecords with the newest `limit` records (newest first) now and
+//     after every change. Pass machineId to only see one rig's records.
+//   append(values) -> Promise<id>
+//     Stores one sample; the adapter stamps `createdAt`.
+//   importRecords(records) -> Promise<count>
+//     Bulk-stores samples that already carry their own `createdAt` (imports).
+//     A sample with an `id` replaces the one stored under it, so writing it
+//     twice stores it once.
+//   queryRange({ from, to, machineId, limit, cursor }) -> Promise<{ records, cursor }>
+//     One page of records between two Dates, oldest first. Pass the returned
+//     cursor back to get the next page; it is null on the last page.
+//   docs(name) -> { subscribe(onDocs, onError), put(doc), remove(id) }
+//     A small named collection of plain documents (machines, settings, ...).
+//     subscribe delivers every document; put inserts or replaces by `id`.
+//   onConnection(listener) -> unsubscribe   (optional)
+//     Remote adapters call listener(connected) when their link to the
+//     backend comes or goes. Adapters without it are local: always connected.
+//
+// Records always come back as { id, ...values, createdAt: Date }.
+// With an MQTT broker configured, the shared `dataSource` also carries the
+// broker's samples (see mqttSource.js).
+// Every write made through createDataSource also carries
+// `writtenBy: { uid, email }` for the signed-in user (see setWriteAuthor).
+// With a `schema` (the telemetry source uses sampleSchema) writes that break
+// it are rejected, and stored records that break it are quarantined: left out
+// of what readers get and listed by quarantinedRecords().
+import { config } from '../config';
+import { sampleSchema } from '../schema';
+import { createFirestoreSource } from './firestoreSource';
+import { createMemorySource } from './memorySource';
+import { createIndexedDbSource } from './indexedDbSource';
+import { createMqttFeed, withMqttFeed, parseFieldMap } from './mqttSource';
+
+// Who writes are attributed to; set by auth on sign-in / sign-out
+let author = null;
+let authorRole = null;
+
+export function setWriteAuthor(user) {
+  author = user ? { uid: user.uid, email: user.email ?? null } : null;
+  authorRole = user?.role ?? null;
+}
+
+const stamp = (values) => ({ ...values, writtenBy: author });
+
+// Writes not yet acknowledged by the backend, across all sources. Offline,
+// Firestore keeps them queued (and persisted) until it reconnects.
+let pending = 0;
+const pendingListeners = new Set();
+
+function setPending(delta) {
+  pending += delta;
+  pendingListeners.forEach((l) => l(pending));
+}
+
+function track(promise) {
+  setPending(1);
+  return promise.finally(() => setPending(-1));
+}
+
+export function pendingWrites() {
+  return pending;
+}
+
+export function subscribePendingWrites(listener) {
+  pendingListeners.add(listener);
+  return () => pendingListeners.delete(listener);
+}
+
+// Stored records that failed the schema on read, by id, newest last:
+// { id, machineId, createdAt, errors }
+const quarantine = new Map();
+const quarantineListeners = new Set();
+const maxQuarantined = 500;
+
+export function quarantinedRecords() {
+  return [...quarantine.values()];
+}
+
+export function subscribeQuarantine(listener) {
+  quarantineListeners.add(listener);
+  return () => quarantineListeners.delete(listener);
+}
+
+export function clearQuarantine() {
+  quarantine.clear();
+  quarantineListeners.forEach((l) => l(quarantinedRecords()));
+}
+
+// Valid records of `docs`; the rest go to quarantine
+function screen(docs, schema) {
+  const valid = [];
+  let added = false;
+  for (const doc of docs) {
+    const { record, errors } = schema.read(doc);
+    if (record) {
+      valid.push(record);
+    } else if (!quarantine.has(doc.id)) {
+      quarantine.set(doc.id, { id: doc.id, machineId: doc.machineId ?? null, createdAt: doc.createdAt ?? null, errors });
+      if (quarantine.size > maxQuarantined) quarantine.delete(quarantine.keys().next().value);
+      added = true;
+    }
+  }
+  if (added) quarantineListeners.forEach((l) => l(quarantinedRecords()));
+  return valid;
+}
+
+// Promise.reject rather than a throw, so callers see one kind of failure
+function attempt(fn) {
+  try {
+    return fn();
+  } catch (err) {
+    return Promise.reject(err);
+  }
+}
+
+// Attribute every write of an adapter to the current author and count it
+// as pending until it settles; with a schema, also check what goes in and
+// what comes out
+function wrap(source, schema) {
+  const prepare = schema ? (values) => stamp(schema.prepare(values)) : stamp;
+  const valid = schema ? (docs) => screen(docs, schema) : (docs) => docs;
+  return {
+    ...source,
+    subscribe: (options, onRecords, onError) => source.subscribe(options, (records) => onRecords(valid(records)), onError),
+    append: (values) => attempt(() => track(source.append(prepare(values)))),
+    importRecords: (records) => attempt(() => track(source.importRecords(records.map(prepare)))),
+    async queryRange(query) {
+      const page = await source.queryRange(query);
+      return { ...page, records: valid(page.records) };
+    },
+    docs(name) {
+      const docs = source.docs(name);
+      return {
+        ...docs,
+        put: (doc) => track(docs.put(stamp(doc))),
+        remove: (id) => track(docs.remove(id))
+      };
+    }
+  };
+}
+
+// `collection` names the time series; other series (e.g. predictions) get
+// their own Firestore collection or IndexedDB database. `schema` is
+// { prepare(values), read(doc) }, see sampleSchema.
+export function createDataSource(kind = config.dataSource, { schema = null, ...options } = {}) {
+  return wrap(createAdapter(kind, options), schema);
+}
+
+function createAdapter(kind, { collection = config.telemetryCollection, ...options }) {
+  switch (kind) {
+    case 'firestore':
+      return createFirestoreSource({ collectionName: collection, ...options });
+    case 'memory':
+      return createMemorySource(options);
+    case 'indexeddb':
+      return createIndexedDbSource({
+        dbName: collection === config.telemetryCollection ? 'drill-dashboard' : `drill-dashboard-${collection}`,
+        storeName: collection,
+        ...options
+      });
+    default:
+      throw new Error(`Unknown data source "${kind}"`);
+  }
+}
+
+// Live telemetry from an MQTT broker, when one is configured; null otherwise
+export const mqttFeed = config.mqtt.url
+  ? createMqttFeed({ ...config.mqtt, fields: parseFieldMap(config.mqtt.fields) })
+  : null;
+
+// The source selected by config, shared across the app, with the MQTT
+// feed's samples in it
+const storedSource = createDataSource(undefined, { schema: sampleSchema });
+export const dataSource = mqttFeed
+  ? withMqttFeed(storedSource, mqttFeed, {
+    persist: config.mqtt.persist,
+    // firestore.rules only let admins write telemetry
+    canPersist: () => authorRole === 'admin',
+    buffer: createDataSource('memory', { schema: sampleSchema })
+  })
+  : storedSource;
@@ -0,0 +1,199 @@
+// IndexedDB adapter: persists samples in the browser, so the dashboard keeps
+// its history across reloads without any backend.
+import { LEGACY_MACHINE_ID } from '../schema';
+
+const DB_VERSION = 3;
+const DOCS_STORE = 'docs';
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+function openDatabase(dbName, storeName) {
+  const request = indexedDB.open(dbName, DB_VERSION);
+  request.onupgradeneeded = (event) => {
+    const db = request.result;
+    if (event.oldVersion < 1) {
+      const store = db.createObjectStore(storeName, { keyPath: 'id' });
+      store.createIndex('createdAt', 'createdAt');
+    }
+    if (event.oldVersion < 2) {
+      request.transaction.objectStore(storeName)
+        .createIndex('machineId_createdAt', ['machineId', 'createdAt']);
+      db.createObjectStore(DOCS_STORE, { keyPath: 'key' })
+        .createIndex('collection', 'collection');
+    }
+    // Records stored before the machine registry go to the legacy rig, so
+    // the per-machine index finds them
+    if (event.oldVersion >= 1 && event.oldVersion < 3) {
+      const cursorRequest = request.transaction.objectStore(storeName).openCursor();
+      cursorRequest.onsuccess = () => {
+        const cursor = cursorRequest.result;
+        if (!cursor) return;
+        if (cursor.value.machineId == null) cursor.update({ ...cursor.value, machineId: LEGACY_MACHINE_ID });
+        cursor.continue();
+      };
+    }
+  };
+  return promisify(request);
+}
+
+// Walk an index, skipping `offset` entries and collecting up to `max`
+function readIndex(index, range, direction, offset, max) {
+  return new Promise((resolve, reject) => {
+    const out = [];
+    let skipped = offset === 0;
+    const request = index.openCursor(range, direction);
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || out.length >= max) return resolve(out);
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+        return;
+      }
+      out.push(cursor.value);
+      cursor.continue();
+    };
+  });
+}
+
+// Pick the index and key range for a (machine, time range) query
+function timeRange(store, machineId, from, to) {
+  if (machineId) {
+    const lower = [machineId, from || new Date(0)];
+    const upper = [machineId, to || new Date(8.64e15)];
+    return [store.index('machineId_createdAt'), IDBKeyRange.bound(lower, upper)];
+  }
+  let range = null;
+  if (from && to) range = IDBKeyRange.bound(from, to);
+  else if (from) range = IDBKeyRange.lowerBound(from);
+  else if (to) range = IDBKeyRange.upperBound(to);
+  return [store.index('createdAt'), range];
+}
+
+export function createIndexedDbSource({ dbName = 'drill-dashboard', storeName = 'drillData' } = {}) {
+  const dbPromise = openDatabase(dbName, storeName);
+  const listeners = new Set();
+  const docListeners = new Map();
+  // Other tabs writing to the same database
+  const channel = typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(`${dbName}/${storeName}`)
+    : null;
+
+  async function latest(max, machineId) {
+    const db = await dbPromise;
+    const store = db.transaction(storeName).objectStore(storeName);
+    const [index, range] = timeRange(store, machineId);
+    return readIndex(index, range, 'prev', 0, max);
+  }
+
+  function notify() {
+    listeners.forEach((l) => latest(l.max, l.machineId).then(l.onRecords, l.onError));
+  }
+
+  async function allDocs(name) {
+    const db = await dbPromise;
+    const index = db.transaction(DOCS_STORE).objectStore(DOCS_STORE).index('collection');
+    const rows = await promisify(index.getAll(name));
+    return rows.map((row) => row.doc);
+  }
+
+  function notifyDocs(name) {
+    (docListeners.get(name) || new Set()).forEach((l) => allDocs(name).then(l.onDocs, l.onError));
+  }
+
+  if (channel) {
+    channel.onmessage = ({ data }) => (data === 'append' ? notify() : notifyDocs(data));
+  }
+
+  return {
+    name: 'indexeddb',
+
+    subscribe({ limit: max = 50, machineId } = {}, onRecords, onError = () => {}) {
+      const listener = { max, machineId, onRecords, onError };
+      listeners.add(listener);
+      latest(max, machineId).then(
+        (records) => listeners.has(listener) && onRecords(records),
+        onError
+      );
+      return () => listeners.delete(listener);
+    },
+
+    async append(values) {
+      const db = await dbPromise;
+      const record = { ...values, id: crypto.randomUUID(), createdAt: new Date() };
+      const tx = db.transaction(storeName, 'readwrite');
+      tx.objectStore(storeName).add(record);
+      await transactionDone(tx);
+      notify();
+      if (channel) channel.postMessage('append');
+      return record.id;
+    },
+
+    async importRecords(records) {
+      const db = await dbPromise;
+      const tx = db.transaction(storeName, 'readwrite');
+      const store = tx.objectStore(storeName);
+      for (const r of records) store.put({ ...r, id: r.id ?? crypto.randomUUID(), createdAt: new Date(r.createdAt) });
+      await transactionDone(tx);
+      notify();
+      if (channel) channel.postMessage('append');
+      return records.length;
+    },
+
+    // The cursor is the number of matching records already returned
+    async queryRange({ from, to, machineId, limit: max = 500, cursor = null } = {}) {
+      const db = await dbPromise;
+      const store = db.transaction(storeName).objectStore(storeName);
+      const [index, range] = timeRange(store, machineId, from, to);
+      const offset = cursor ?? 0;
+      const records = await readIndex(index, range, 'next', offset, max);
+      return {
+        records,
+        cursor: records.length === max ? offset + max : null
+      };
+    },
+
+    docs(name) {
+      async function write(fn) {
+        const db = await dbPromise;
+        const tx = db.transaction(DOCS_STORE, 'readwrite');
+        fn(tx.objectStore(DOCS_STORE));
+        await transactionDone(tx);
+        notifyDocs(name);
+        if (channel) channel.postMessage(name);
+      }
+      return {
+        subscribe(onDocs, onError = () => {}) {
+          if (!docListeners.has(name)) docListeners.set(name, new Set());
+          const listener = { onDocs, onError };
+          docListeners.get(name).add(listener);
+          allDocs(name).then(
+            (docs) => docListeners.get(name).has(listener) && onDocs(docs),
+            onError
+          );
+          return () => docListeners.get(name).delete(listener);
+        },
+        async put({ id = crypto.randomUUID(), ...data }) {
+          await write((store) => store.put({ key: `${name}/${id}`, collection: name, doc: { ...data, id } }));
+          return id;
+        },
+        remove(id) {
+          return write((store) => store.delete(`${name}/${id}`));
+        }
+      };
+    }
+  };
+}
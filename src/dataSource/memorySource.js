@@ -0,0 +1,108 @@
+// In-memory adapter: no persistence, useful for local development and for
+// driving the UI with fixed data (pass `records` / `docs` to seed it).
+
+function byTimeAsc(a, b) {
+  return a.createdAt - b.createdAt;
+}
+
+export function createMemorySource({ records = [], docs = {} } = {}) {
+  let nextId = 1;
+  const store = records
+    .map((r) => ({
+      ...r,
+      id: r.id ?? `mem-${nextId++}`,
+      createdAt: r.createdAt ? new Date(r.createdAt) : new Date()
+    }))
+    .sort(byTimeAsc);
+  const listeners = new Set();
+
+  function latest(max, machineId) {
+    const matching = machineId ? store.filter((r) => r.machineId === machineId) : store;
+    return matching.slice(-max).reverse();
+  }
+
+  function notify() {
+    listeners.forEach((l) => l.onRecords(latest(l.max, l.machineId)));
+  }
+
+  // Generic document collections, keyed by name
+  const collections = new Map();
+  function docCollection(name) {
+    if (!collections.has(name)) {
+      const seed = (docs[name] || []).map((d) => [d.id ?? `mem-${nextId++}`, d]);
+      collections.set(name, {
+        items: new Map(seed.map(([id, d]) => [id, { ...d, id }])),
+        listeners: new Set()
+      });
+    }
+    return collections.get(name);
+  }
+
+  return {
+    name: 'memory',
+
+    subscribe({ limit: max = 50, machineId } = {}, onRecords) {
+      const listener = { max, machineId, onRecords };
+      listeners.add(listener);
+      // Deliver the initial snapshot asynchronously, like Firestore does
+      queueMicrotask(() => listeners.has(listener) && onRecords(latest(max, machineId)));
+      return () => listeners.delete(listener);
+    },
+
+    async append(values) {
+      const record = { ...values, id: `mem-${nextId++}`, createdAt: new Date() };
+      store.push(record);
+      notify();
+      return record.id;
+    },
+
+    async importRecords(records) {
+      for (const r of records) {
+        const record = { ...r, id: r.id ?? `mem-${nextId++}`, createdAt: new Date(r.createdAt) };
+        const at = r.id ? store.findIndex((s) => s.id === r.id) : -1;
+        if (at >= 0) store[at] = record;
+        else store.push(record);
+      }
+      store.sort(byTimeAsc);
+      notify();
+      return records.length;
+    },
+
+    // The cursor is the index of the next record to return
+    async queryRange({ from, to, machineId, limit: max = 500, cursor = null } = {}) {
+      const matching = store.filter((r) =>
+        (!machineId || r.machineId === machineId) &&
+        (!from || r.createdAt >= from) &&
+        (!to || r.createdAt <= to)
+      );
+      const start = cursor ?? 0;
+      const page = matching.slice(start, start + max);
+      return {
+        records: page,
+        cursor: start + max < matching.length ? start + max : null
+      };
+    },
+
+    docs(name) {
+      const c = docCollection(name);
+      const all = () => [...c.items.values()];
+      const changed = () => c.listeners.forEach((l) => l(all()));
+      return {
+        subscribe(onDocs) {
+          c.listeners.add(onDocs);
+          queueMicrotask(() => c.listeners.has(onDocs) && onDocs(all()));
+          return () => c.listeners.delete(onDocs);
+        },
+        async put({ id = `mem-${nextId++}`, ...data }) {
+          c.items.set(id, { ...data, id });
+          changed();
+          return id;
+        },
+        async remove(id) {
+          c.items.delete(id);
+          changed();
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,239 @@
+// Telemetry straight from drill controllers: an MQTT broker over WebSockets.
+// Each message on a machine's topic is one JSON sample. The feed's samples
+// join the configured data source (see withMqttFeed), so cards, chart,
+// alarms and predictions treat them like any stored record.
+import { SAMPLE_METRICS } from '../schema';
+
+// Payload mapping when none is configured: sample fields under their own
+// names, the time in `ts` and an optional vibration block in `waveform`
+export const DEFAULT_FIELDS = {
+  ...Object.fromEntries(SAMPLE_METRICS.map((m) => [m, m])),
+  createdAt: 'ts',
+  waveform: 'waveform'
+};
+
+// 'temp:temperature,rpm:spindle.rpm' -> { temp: 'temperature', rpm: 'spindle.rpm' },
+// over the defaults. Paths are dotted; unknown sample fields are an error.
+export function parseFieldMap(text = '') {
+  const fields = { ...DEFAULT_FIELDS };
+  for (const pair of text.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const [field, path] = pair.split(':').map((s) => s.trim());
+    if (!(field in DEFAULT_FIELDS) || !path) throw new Error(`Bad MQTT field mapping "${pair}"`);
+    fields[field] = path;
+  }
+  return fields;
+}
+
+// Whether an MQTT topic filter (with + and # wildcards) matches a topic
+export function topicMatches(filter, topic) {
+  const f = filter.split('/');
+  const t = topic.split('/');
+  for (let i = 0; i < f.length; i++) {
+    if (f[i] === '#') return true;
+    if (i >= t.length || (f[i] !== '+' && f[i] !== t[i])) return false;
+  }
+  return f.length === t.length;
+}
+
+// The broker subscription for a topic pattern: `{machineId}` becomes +
+export function patternFilter(pattern) {
+  return pattern.split('/').map((s) => (s === '{machineId}' ? '+' : s)).join('/');
+}
+
+// Machine id in the `{machineId}` segment of `pattern`, or null when the
+// topic doesn't match it
+export function machineOfTopic(pattern, topic) {
+  const index = pattern.split('/').indexOf('{machineId}');
+  if (index < 0 || !topicMatches(patternFilter(pattern), topic)) return null;
+  return topic.split('/')[index] || null;
+}
+
+const valueAt = (payload, path) => path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), payload);
+
+// Epoch ms (or seconds), or an ISO string
+function toDate(v) {
+  if (typeof v === 'number') return new Date(v < 1e12 ? v * 1000 : v);
+  if (typeof v === 'string') return new Date(v);
+  return null;
+}
+
+// A payload as a sample for `machineId`, or null when it has none of the
+// mapped sensor fields. Numeric strings are read as numbers; anything else
+// is passed on for the schema to reject. Without a usable time the sample
+// is stamped `receivedAt`.
+export function payloadToSample(payload, fields, machineId, receivedAt = new Date()) {
+  if (!payload || typeof payload !== 'object') return null;
+  const sample = { machineId };
+  let found = false;
+  for (const metric of SAMPLE_METRICS) {
+    let v = valueAt(payload, fields[metric]);
+    if (v === undefined || v === null) continue;
+    if (typeof v === 'string' && v.trim() !== '' && !Number.isNaN(Number(v))) v = Number(v);
+    sample[metric] = v;
+    found = true;
+  }
+  if (!found) return null;
+  const waveform = valueAt(payload, fields.waveform);
+  if (waveform !== undefined && waveform !== null) sample.waveform = waveform;
+  const at = toDate(valueAt(payload, fields.createdAt));
+  sample.createdAt = at && !Number.isNaN(at.getTime()) ? at : receivedAt;
+  return sample;
+}
+
+// Connection to the broker: { onSample(listener), onStatus(listener),
+// setMachines(machines), setJobs(jobs) }. It connects when the first sample
+// listener subscribes. `topic` is the pattern every machine publishes on,
+// with a `{machineId}` segment; a machine's `mqttTopic` in the registry
+// replaces it for that machine. Samples of a machine with a running job
+// carry its `jobId`. Status is 'connecting' | 'connected' | 'offline'.
+export function createMqttFeed({ url, topic, fields = DEFAULT_FIELDS, username, password, loadClient = () => import('mqtt') }) {
+  const sampleListeners = new Set();
+  const statusListeners = new Set();
+  let status = 'offline';
+  let client = null;
+  let overrides = new Map(); // machineId -> topic filter
+  let runningJobs = new Map(); // machineId -> jobId
+
+  function setStatus(next) {
+    status = next;
+    statusListeners.forEach((l) => l(status));
+  }
+
+  const filters = () => [patternFilter(topic), ...overrides.values()];
+
+  function machineFor(t) {
+    for (const [machineId, filter] of overrides) {
+      if (topicMatches(filter, t)) return machineId;
+    }
+    return machineOfTopic(topic, t);
+  }
+
+  function onMessage(t, message) {
+    const machineId = machineFor(t);
+    if (!machineId) return;
+    let payload;
+    try {
+      payload = JSON.parse(message.toString());
+    } catch {
+      console.warn(`MQTT message on ${t} is not JSON`);
+      return;
+    }
+    const sample = payloadToSample(payload, fields, machineId);
+    if (!sample) return;
+    if (runningJobs.has(machineId)) sample.jobId = runningJobs.get(machineId);
+    sampleListeners.forEach((l) => l(sample));
+  }
+
+  async function start() {
+    setStatus('connecting');
+    const { default: mqtt } = await loadClient();
+    client = mqtt.connect(url, { username, password, reconnectPeriod: 5000 });
+    client.on('connect', () => {
+      setStatus('connected');
+      client.subscribe(filters(), (err) => err && console.error('MQTT subscribe error', err));
+    });
+    client.on('close', () => setStatus('offline'));
+    client.on('error', (err) => console.error('MQTT error', err));
+    client.on('message', onMessage);
+  }
+
+  return {
+    get status() {
+      return status;
+    },
+
+    onSample(listener) {
+      sampleListeners.add(listener);
+      if (!client && status === 'offline') start().catch((err) => {
+        console.error('MQTT client error', err);
+        setStatus('offline');
+      });
+      return () => sampleListeners.delete(listener);
+    },
+
+    onStatus(listener) {
+      statusListeners.add(listener);
+      listener(status);
+      return () => statusListeners.delete(listener);
+    },
+
+    // Follows the registry's per-machine topics
+    setMachines(machines) {
+      const next = new Map(machines.filter((m) => m.mqttTopic?.trim()).map((m) => [m.id, m.mqttTopic.trim()]));
+      const before = new Set(overrides.values());
+      const after = new Set(next.values());
+      overrides = next;
+      if (!client?.connected) return;
+      const gone = [...before].filter((f) => !after.has(f));
+      const added = [...after].filter((f) => !before.has(f));
+      if (gone.length) client.unsubscribe(gone);
+      if (added.length) client.subscribe(added, (err) => err && console.error('MQTT subscribe error', err));
+    },
+
+    // Follows the jobs running across the fleet (see useRunningJobs)
+    setJobs(jobs) {
+      runningJobs = new Map(jobs.map((j) => [j.machineId, j.id]));
+    }
+  };
+}
+
+// Id a persisted sample is stored under. Every dashboard that writes the
+// same message writes the same document, so it is stored once.
+export const sampleId = (sample) => `${sample.machineId}:${sample.createdAt.getTime()}`;
+
+// `source` plus the feed's samples. With `persist`, sessions for which
+// `canPersist()` holds write each sample to the source under sampleId()
+// (schema-checked and attributed like any write); every session then gets
+// it back through the source's listeners. Otherwise samples are kept in
+// `buffer` (a memory source) for this session and merged into what the
+// source returns.
+export function withMqttFeed(source, feed, { persist = false, canPersist = () => true, buffer }) {
+  feed.onSample((sample) => {
+    if (persist && !canPersist()) return;
+    const write = persist ? source.importRecords([{ ...sample, id: sampleId(sample) }]) : buffer.importRecords([sample]);
+    write.catch((err) => console.warn('MQTT sample rejected', err.message || err));
+  });
+  if (persist) return source;
+
+  const newestFirst = (a, b) => b.createdAt - a.createdAt;
+
+  return {
+    ...source,
+
+    subscribe(options, onRecords, onError) {
+      const max = options.limit ?? 50;
+      let stored = null;
+      let live = null;
+      const emit = () => stored && live && onRecords([...stored, ...live].sort(newestFirst).slice(0, max));
+      const unsubStored = source.subscribe(options, (records) => {
+        stored = records;
+        emit();
+      }, onError);
+      const unsubLive = buffer.subscribe(options, (records) => {
+        live = records;
+        emit();
+      }, onError);
+      return () => {
+        unsubStored();
+        unsubLive();
+      };
+    },
+
+    // Each page of the source gets the buffered samples between the end of
+    // the previous page and its own end; the cursor carries both
+    async queryRange({ cursor = null, ...query }) {
+      const page = await source.queryRange({ ...query, cursor: cursor?.source ?? null });
+      const after = cursor?.after ?? null;
+      // A full page can come back empty once the schema screened it; it
+      // then adds no buffered samples and leaves them to the next page
+      const last = page.records[page.records.length - 1];
+      const until = !page.cursor ? query.to : last ? last.createdAt : after ?? query.from;
+      const { records: buffered } = await buffer.queryRange({ ...query, to: until, limit: Infinity });
+      const extra = buffered.filter((r) => !after || r.createdAt > after);
+      return {
+        records: [...page.records, ...extra].sort((a, b) => a.createdAt - b.createdAt),
+        cursor: page.cursor ? { source: page.cursor, after: until } : null
+      };
+    }
+  };
+}
@@ -0,0 +1,90 @@
+import { useMemo } from 'react';
+
+// Drilling quantities derived from the raw samples. The UI, the exports and
+// the ML feature builder all use these, so they agree on the definitions.
+
+// Nominal spindle, used to turn motor current (`load`, A) into mechanics
+export const SPINDLE = {
+  volts: 230,
+  efficiency: 0.85, // electrical to mechanical
+  bitDiameterMm: 8
+};
+
+export const DERIVED_METRICS = ['torque', 'power', 'specificEnergy', 'rop', 'cumulativeDepth', 'thermalRise'];
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+const round = (v, digits) => (isNum(v) ? +v.toFixed(digits) : null);
+
+// load × 9.55 / rpm (9.55 ≈ 60/2π). This is the models' `torqueEst` input;
+// multiplied by the effective volts it is the spindle torque in N·m.
+export function torqueIndex(load, rpm) {
+  return (load * 9.55) / Math.max(rpm, 1);
+}
+
+// Mechanical power at the spindle, W
+export function mechanicalPower(load, spindle = SPINDLE) {
+  return load * spindle.volts * spindle.efficiency;
+}
+
+// Spindle torque, N·m (P / ω)
+export function torque(load, rpm, spindle = SPINDLE) {
+  return torqueIndex(load, rpm) * spindle.volts * spindle.efficiency;
+}
+
+// When a sample was taken: the simulator's clock where it stamped one, so
+// rates stay right when the simulation runs accelerated
+const timeOf = (sample) => sample.sampledAt ?? sample.createdAt;
+
+// Walks a stream of samples oldest first. Rate-based metrics need the
+// previous sample, so the first one has none of them, and cumulative depth
+// counts from the first sample seen. A depth that drops means a new hole.
+export function createDeriver(spindle = SPINDLE) {
+  const holeArea = Math.PI * (spindle.bitDiameterMm / 2) ** 2; // mm²
+  let prev = null;
+  let cumulative = 0;
+
+  return {
+    // { torque N·m, power kW, specificEnergy J/mm³, rop mm/min,
+    //   cumulativeDepth mm, thermalRise °C/min, tempChange °C per sample }
+    next(sample) {
+      const { load, rpm, temp, depth } = sample;
+      const minutes = prev && timeOf(sample) && timeOf(prev) ? (timeOf(sample) - timeOf(prev)) / 60000 : null;
+
+      const power = isNum(load) ? mechanicalPower(load, spindle) : null;
+      const tempChange = prev && isNum(temp) && isNum(prev.temp) ? temp - prev.temp : null;
+
+      let advance = null; // mm drilled since the previous sample
+      if (prev && isNum(depth) && isNum(prev.depth)) advance = depth >= prev.depth ? depth - prev.depth : depth;
+      if (advance !== null) cumulative += advance;
+      // Across a hole change the feed rate is unknown
+      const rop = advance !== null && depth >= prev.depth && minutes > 0 ? advance / minutes : null;
+
+      prev = sample;
+      return {
+        torque: isNum(load) && isNum(rpm) && rpm >= 1 ? round(torque(load, rpm, spindle), 2) : null,
+        power: round(power / 1000, 3),
+        // Energy per volume removed: W / (mm² × mm/s)
+        specificEnergy: power !== null && rop > 0 ? round(power / (holeArea * (rop / 60)), 1) : null,
+        rop: round(rop, 2),
+        cumulativeDepth: isNum(depth) ? round(cumulative, 2) : null,
+        thermalRise: tempChange !== null && minutes > 0 ? round(tempChange / minutes, 2) : null,
+        tempChange
+      };
+    }
+  };
+}
+
+// Derived values for a finished series, oldest first, aligned with `samples`
+export function deriveSeries(samples, spindle = SPINDLE) {
+  const deriver = createDeriver(spindle);
+  return samples.map((s) => deriver.next(s));
+}
+
+// Map(recordId -> derived values) for `records` (newest first)
+export function useDerivedMetrics(records) {
+  return useMemo(() => {
+    const samples = [...records].reverse();
+    const derived = deriveSeries(samples);
+    return new Map(samples.map((r, i) => [r.id, derived[i]]));
+  }, [records]);
+}
@@ -0,0 +1,46 @@
+// Client-side downsampling for long series. Takes parallel x/y arrays
+// (x ascending) and returns the indices of the points to keep, so callers
+// can pick the matching records, labels or alarm states.
+
+// Largest-Triangle-Three-Buckets: keeps the visual shape of the series.
+export function lttb(xs, ys, threshold) {
+  const n = xs.length;
+  if (threshold >= n || threshold < 3) return xs.map((_, i) => i);
+
+  const keep = [0];
+  const bucketSize = (n - 2) / (threshold - 2);
+  let a = 0;
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket is the third triangle corner
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1;
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, n);
+    let avgX = 0;
+    let avgY = 0;
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += xs[j];
+      avgY += ys[j];
+    }
+    const count = nextEnd - nextStart || 1;
+    avgX /= count;
+    avgY /= count;
+
+    // Pick the point in this bucket forming the largest triangle
+    const start = Math.floor(i * bucketSize) + 1;
+    const end = Math.floor((i + 1) * bucketSize) + 1;
+    let maxArea = -1;
+    let chosen = start;
+    for (let j = start; j < end; j++) {
+      const area = Math.abs((xs[a] - avgX) * (ys[j] - ys[a]) - (xs[a] - xs[j]) * (avgY - ys[a]));
+      if (area > maxArea) {
+        maxArea = area;
+        chosen = j;
+      }
+    }
+    keep.push(chosen);
+    a = chosen;
+  }
+
+  keep.push(n - 1);
+  return keep;
+}
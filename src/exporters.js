@@ -0,0 +1,182 @@
+import { iterateRange } from './history';
+import { predictionSource } from './predictions';
+import { METRICS } from './metrics';
+import { DERIVED_METRICS, createDeriver } from './derived';
+import { SAMPLE_METRICS } from './schema';
+import { createLocale, columnName, zoneOffset } from './locale';
+import { splitAnnotations } from './annotations';
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', mime: 'text/csv;charset=utf-8' },
+  jsonl: { label: 'JSON Lines', mime: 'application/x-ndjson' },
+  xlsx: { label: 'Excel (XLSX)', mime: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }
+};
+
+// Metrics that come from the prediction history rather than the samples
+const predicted = ['rul', 'estTemp'];
+
+export const EXPORT_METRICS = [...SAMPLE_METRICS, ...predicted, ...DERIVED_METRICS];
+
+// Quote a CSV field when it contains a separator, quote or line break
+export function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const s = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// e.g. drill-1_2026-10-19T06-00-00Z_2026-10-19T14-00-00Z.csv
+export function exportFileName(machineId, from, to, format) {
+  const stamp = (d) => d.toISOString().slice(0, 19).replace(/:/g, '-') + 'Z';
+  const safeId = machineId.replace(/[^\w.-]+/g, '_');
+  return `${safeId}_${stamp(from)}_${stamp(to)}.${format}`;
+}
+
+// Exports without a locale: metric units and UTC times
+const defaultLocale = createLocale({ timeZone: 'utc' });
+
+// Column of a metric, named after the unit when it is not the stored one
+// (e.g. temp_degF)
+const columnOf = (metric, locale) => columnName(metric, METRICS[metric].unit, locale.units);
+
+// Annotation columns: kinds and texts, several joined with '; '
+function noteColumns(annotations) {
+  return {
+    event: annotations?.length ? annotations.map((a) => a.kind).join('; ') : null,
+    note: annotations?.some((a) => a.text) ? annotations.map((a) => a.text).join('; ') : null
+  };
+}
+
+// One output row: ISO-8601 time with the display zone's offset, machine,
+// then the chosen metrics in the display units. Missing values stay null
+// (empty cells / JSON null), never placeholders.
+function toRow(record, metrics, predictions, derived, locale) {
+  const p = predictions.get(record.id);
+  const row = { time: record.createdAt ? locale.isoDateTime(record.createdAt) : null, machineId: record.machineId ?? null };
+  for (const m of metrics) {
+    let v = record[m];
+    if (predicted.includes(m)) v = p?.[m];
+    else if (DERIVED_METRICS.includes(m)) v = derived[m];
+    row[columnOf(m, locale)] = typeof v === 'number' ? locale.value(m, v) : null;
+  }
+  return row;
+}
+
+// A time-pinned annotation gets a row of its own, without values
+function annotationRow(annotation, metrics, locale) {
+  const row = { time: locale.isoDateTime(annotation.at), machineId: annotation.machineId ?? null };
+  for (const m of metrics) row[columnOf(m, locale)] = null;
+  return { ...row, ...noteColumns([annotation]) };
+}
+
+function header(metrics, locale, withNotes) {
+  return ['time', 'machineId', ...metrics.map((m) => columnOf(m, locale)), ...(withNotes ? ['event', 'note'] : [])];
+}
+
+// Human-readable column titles for the spreadsheet
+function titles(metrics, locale, withNotes) {
+  const { t } = locale;
+  return [
+    t('export.column.time', { zone: locale.timeZone }),
+    t('export.column.machine'),
+    ...metrics.map((m) => (locale.unit(m) ? `${locale.label(m)} (${locale.unit(m)})` : locale.label(m))),
+    ...(withNotes ? [t('export.column.event'), t('export.column.note')] : [])
+  ];
+}
+
+// Spreadsheet dates have no zone: write the display zone's wall-clock time
+function wallClock(time, locale) {
+  const date = new Date(time);
+  return new Date(date.getTime() + zoneOffset(date, locale.timeZone));
+}
+
+// Map(recordId -> { rul, estTemp }) for a range, read page by page
+async function loadPredictions(query, signal) {
+  const byRecord = new Map();
+  for await (const page of iterateRange(query, { source: predictionSource })) {
+    if (signal?.aborted) break;
+    for (const p of page) byRecord.set(p.recordId, { ...byRecord.get(p.recordId), [p.kind]: p.value });
+  }
+  return byRecord;
+}
+
+// Serialize records (oldest first) arriving in pages. Text formats are built
+// from per-page chunks so a long range never becomes one giant string.
+// With `annotations` (null = leave them out), each sample's go in its row
+// and time-pinned ones in rows of their own, in time order.
+async function serialize(pages, { format, metrics, predictions, annotations, locale, onProgress, signal }) {
+  const withNotes = !!annotations;
+  const { byRecord, pinned } = splitAnnotations(annotations ?? []);
+  const columns = header(metrics, locale, withNotes);
+  const parts = [];
+  const sheet = [titles(metrics, locale, withNotes).map((value) => ({ value, fontWeight: 'bold' }))];
+  if (format === 'csv') parts.push(columns.join(',') + '\n');
+
+  function write(rows) {
+    if (!rows.length) return;
+    if (format === 'csv') {
+      parts.push(rows.map((row) => columns.map((c) => csvField(row[c])).join(',')).join('\n') + '\n');
+    } else if (format === 'jsonl') {
+      parts.push(rows.map((row) => JSON.stringify(row)).join('\n') + '\n');
+    } else {
+      for (const row of rows) {
+        sheet.push(columns.map((c) => (c === 'time' && row.time
+          ? { type: Date, value: wallClock(row.time, locale), format: 'yyyy-mm-dd hh:mm:ss' }
+          : row[c])));
+      }
+    }
+  }
+
+  // Derived metrics carry over page boundaries (rates, cumulative depth)
+  const deriver = createDeriver();
+  let next = 0; // first pinned annotation not written yet
+  let count = 0;
+  for await (const page of pages) {
+    if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+    const rows = [];
+    for (const r of page) {
+      while (next < pinned.length && pinned[next].at <= r.createdAt) rows.push(annotationRow(pinned[next++], metrics, locale));
+      const row = toRow(r, metrics, predictions, deriver.next(r), locale);
+      rows.push(withNotes ? { ...row, ...noteColumns(byRecord.get(r.id)) } : row);
+    }
+    write(rows);
+    count += page.length;
+    if (onProgress) onProgress(count);
+    // Give the browser a frame between pages so the tab stays responsive
+    await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+  write(pinned.slice(next).map((a) => annotationRow(a, metrics, locale)));
+
+  if (format !== 'xlsx') return { blob: new Blob(parts, { type: EXPORT_FORMATS[format].mime }), count };
+  // Only pulled in when someone actually exports a spreadsheet
+  const { default: writeExcelFile } = await import('write-excel-file/browser');
+  const blob = await writeExcelFile(sheet, { columns: columns.map((c) => ({ width: c === 'time' ? 20 : 14 })) }).toBlob();
+  return { blob, count };
+}
+
+// Export either a stored time range (`range` = { from, to }, read page by
+// page) or the records already in memory (`records`, newest first, with
+// their `predictions` map). `annotations` are the machine's notes and event
+// markers to include, or null. Units, times and spreadsheet titles follow
+// `locale` (see locale/index.js). Returns { blob, count }, count being the
+// samples written.
+export async function exportTelemetry({ machineId, range, records, predictions, annotations = null, format, metrics, locale = defaultLocale, onProgress, signal }) {
+  // Time-pinned annotations only within the exported span
+  const within = (from, to) => annotations?.filter((a) => a.recordId || (from && a.at >= from && a.at <= to)) ?? null;
+  if (!range) {
+    const page = [...records].reverse();
+    const notes = within(page[0]?.createdAt, page[page.length - 1]?.createdAt);
+    return serialize((async function* () { yield page; })(), { format, metrics, predictions, annotations: notes, locale, onProgress, signal });
+  }
+  const query = { ...range, machineId };
+  const byRecord = metrics.some((m) => predicted.includes(m)) ? await loadPredictions(query, signal) : new Map();
+  return serialize(iterateRange(query), { format, metrics, predictions: byRecord, annotations: within(range.from, range.to), locale, onProgress, signal });
+}
+
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = url;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -1,17 +1,45 @@
-import { initializeApp } from 'firebase/app';
-import { getFirestore } from 'firebase/firestore';
-
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID
-};
-
-const app = initializeApp(firebaseConfig);
-
-export const db = getFirestore(app);
-
-console.log("firebaseConfig:", firebaseConfig);
+import { initializeApp } from 'firebase/app';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { config } from './config';
+
+const firebaseConfig = {
+  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+  appId: import.meta.env.VITE_FIREBASE_APP_ID
+};
+
+// Initialized lazily so the app can run on a non-Firebase data source
+// without a Firebase project configured.
+let app = null;
+let db = null;
+let auth = null;
+
+export function getFirebaseApp() {
+  if (!app) app = initializeApp(firebaseConfig);
+  return app;
+}
+
+// Offline persistence: reads are served from the IndexedDB cache and writes
+// queue up while disconnected, then flush on reconnect. Shared across tabs.
+export function getDb() {
+  if (!db) {
+    db = initializeFirestore(getFirebaseApp(), {
+      localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+    });
+  }
+  return db;
+}
+
+export function getFirebaseAuth() {
+  if (!auth) {
+    auth = getAuth(getFirebaseApp());
+    if (config.auth.emulatorHost) {
+      connectAuthEmulator(auth, `http://${config.auth.emulatorHost}`, { disableWarnings: true });
+    }
+  }
+  return auth;
+}
@@ -0,0 +1,41 @@
+import { dataSource } from './dataSource';
+
+export const HISTORY_PAGE_SIZE = 1000;
+// Safety cap so a huge range can't exhaust the tab's memory
+export const HISTORY_MAX_RECORDS = 200000;
+
+const hour = 60 * 60 * 1000;
+
+// Range presets for the time-range picker; `null` range means live mode
+export const RANGE_PRESETS = [
+  { id: 'live', label: 'Live', range: () => null },
+  { id: '1h', label: 'Last hour', range: () => ({ from: new Date(Date.now() - hour), to: new Date() }) },
+  { id: '8h', label: 'Last shift (8h)', range: () => ({ from: new Date(Date.now() - 8 * hour), to: new Date() }) },
+  { id: '24h', label: 'Last 24h', range: () => ({ from: new Date(Date.now() - 24 * hour), to: new Date() }) },
+  { id: '7d', label: 'Last 7 days', range: () => ({ from: new Date(Date.now() - 7 * 24 * hour), to: new Date() }) }
+];
+
+// Pages of records in a time range, oldest first, without a size cap.
+// Reads the telemetry unless another `source` is given.
+export async function* iterateRange({ from, to, machineId }, { source = dataSource, pageSize = HISTORY_PAGE_SIZE } = {}) {
+  let cursor = null;
+  do {
+    const page = await source.queryRange({ from, to, machineId, limit: pageSize, cursor });
+    yield page.records;
+    cursor = page.cursor;
+  } while (cursor);
+}
+
+// Load every record in a time range, page by page (oldest first), up to
+// HISTORY_MAX_RECORDS. `onPage(recordsSoFar)` is called after each page;
+// `signal.aborted` stops early.
+export async function fetchRange(query, { onPage, signal, source = dataSource } = {}) {
+  let records = [];
+  for await (const page of iterateRange(query, { source })) {
+    if (signal?.aborted) break;
+    records = records.concat(page);
+    if (onPage) onPage(records);
+    if (records.length >= HISTORY_MAX_RECORDS) break;
+  }
+  return records;
+}
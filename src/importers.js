@@ -0,0 +1,160 @@
+// Parsing and validation of recorded telemetry files (CSV, JSON Lines)
+import { SAMPLE_FIELDS, SAMPLE_METRICS, validateSample } from './schema';
+import { systemOfColumn, toMetric } from './locale';
+
+// Fields a drill sample can carry (see schema.js); `time` is required
+export const IMPORT_FIELDS = ['time', ...SAMPLE_METRICS];
+
+// Header names we recognise for each field, lower-cased. Imperial columns
+// (as exported with imperial units) are converted back to metric.
+const aliases = {
+  time: ['time', 'timestamp', 'createdat', 'created_at', 'datetime', 'date'],
+  temp: ['temp', 'temperature', 'temp_c', 'temp_degf'],
+  rpm: ['rpm', 'speed', 'spindle_rpm'],
+  load: ['load', 'current', 'load_a'],
+  vibration: ['vibration', 'vib', 'vibration_ms2'],
+  depth: ['depth', 'depth_mm', 'depth_in']
+};
+
+// RFC 4180 CSV: quoted fields may contain commas, quotes ("") and newlines
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((f) => f.trim() !== ''));
+  const [header = [], ...body] = nonEmpty;
+  const columns = header.map((h) => h.trim());
+  return {
+    columns,
+    rows: body.map((r) => Object.fromEntries(columns.map((c, i) => [c, r[i]])))
+  };
+}
+
+// One JSON object per line; blank lines are skipped
+export function parseJsonLines(text) {
+  const rows = [];
+  const errors = [];
+  text.split(/\r?\n/).forEach((line, i) => {
+    if (!line.trim()) return;
+    try {
+      rows.push(JSON.parse(line));
+    } catch (err) {
+      errors.push(`Line ${i + 1}: ${err.message}`);
+    }
+  });
+  const columns = [...new Set(rows.flatMap((r) => Object.keys(r)))];
+  return { columns, rows, errors };
+}
+
+export function parseFile(name, text) {
+  if (/\.(jsonl|ndjson)$/i.test(name)) return parseJsonLines(text);
+  return { ...parseCsv(text), errors: [] };
+}
+
+// Initial column -> field mapping from header names
+export function guessMapping(columns) {
+  const mapping = {};
+  for (const field of IMPORT_FIELDS) {
+    const match = columns.find((c) => aliases[field].includes(c.trim().toLowerCase().replace(/[\s-]+/g, '_')));
+    mapping[field] = match ?? '';
+  }
+  return mapping;
+}
+
+// Accepts ISO-8601, epoch seconds/milliseconds, and the dd/mm/yyyy hh:mm:ss
+// local time written by earlier versions of this dashboard's CSV export
+export function parseTime(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number' || /^\d+(\.\d+)?$/.test(String(value).trim())) {
+    const n = Number(value);
+    return new Date(n > 1e12 ? n : n * 1000);
+  }
+  const s = String(value).trim();
+  const gb = s.match(/^(\d{2})\/(\d{2})\/(\d{4})[ ,T]+(\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (gb) {
+    const [, d, m, y, hh, mm, ss = '0'] = gb;
+    return new Date(+y, +m - 1, +d, +hh, +mm, +ss);
+  }
+  const t = Date.parse(s);
+  return Number.isNaN(t) ? null : new Date(t);
+}
+
+// Empty cells and the '—' placeholder count as missing
+function parseNumber(value) {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'number') return value;
+  const s = String(value).trim();
+  if (s === '' || s === '—' || s === '-') return undefined;
+  const n = Number(s);
+  return Number.isNaN(n) ? NaN : n;
+}
+
+// Map and validate rows against the sample schema. Returns records
+// ({ createdAt, ...values }, no id) sorted by time, and per-row errors; rows
+// with errors are left out, and so are rows without any sensor value (an
+// export's rows for time-pinned notes).
+export function toRecords(rows, mapping) {
+  const records = [];
+  const errors = [];
+  rows.forEach((row, i) => {
+    const line = i + 1; // 1-based data row
+    const createdAt = parseTime(row[mapping.time]);
+    if (!createdAt) {
+      errors.push(`Row ${line}: invalid or missing time "${row[mapping.time] ?? ''}"`);
+      return;
+    }
+    const record = { createdAt };
+    for (const field of IMPORT_FIELDS.slice(1)) {
+      if (!mapping[field]) continue;
+      const n = parseNumber(row[mapping[field]]);
+      if (Number.isNaN(n)) {
+        errors.push(`Row ${line}: ${field} "${row[mapping[field]]}" is not a number`);
+        return;
+      }
+      if (n === undefined) continue;
+      const { unit } = SAMPLE_FIELDS[field];
+      record[field] = systemOfColumn(mapping[field], unit) === 'imperial' ? +toMetric(n, unit, 'imperial').toFixed(6) : n;
+    }
+    if (!SAMPLE_METRICS.some((m) => m in record)) return;
+    const invalid = validateSample(record);
+    if (invalid.length) {
+      errors.push(`Row ${line}: ${invalid.join(', ')}`);
+      return;
+    }
+    records.push(record);
+  });
+  records.sort((a, b) => a.createdAt - b.createdAt);
+  return { records, errors };
+}
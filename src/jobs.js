@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react';
+import { dataSource } from './dataSource';
+import { deriveSeries } from './derived';
+import { fetchRange } from './history';
+import { predictionSource } from './predictions';
+
+// Fields an operator fills in when starting a job
+export const JOB_FIELDS = ['part', 'material', 'bit', 'operator'];
+
+// Metrics a job summary gives the average and peak of
+export const JOB_SUMMARY_METRICS = ['temp', 'load', 'vibration'];
+
+const jobStore = dataSource.docs('jobs');
+
+// Drilling jobs on one machine, newest first:
+// { id, machineId, part, material, bit, operator, startedAt, endedAt }
+// endedAt is null while the job runs; a machine runs one job at a time.
+export function useJobs(machineId) {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => jobStore.subscribe(
+    (docs) => setJobs(
+      docs
+        .filter((d) => d.machineId === machineId)
+        .sort((a, b) => b.startedAt - a.startedAt)
+    ),
+    (err) => console.error('Jobs error', err)
+  ), [machineId]);
+
+  return jobs;
+}
+
+// Jobs running on any machine, e.g. to tag samples from the MQTT feed
+export function useRunningJobs() {
+  const [jobs, setJobs] = useState([]);
+
+  useEffect(() => jobStore.subscribe(
+    (docs) => setJobs(docs.filter((d) => !d.endedAt)),
+    (err) => console.error('Jobs error', err)
+  ), []);
+
+  return jobs;
+}
+
+// Resolves to the new job's id
+export function startJob(machineId, fields) {
+  const job = Object.fromEntries(JOB_FIELDS.map((f) => [f, (fields[f] ?? '').trim()]));
+  if (!job.part) throw new Error('A job needs a part');
+  return jobStore.put({ ...job, machineId, startedAt: new Date(), endedAt: null });
+}
+
+export function stopJob(job) {
+  return jobStore.put({ ...job, endedAt: new Date() });
+}
+
+// Jobs whose fields contain every word of `text` (case-insensitive)
+export function searchJobs(jobs, text) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return jobs;
+  return jobs.filter((job) => {
+    const haystack = JOB_FIELDS.map((f) => job[f] ?? '').join(' ').toLowerCase();
+    return words.every((w) => haystack.includes(w));
+  });
+}
+
+// Summary of one job from its samples (oldest first), the machine's alarm
+// log and the stored predictions:
+// { samples, durationMs, depth, stats: { [metric]: { avg, peak } },
+//   alarms: [entry], rulStart, rulEnd }
+// `now` ends the duration of a job that is still running.
+export function summarizeJob(job, samples, alarmLog, predictions, now = new Date()) {
+  const end = job.endedAt ?? now;
+
+  const stats = {};
+  for (const metric of JOB_SUMMARY_METRICS) {
+    const values = samples.map((s) => s[metric]).filter((v) => typeof v === 'number');
+    stats[metric] = values.length
+      ? { avg: values.reduce((a, b) => a + b, 0) / values.length, peak: values.reduce((a, b) => (b > a ? b : a)) }
+      : { avg: null, peak: null };
+  }
+  const derived = deriveSeries(samples);
+  const depth = derived.reduce((last, d) => d.cumulativeDepth ?? last, 0);
+
+  // First and last RUL predicted for the job's samples
+  const ids = new Set(samples.map((s) => s.id));
+  const rul = predictions
+    .filter((p) => p.kind === 'rul' && typeof p.value === 'number' && ids.has(p.recordId))
+    .sort((a, b) => a.recordAt - b.recordAt || a.createdAt - b.createdAt);
+
+  return {
+    samples: samples.length,
+    durationMs: end - job.startedAt,
+    depth,
+    stats,
+    alarms: alarmLog.filter((e) => e.raisedAt >= job.startedAt && e.raisedAt <= end),
+    rulStart: rul[0]?.value ?? null,
+    rulEnd: rul[rul.length - 1]?.value ?? null
+  };
+}
+
+// Loads what a job summary is built from: { samples, predictions, now }.
+// Samples are read for the job's time span and kept if they carry its id;
+// predictions are stored a moment after their sample, so that range runs a
+// little longer.
+export async function loadJobData(job, { signal } = {}) {
+  const now = new Date();
+  const range = { from: job.startedAt, to: job.endedAt ?? now, machineId: job.machineId };
+  const samples = (await fetchRange(range, { signal })).filter((s) => s.jobId === job.id);
+  const predictions = await fetchRange(
+    { ...range, to: new Date(range.to.getTime() + 60 * 1000) },
+    { signal, source: predictionSource }
+  );
+  return { samples, predictions, now };
+}
@@ -0,0 +1,62 @@
+import { useEffect, useState, useSyncExternalStore } from 'react';
+import { dataSource } from '../dataSource';
+import { cleanLayouts, defaultLayouts } from './widgets';
+
+export { BREAKPOINTS, COLS, ROW_HEIGHT, WIDGET_KINDS, WIDGET_IDS, kindOf, metricOf, defaultLayouts, cleanLayouts, widgetsOf, addWidget, removeWidget } from './widgets';
+
+// Named layouts: { id, name, layouts, writtenBy }. A view belongs to the user
+// who saved it; everyone sees only their own.
+const viewStore = dataSource.docs('dashboardViews');
+
+export function useDashboardViews(user) {
+  const [views, setViews] = useState([]);
+
+  useEffect(() => viewStore.subscribe(
+    (docs) => setViews(docs
+      .filter((d) => d.writtenBy?.uid === user.uid)
+      .map((d) => ({ ...d, layouts: cleanLayouts(d.layouts) }))
+      .sort((a, b) => a.name.localeCompare(b.name))),
+    (err) => console.error('Dashboard views error', err)
+  ), [user.uid]);
+
+  return views;
+}
+
+// Resolves to the view's id
+export function saveDashboardView({ id, name, layouts }) {
+  return viewStore.put({ ...(id ? { id } : {}), name, layouts: cleanLayouts(layouts) });
+}
+
+export function removeDashboardView(id) {
+  return viewStore.remove(id);
+}
+
+// What this browser shows right now, per user: { viewId, layouts }, where
+// viewId is the saved view it started from (null = the default). Kept in
+// localStorage so an arrangement survives a reload before it is saved.
+const currentKey = 'drill-dashboard.layout';
+const defaultCurrent = { viewId: null, layouts: defaultLayouts() };
+let current = loadCurrent();
+const currentListeners = new Set();
+
+function loadCurrent() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(currentKey)) || {};
+    return Object.fromEntries(Object.entries(stored).map(([uid, c]) => [uid, { viewId: c.viewId ?? null, layouts: cleanLayouts(c.layouts) }]));
+  } catch {
+    return {};
+  }
+}
+
+export function setCurrentLayout(uid, next) {
+  current = { ...current, [uid]: { ...(current[uid] ?? defaultCurrent), ...next } };
+  localStorage.setItem(currentKey, JSON.stringify(current));
+  currentListeners.forEach((l) => l());
+}
+
+export function useCurrentLayout(uid) {
+  return useSyncExternalStore((listener) => {
+    currentListeners.add(listener);
+    return () => currentListeners.delete(listener);
+  }, () => current[uid] ?? defaultCurrent);
+}
@@ -0,0 +1,85 @@
+import { METRICS } from '../metrics';
+
+// Breakpoints (min container width in px) and grid columns. `md` is the
+// shop-floor tablet: fewer, wider columns and taller cards for touch.
+export const BREAKPOINTS = { lg: 1200, md: 768, sm: 0 };
+export const COLS = { lg: 12, md: 6, sm: 2 };
+export const ROW_HEIGHT = 40;
+
+// Widget kinds with their default [w, h] per breakpoint and smallest [w, h].
+// A widget's id is its kind, or `card:<metric>` for a metric card.
+export const WIDGET_KINDS = {
+  card: { size: { lg: [2, 2], md: [2, 3], sm: [1, 2] }, min: [1, 2] },
+  stats: { size: { lg: [8, 2], md: [2, 3], sm: [2, 3] }, min: [2, 2] },
+  chart: { size: { lg: [8, 9], md: [6, 8], sm: [2, 8] }, min: [3, 5] },
+  recent: { size: { lg: [4, 9], md: [3, 8], sm: [2, 7] }, min: [2, 4] },
+  drill: { size: { lg: [6, 10], md: [3, 8], sm: [2, 8] }, min: [2, 5] },
+  alarmLog: { size: { lg: [6, 10], md: [6, 6], sm: [2, 6] }, min: [2, 4] },
+  maintenance: { size: { lg: [6, 10], md: [6, 7], sm: [2, 8] }, min: [2, 5] },
+  annotations: { size: { lg: [6, 10], md: [6, 7], sm: [2, 8] }, min: [2, 5] }
+};
+
+export const kindOf = (id) => id.split(':')[0];
+export const metricOf = (id) => id.split(':')[1];
+
+// Every widget there is, in the default order
+export const WIDGET_IDS = [...Object.keys(METRICS).map((m) => `card:${m}`), 'stats', 'chart', 'recent', 'drill', 'alarmLog', 'maintenance', 'annotations'];
+
+function sizeOf(id, bp) {
+  const [w, h] = WIDGET_KINDS[kindOf(id)].size[bp];
+  return { w: Math.min(w, COLS[bp]), h };
+}
+
+// Items left to right, wrapping when a row is full
+function flow(ids, bp) {
+  const items = [];
+  let x = 0;
+  let y = 0;
+  let rowHeight = 0;
+  for (const id of ids) {
+    const { w, h } = sizeOf(id, bp);
+    if (x + w > COLS[bp]) {
+      x = 0;
+      y += rowHeight;
+      rowHeight = 0;
+    }
+    items.push({ i: id, x, y, w, h });
+    x += w;
+    rowHeight = Math.max(rowHeight, h);
+  }
+  return items;
+}
+
+// { lg: [{ i, x, y, w, h }], md: [...], sm: [...] } with `ids` flowed in order
+export function defaultLayouts(ids = WIDGET_IDS) {
+  return Object.fromEntries(Object.keys(COLS).map((bp) => [bp, flow(ids, bp)]));
+}
+
+// Only the position and size of known widgets, with a layout for every
+// breakpoint (one missing from a stored view is flowed from the large one),
+// sorted top to bottom so equal arrangements compare equal
+export function cleanLayouts(layouts) {
+  const pick = (items) => (items || [])
+    .filter((item) => WIDGET_IDS.includes(item.i))
+    .map(({ i, x, y, w, h }) => ({ i, x, y, w, h }))
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+  const ids = pick(layouts?.lg).map((item) => item.i);
+  return Object.fromEntries(Object.keys(COLS).map((bp) => [bp, layouts?.[bp] ? pick(layouts[bp]) : flow(ids, bp)]));
+}
+
+// The widgets a layout shows
+export function widgetsOf(layouts) {
+  return (layouts.lg || []).map((item) => item.i);
+}
+
+// Adds `id` at the bottom of every breakpoint's layout
+export function addWidget(layouts, id) {
+  return Object.fromEntries(Object.entries(layouts).map(([bp, items]) => {
+    const bottom = Math.max(0, ...items.map((item) => item.y + item.h));
+    return [bp, [...items, { i: id, x: 0, y: bottom, ...sizeOf(id, bp) }]];
+  }));
+}
+
+export function removeWidget(layouts, id) {
+  return Object.fromEntries(Object.entries(layouts).map(([bp, items]) => [bp, items.filter((item) => item.i !== id)]));
+}
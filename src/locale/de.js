@@ -0,0 +1,408 @@
+// German UI strings; same keys as en.js, which fills in any that are missing.
+export default {
+  'app.title': 'Bohr-Dashboard (React)',
+  'app.loading': 'Wird geladen...',
+  'app.fleet': '← Flotte',
+  'app.fleetOverview': 'Flottenübersicht',
+  'app.bit': 'Bohrer: {bit}',
+  'app.dataSource': 'Datenquelle:',
+  'app.queued.one': '({count} Schreibvorgang in der Warteschlange)',
+  'app.queued.other': '({count} Schreibvorgänge in der Warteschlange)',
+  'app.mlBackend': 'ML-Backend:',
+  'app.mqtt': 'MQTT:',
+  'app.model': '(Modell {version})',
+  'app.localUser': 'lokaler Benutzer',
+  'app.signOut': 'Abmelden',
+  'app.footer': 'Tipp: Datenquelle und Firebase-Konfiguration in {env} festlegen (siehe {example})',
+  'connection.online': 'online',
+  'connection.offline': 'offline',
+  'connection.syncing': 'synchronisiert',
+  'backend.checking': 'wird geprüft',
+  'backend.up': 'erreichbar',
+  'backend.down': 'nicht erreichbar',
+  'mqtt.connecting': 'verbinde',
+  'mqtt.connected': 'verbunden',
+  'mqtt.offline': 'offline',
+
+  'settings.language': 'Sprache',
+  'settings.units': 'Einheiten',
+  'settings.timeZone': 'Zeitzone',
+  'units.metric': 'Metrisch',
+  'units.imperial': 'Imperial',
+  'zone.site': 'Standort ({zone})',
+  'zone.perMachine': 'Standort (je Maschine)',
+  'zone.utc': 'UTC',
+
+  'controls.clear': 'Lokale Anzeige leeren',
+  'controls.exportChart': 'Diagramm als PNG',
+  'controls.exportData': 'Daten exportieren',
+  'controls.alarmRules': 'Alarmregeln',
+  'controls.import': 'Import / Wiedergabe',
+  'controls.notifications': 'Benachrichtigungen',
+  'controls.toolLife': 'Standzeitbericht',
+  'controls.jobs': 'Aufträge',
+  'controls.statistics': 'Statistik',
+  'controls.spectrum': 'Schwingungsspektrum',
+
+  'status.label': 'Status: {status}',
+  'status.idle': 'bereit',
+  'status.queued': 'in Warteschlange (offline)',
+  'status.sent': 'gesendet',
+  'status.error': 'Fehler: {error}',
+  'status.listenError': 'Empfangsfehler: {error}, neuer Versuch...',
+  'status.loadingHistory': 'Verlauf wird geladen...',
+  'status.loadingHistoryCount': 'Verlauf wird geladen... {count} Datensätze',
+  'status.history': 'Verlauf: {count} Datensätze',
+  'status.historyError': 'Fehler beim Laden des Verlaufs: {error}',
+  'status.replay': 'Wiedergabe: {count} Datensätze',
+  'status.live': 'live',
+  'status.cleared': 'lokale Anzeige geleert',
+  'status.samplingRate': 'Abtastintervall: {rate}',
+  'status.quarantined.one': '{count} gespeicherter Messwert hat die Prüfung nicht bestanden und wird ausgeblendet',
+  'status.quarantined.other': '{count} gespeicherte Messwerte haben die Prüfung nicht bestanden und werden ausgeblendet',
+  'status.details': 'Details',
+  'common.na': 'k. A.',
+
+  'banner.alarm': 'Alarm',
+  'banner.escalated': 'Alarm nicht quittiert',
+  'banner.acknowledge': 'im Alarmprotokoll quittieren',
+  'banner.soundOff': '(Ton aus)',
+  'banner.soundOn': 'Ton an',
+  'banner.mute': 'Stumm',
+  'banner.snooze': '{minutes} Min. pausieren',
+  'banner.stale': 'Seit {silent} s keine Daten (Alarm nach {threshold} s) — die Werte unten sind die zuletzt empfangenen',
+
+  'cards.calculating': 'Wird berechnet...',
+  'cards.incomplete': 'Unvollständige Daten',
+  'cards.residual': 'Temp.-Abweichung (Ist − Schätzung)',
+  'cards.windowDepth': 'Gebohrte Tiefe (angezeigte Werte)',
+  'list.title': 'Letzte Einträge (neueste zuerst)',
+  'list.empty': 'Noch keine Datensätze',
+  'list.more': 'Die neuesten {shown} von {total}',
+  'scene.loading': '3D-Ansicht wird geladen...',
+
+  'widget.stats': 'Status',
+  'widget.chart': 'Diagramm',
+  'widget.recent': 'Letzte Einträge',
+  'widget.drill': '3D-Bohrer',
+  'widget.alarmLog': 'Alarmprotokoll',
+  'widget.maintenance': 'Wartung',
+  'widget.annotations': 'Notizen und Ereignisse',
+  'layout.view': 'Layout',
+  'layout.default': 'Standard',
+  'layout.unsaved': '(nicht gespeichert)',
+  'layout.edit': 'Layout bearbeiten',
+  'layout.done': 'Fertig',
+  'layout.add': 'Widget hinzufügen...',
+  'layout.remove': 'Widget entfernen',
+  'layout.save': '„{name}“ speichern',
+  'layout.saveAs': 'Speichern unter...',
+  'layout.name': 'Name des Layouts',
+  'layout.delete': 'Layout löschen',
+  'layout.reset': 'Auf Standard zurücksetzen',
+
+  'metric.temp': 'Temperatur',
+  'metric.rpm': 'Drehzahl',
+  'metric.load': 'Last',
+  'metric.vibration': 'Vibration',
+  'metric.depth': 'Tiefe',
+  'metric.rul': 'Vorhergesagte Restlebensdauer',
+  'metric.estTemp': 'Geschätzte Temp.',
+  'metric.residual': 'Temp.-Abweichung',
+  'metric.torque': 'Drehmoment',
+  'metric.power': 'Leistung',
+  'metric.specificEnergy': 'Spezifische Energie',
+  'metric.rop': 'Vorschubgeschwindigkeit',
+  'metric.cumulativeDepth': 'Gesamttiefe',
+  'metric.thermalRise': 'Temperaturanstieg',
+  'metricShort.temp': 'Temp.',
+  'metricShort.rpm': 'Drehz.',
+  'metricShort.load': 'Last',
+  'metricShort.vibration': 'Vib.',
+  'metricShort.depth': 'Tiefe',
+  'metricShort.torque': 'Drehm.',
+  'metricShort.power': 'Leist.',
+  'metricShort.specificEnergy': 'Spez. E',
+  'metricShort.rop': 'Vorschub',
+  'metricShort.cumulativeDepth': 'Ges.-tiefe',
+  'metricShort.thermalRise': 'ΔT/min',
+  'unit.cycles': 'Zyklen',
+
+  'chart.title': '{metrics} im Zeitverlauf',
+  'chart.anomaly': '  Anomalie: {detectors}',
+  'anomaly.describe': '{metric} {arrow} {detector} ({score})',
+  'anomaly.detector.zscore': 'z-Wert',
+  'anomaly.detector.ewma': 'EWMA',
+  'anomaly.detector.cusum': 'CUSUM-Drift',
+  'anomaly.detector.multivariate': 'multivariat',
+  'chart.resetZoom': 'Zoom zurücksetzen',
+
+  'range.live': 'Live',
+  'range.1h': 'Letzte Stunde',
+  'range.8h': 'Letzte Schicht (8 h)',
+  'range.24h': 'Letzte 24 h',
+  'range.7d': 'Letzte 7 Tage',
+  'range.from': 'Von',
+  'range.to': 'Bis',
+  'range.apply': 'Anwenden',
+
+  'alarmLog.title': 'Alarmprotokoll',
+  'alarmLog.empty': 'Keine Alarme',
+  'alarmLog.noData': 'keine Daten',
+  'alarmLog.noDataFor': 'seit {seconds} s',
+  'alarmLog.anomaly': 'Anomalie',
+  'alarmLog.low': 'unter',
+  'alarmLog.high': 'über',
+  'alarmLog.rate': 'Änderungsrate über',
+  'alarmLog.cleared': 'beendet',
+  'alarmLog.active': 'aktiv',
+  'alarmLog.acknowledged': ', quittiert',
+  'alarmLog.raisedAt': 'Ausgelöst {time}',
+  'alarmLog.clearedAt': 'beendet {time}',
+  'alarmLog.ackAt': 'quittiert {time}',
+  'alarmLog.by': 'von {user}',
+  'alarmLog.unknownUser': 'unbekannt',
+  'alarmLog.acknowledge': 'Quittieren',
+  'alarmLog.addNote': 'Notiz hinzufügen',
+
+  'alarmRules.title': 'Alarmregeln',
+  'alarmRules.metric': 'Messgröße',
+  'alarmRules.min': 'Min.',
+  'alarmRules.max': 'Max.',
+  'alarmRules.maxRate': 'Max. Änderung (/s)',
+  'alarmRules.consecutive': 'Aufeinanderfolgend',
+  'alarmRules.hysteresis': 'Hysterese',
+  'alarmRules.reset': 'Standardwerte',
+
+  'maintenance.title': 'Wartungsprotokoll',
+  'maintenance.kind.bitChange': 'Bohrerwechsel',
+  'maintenance.kind.inspection': 'Inspektion',
+  'maintenance.kind.repair': 'Reparatur',
+  'maintenance.noBitChange': 'Noch kein Bohrerwechsel erfasst: einen erfassen, um die Werkzeugzähler zu starten',
+  'maintenance.currentBit': 'Aktueller Bohrer seit {time}',
+  'maintenance.counting': 'Wird gezählt...',
+  'maintenance.usage': 'Genutzt: {cycles} • {depth} gebohrt',
+  'maintenance.projected': 'Vorhergesagte Restlebensdauer {rul} → erwartete Standzeit {life}',
+  'maintenance.at': 'Wann (leer = jetzt)',
+  'maintenance.badTime': 'Bitte eine Zeit angeben, die nicht in der Zukunft liegt',
+  'maintenance.note': 'Notiz',
+  'maintenance.log': 'Erfassen',
+  'maintenance.empty': 'Noch nichts erfasst',
+  'maintenance.by': 'von {user}',
+
+  'toolLife.title': 'Standzeit: vorhergesagte vs. tatsächliche Restlebensdauer',
+  'toolLife.none': 'Noch keine gewechselten Werkzeuge. Die tatsächliche Standzeit ist bekannt, sobald der nächste Bohrerwechsel erfasst ist.',
+  'toolLife.tool': 'Werkzeug',
+  'toolLife.period': '{from} – {to}',
+  'toolLife.loading': 'Wird geladen...',
+  'toolLife.failed': 'Laden fehlgeschlagen: {error}',
+  'toolLife.life': 'Tatsächliche Standzeit: {cycles} • {depth} gebohrt',
+  'toolLife.predictions.one': '{count} Vorhersage',
+  'toolLife.predictions.other': '{count} Vorhersagen',
+  'toolLife.mae': 'mittlerer absoluter Fehler {value}',
+  'toolLife.bias': 'mittlerer Fehler (Vorhersage − Ist) {value}',
+  'toolLife.noPredictions': 'Keine gespeicherten Restlebensdauer-Vorhersagen für dieses Werkzeug',
+  'toolLife.used': 'Genutzte Zyklen',
+  'toolLife.predicted': 'Vorhergesagte Restlebensdauer',
+  'toolLife.actual': 'Tatsächliche Restlebensdauer',
+
+  'job.start': 'Auftrag starten',
+  'job.stop': 'Auftrag beenden',
+  'job.running': 'Auftrag {part} seit {time}',
+  'job.field.part': 'Teil',
+  'job.field.material': 'Werkstoff',
+  'job.field.bit': 'Bohrer',
+  'job.field.operator': 'Bediener',
+  'job.list': 'Aufträge',
+  'job.search': 'Teil, Werkstoff, Bohrer, Bediener suchen...',
+  'job.none': 'Noch keine Aufträge',
+  'job.noMatch': 'Keine passenden Aufträge',
+  'job.active': 'läuft',
+  'job.summary': 'Zusammenfassung',
+  'job.showInChart': 'Im Diagramm zeigen',
+  'job.summaryTitle': 'Auftrag {part}',
+  'job.loading': 'Wird geladen...',
+  'job.failed': 'Laden fehlgeschlagen: {error}',
+  'job.duration': 'Dauer',
+  'job.minutes.one': '{count} Min.',
+  'job.minutes.other': '{count} Min.',
+  'job.samples': 'Messwerte',
+  'job.depth': 'Gesamttiefe',
+  'job.avgPeak': 'Mittel {avg} • Spitze {peak}',
+  'job.alarms': 'Ausgelöste Alarme',
+  'job.rul': 'Restlebensdauer Start → Ende',
+  'job.rulStartEnd': '{start} → {end}',
+
+  'stats.title': 'Statistik für das angezeigte Zeitfenster',
+  'stats.samples.one': '{count} Messwert',
+  'stats.samples.other': '{count} Messwerte',
+  'stats.empty': 'Keine Messwerte im Zeitfenster.',
+  'stats.metric': 'Größe',
+  'stats.count': 'n',
+  'stats.min': 'Min.',
+  'stats.max': 'Max.',
+  'stats.mean': 'Mittel',
+  'stats.std': 'Std.-abw.',
+  'stats.percentile': 'P{p}',
+  'stats.histogram': 'Histogramm von',
+  'stats.samplesAxis': 'Messwerte',
+  'stats.noData': 'Keine Werte für {metric} im Zeitfenster',
+  'stats.scatter': 'Streudiagramm:',
+  'stats.versus': 'gegen',
+  'stats.noPairs': 'Keine Messwerte mit beiden Größen im Zeitfenster',
+  'stats.correlation': 'Korrelation (Pearson r)',
+  'stats.correlationHint': 'Klick auf eine Zelle zeigt das Paar im Streudiagramm; eine Zelle auf der Diagonalen zeigt ihr Histogramm.',
+
+  'spectrum.title': 'Schwingungsspektrum',
+  'spectrum.none': 'Keine Messwerte mit Schwingungsverlauf im Zeitfenster. Schwingungsverlauf im Simulator einschalten oder Verlaufsblöcke mit den Messwerten senden.',
+  'spectrum.sample': 'Messwert',
+  'spectrum.latest': 'Neuester',
+  'spectrum.info': '{time} • Abtastrate {rate} Hz • Auflösung {resolution} Hz • {rpm} U/min',
+  'spectrum.spectrum': 'Amplitude',
+  'spectrum.frequency': 'Frequenz (Hz)',
+  'spectrum.amplitude': 'Amplitude ({unit})',
+  'spectrum.harmonic': '{order}× Drehzahl',
+  'spectrum.peaks': 'Spitzen',
+  'spectrum.noPeaks': 'Keine deutlichen Spitzen',
+  'spectrum.peakFreq': 'Frequenz',
+  'spectrum.peakAmp': 'Amplitude',
+  'spectrum.order': 'Ordnung',
+  'spectrum.waterfall': 'Wasserfall',
+  'spectrum.waterfallHint': 'Eine Zeile pro Messwert, der neueste oben. Die Farbe zeigt die Amplitude bis {range} dB unter der stärksten; die weiße Marke ist 1× Drehzahl. Klick auf eine Zeile zeigt diesen Messwert.',
+  'spectrum.newest': 'Neuester: {time}',
+  'spectrum.oldest': 'Ältester: {time}',
+
+  'annotation.title': 'Notizen und Ereignisse',
+  'annotation.kind.note': 'Notiz',
+  'annotation.kind.start': 'Start',
+  'annotation.kind.stop': 'Stopp',
+  'annotation.kind.fault': 'Störung',
+  'annotation.kind.inspection': 'Inspektion',
+  'annotation.at': 'Wann (leer = jetzt)',
+  'annotation.onSample': 'am Messwert von {time}',
+  'annotation.text': 'Was ist passiert',
+  'annotation.textOptional': 'Details (optional)',
+  'annotation.add': 'Hinzufügen',
+  'annotation.annotate': '+ Notiz',
+  'annotation.needsText': 'Eine Notiz braucht Text',
+  'annotation.badTime': 'Bitte eine Zeit eingeben, die nicht in der Zukunft liegt',
+  'annotation.empty': 'Noch keine Notizen oder Ereignisse',
+  'annotation.sample': 'an einem Messwert',
+  'annotation.by': 'von {user}',
+  'annotation.showInChart': 'Im Diagramm zeigen',
+  'annotation.remove': 'Entfernen',
+
+  'common.save': 'Speichern',
+  'common.cancel': 'Abbrechen',
+  'common.close': 'Schließen',
+
+  'fleet.alarms.one': '{count} Alarm',
+  'fleet.alarms.other': '{count} Alarme',
+  'fleet.ok': 'OK',
+  'fleet.lastSample': 'Letzter Messwert {time}',
+  'fleet.noData': 'Noch keine Daten',
+  'fleet.edit': 'Bearbeiten',
+  'fleet.remove': 'Entfernen',
+  'fleet.formTitle': 'Maschine anlegen / bearbeiten',
+  'fleet.field.id': 'ID',
+  'fleet.field.name': 'Name',
+  'fleet.field.location': 'Standort',
+  'fleet.field.bitType': 'Bohrertyp',
+  'fleet.field.timeZone': 'Zeitzone (z. B. Europe/Berlin)',
+  'fleet.field.mqttTopic': 'MQTT-Topic (leer = Standard)',
+  'fleet.badTimeZone': 'Unbekannte Zeitzone „{zone}“',
+
+  'export.title': 'Daten exportieren',
+  'export.onScreen': 'Angezeigte',
+  'export.annotations': 'Notizen und Ereignisse',
+  'export.export': 'Exportieren',
+  'export.running': 'Export läuft...',
+  'export.progress': 'Export läuft... {count} Datensätze',
+  'export.done': '{count} Datensätze exportiert',
+  'export.cancelled': 'Export abgebrochen',
+  'export.failed': 'Export fehlgeschlagen: {error}',
+  'export.settings': 'Einheiten: {units} • Zeiten: {zone}',
+  'export.column.time': 'Zeit ({zone})',
+  'export.column.machine': 'Maschine',
+  'export.column.event': 'Ereignis',
+  'export.column.note': 'Notiz',
+
+  'import.title': 'Aufzeichnung importieren',
+  'import.readError': 'Datei konnte nicht gelesen werden: {error}',
+  'import.time': 'Zeit',
+  'import.none': '— keine —',
+  'import.summary': '{file}: {rows} Zeilen, {valid} gültig',
+  'import.skipped': '{count} übersprungen:',
+  'import.replay': 'Wiedergeben',
+  'import.loadInto': 'oder laden in',
+  'import.load': 'In Speicher laden',
+  'import.loading': '{count} Datensätze werden geladen...',
+  'import.loaded': '{count} Datensätze in {machine} geladen',
+  'import.failed': 'Import fehlgeschlagen: {error}',
+
+  'replay.title': 'Wiedergabe',
+  'replay.play': 'Abspielen',
+  'replay.pause': 'Pause',
+  'replay.back': 'Zurück zu live',
+
+  'sim.scenario': 'Szenario',
+  'sim.seed': 'Startwert',
+  'sim.interval': 'Messwert alle (s)',
+  'sim.speed': 'Tempo',
+  'sim.start': 'Start',
+  'sim.pause': 'Pause',
+  'sim.step': 'Schritt',
+  'sim.reset': 'Zurücksetzen',
+  'sim.waveform': 'Schwingungsverlauf',
+  'sim.state': 'Simulationszeit {time} s • Verschleiß {wear} % • Bohrungen {holes} • {samples} Messwerte • Startwert {seed}',
+  'scenario.normal': 'Normaler Verschleiß',
+  'scenario.bearing': 'Lagerschaden',
+  'scenario.coolant': 'Kühlmittelausfall',
+  'scenario.breakage': 'Bohrerbruch',
+
+  'signIn.title': 'Bohr-Dashboard',
+  'signIn.email': 'E-Mail',
+  'signIn.password': 'Passwort',
+  'signIn.submit': 'Anmelden',
+  'signIn.busy': 'Anmeldung läuft...',
+  'signIn.wrong': 'E-Mail oder Passwort falsch',
+
+  'notify.title': 'Benachrichtigungen',
+  'notify.browser': 'Dieser Browser',
+  'notify.desktop': 'Desktop-Benachrichtigungen',
+  'notify.unsupported': '(von diesem Browser nicht unterstützt)',
+  'notify.blocked': '(in den Website-Einstellungen des Browsers blockiert)',
+  'notify.sound': 'Akustischer Alarm',
+  'notify.muted': 'Stumm',
+  'notify.snoozedUntil': '• pausiert bis {time}',
+  'notify.resume': 'Fortsetzen',
+  'notify.shared': 'Alle Dashboards',
+  'notify.sentInEnglish': 'Webhooks werden unabhängig von den Anzeigeeinstellungen auf Englisch, in metrischen Einheiten und mit UTC-Zeiten gesendet.',
+  'notify.heading.raised': 'Alarm',
+  'notify.heading.escalated': 'Alarm nicht quittiert',
+  'notify.heading.cleared': 'Alarm aufgehoben',
+  'notify.message.stale': '{name}: keine Daten seit {seconds} s',
+  'notify.message.anomaly': '{name}: Anomalie {anomalies}',
+  'notify.message.threshold': '{name}: {metric} {value} {reason} {limit}',
+  'notify.repeats.one': '({count} weitere seit der letzten Meldung)',
+  'notify.repeats.other': '({count} weitere seit der letzten Meldung)',
+  'notify.cooldown': 'Sperrzeit je Alarm (s)',
+  'notify.escalate': 'Eskalieren, wenn nicht quittiert nach (s)',
+  'notify.webhooks': 'Webhooks (JSON-POST)',
+  'notify.none': 'Keine',
+  'notify.event.raised': 'ausgelöst',
+  'notify.event.escalated': 'eskaliert',
+  'notify.event.cleared': 'beendet',
+  'notify.enabled': 'aktiv',
+  'notify.test': 'Testen',
+  'notify.remove': 'Entfernen',
+  'notify.sending': 'wird gesendet...',
+  'notify.ok': 'ok ({status})',
+  'notify.failed': 'fehlgeschlagen: {error}',
+  'notify.add': 'Webhook hinzufügen',
+
+  'quarantine.title': 'Zurückgehaltene Messwerte',
+  'quarantine.help': 'Diese gespeicherten Messwerte verletzen das Telemetrieschema (siehe {file}) und fehlen deshalb in Karten, Diagramm, Alarmen, Vorhersagen und Exporten. Korrigieren oder löschen Sie sie an der Quelle.',
+  'quarantine.none': 'Keine',
+  'quarantine.clear': 'Liste leeren'
+};
@@ -0,0 +1,410 @@
+// English UI strings. Keys are grouped by where they appear; `{name}` is
+// replaced by the matching parameter, and keys with `.one` / `.other`
+// variants are picked by the `count` parameter.
+export default {
+  'app.title': 'Drill Dashboard (React)',
+  'app.loading': 'Loading...',
+  'app.fleet': '← Fleet',
+  'app.fleetOverview': 'Fleet overview',
+  'app.bit': 'bit: {bit}',
+  'app.dataSource': 'Data source:',
+  'app.queued.one': '({count} write queued)',
+  'app.queued.other': '({count} writes queued)',
+  'app.mlBackend': 'ML backend:',
+  'app.mqtt': 'MQTT:',
+  'app.model': '(model {version})',
+  'app.localUser': 'local user',
+  'app.signOut': 'Sign out',
+  'app.footer': 'Tip: pick a data source and Firebase config in {env} (see {example})',
+  'connection.online': 'online',
+  'connection.offline': 'offline',
+  'connection.syncing': 'syncing',
+  'backend.checking': 'checking',
+  'backend.up': 'up',
+  'backend.down': 'down',
+  'mqtt.connecting': 'connecting',
+  'mqtt.connected': 'connected',
+  'mqtt.offline': 'offline',
+
+  'settings.language': 'Language',
+  'settings.units': 'Units',
+  'settings.timeZone': 'Time zone',
+  'units.metric': 'Metric',
+  'units.imperial': 'Imperial',
+  'zone.site': 'Site ({zone})',
+  'zone.perMachine': 'Site (per machine)',
+  'zone.utc': 'UTC',
+
+  'controls.clear': 'Clear Local UI',
+  'controls.exportChart': 'Export Chart as PNG',
+  'controls.exportData': 'Export Data',
+  'controls.alarmRules': 'Alarm Rules',
+  'controls.import': 'Import / Replay',
+  'controls.notifications': 'Notifications',
+  'controls.toolLife': 'Tool-life report',
+  'controls.jobs': 'Jobs',
+  'controls.statistics': 'Statistics',
+  'controls.spectrum': 'Vibration spectrum',
+
+  'status.label': 'Status: {status}',
+  'status.idle': 'idle',
+  'status.queued': 'queued (offline)',
+  'status.sent': 'sent',
+  'status.error': 'error: {error}',
+  'status.listenError': 'listen-error: {error}, retrying...',
+  'status.loadingHistory': 'loading history...',
+  'status.loadingHistoryCount': 'loading history... {count} records',
+  'status.history': 'history: {count} records',
+  'status.historyError': 'history-error: {error}',
+  'status.replay': 'replay: {count} records',
+  'status.live': 'live',
+  'status.cleared': 'cleared local UI',
+  'status.samplingRate': 'Sampling Rate: {rate}',
+  'status.quarantined.one': '{count} stored sample failed validation and is hidden',
+  'status.quarantined.other': '{count} stored samples failed validation and are hidden',
+  'status.details': 'Details',
+  'common.na': 'N/A',
+
+  'banner.alarm': 'Alarm',
+  'banner.escalated': 'Alarm not acknowledged',
+  'banner.acknowledge': 'acknowledge it in the alarm log',
+  'banner.soundOff': '(sound off)',
+  'banner.soundOn': 'Sound on',
+  'banner.mute': 'Mute',
+  'banner.snooze': 'Snooze {minutes} min',
+  'banner.stale': 'No data for {silent} s (alarm after {threshold} s) — values below are the last received',
+
+  'cards.calculating': 'Calculating...',
+  'cards.incomplete': 'Incomplete data',
+  'cards.residual': 'Temp Residual (actual − est.)',
+  'cards.windowDepth': 'Depth drilled (samples on screen)',
+  'list.title': 'Recent entries (newest first)',
+  'list.empty': 'No records yet',
+  'list.more': 'Showing newest {shown} of {total}',
+  'scene.loading': 'Loading 3D view...',
+
+  'widget.stats': 'Status',
+  'widget.chart': 'Chart',
+  'widget.recent': 'Recent entries',
+  'widget.drill': '3D drill',
+  'widget.alarmLog': 'Alarm log',
+  'widget.maintenance': 'Maintenance',
+  'widget.annotations': 'Notes and events',
+  'layout.view': 'Layout',
+  'layout.default': 'Default',
+  'layout.unsaved': '(unsaved changes)',
+  'layout.edit': 'Edit layout',
+  'layout.done': 'Done',
+  'layout.add': 'Add widget...',
+  'layout.remove': 'Remove widget',
+  'layout.save': 'Save "{name}"',
+  'layout.saveAs': 'Save as...',
+  'layout.name': 'Layout name',
+  'layout.delete': 'Delete layout',
+  'layout.reset': 'Reset to default',
+
+  'metric.temp': 'Temperature',
+  'metric.rpm': 'RPM',
+  'metric.load': 'Load',
+  'metric.vibration': 'Vibration',
+  'metric.depth': 'Depth',
+  'metric.rul': 'Predicted RUL',
+  'metric.estTemp': 'Estimated Temp',
+  'metric.residual': 'Temp residual',
+  'metric.torque': 'Torque',
+  'metric.power': 'Power',
+  'metric.specificEnergy': 'Specific energy',
+  'metric.rop': 'Rate of penetration',
+  'metric.cumulativeDepth': 'Cumulative depth',
+  'metric.thermalRise': 'Thermal rise',
+  'metricShort.temp': 'Temp',
+  'metricShort.rpm': 'RPM',
+  'metricShort.load': 'Load',
+  'metricShort.vibration': 'Vib',
+  'metricShort.depth': 'Depth',
+  'metricShort.torque': 'Torque',
+  'metricShort.power': 'Power',
+  'metricShort.specificEnergy': 'Spec. E',
+  'metricShort.rop': 'ROP',
+  'metricShort.cumulativeDepth': 'Cum. depth',
+  'metricShort.thermalRise': 'ΔT/min',
+  'unit.cycles': 'cycles',
+
+  'chart.title': '{metrics} over time',
+  'chart.anomaly': '  anomaly: {detectors}',
+  'anomaly.describe': '{metric} {arrow} {detector} ({score})',
+  'anomaly.detector.zscore': 'z-score',
+  'anomaly.detector.ewma': 'EWMA',
+  'anomaly.detector.cusum': 'CUSUM drift',
+  'anomaly.detector.multivariate': 'multivariate',
+  'chart.resetZoom': 'Reset zoom',
+
+  'range.live': 'Live',
+  'range.1h': 'Last hour',
+  'range.8h': 'Last shift (8h)',
+  'range.24h': 'Last 24h',
+  'range.7d': 'Last 7 days',
+  'range.from': 'From',
+  'range.to': 'To',
+  'range.apply': 'Apply',
+
+  'alarmLog.title': 'Alarm log',
+  'alarmLog.empty': 'No alarms',
+  'alarmLog.noData': 'no data',
+  'alarmLog.noDataFor': 'for {seconds} s',
+  'alarmLog.anomaly': 'anomaly',
+  'alarmLog.low': 'below',
+  'alarmLog.high': 'above',
+  'alarmLog.rate': 'rate above',
+  'alarmLog.cleared': 'cleared',
+  'alarmLog.active': 'active',
+  'alarmLog.acknowledged': ', acknowledged',
+  'alarmLog.raisedAt': 'Raised {time}',
+  'alarmLog.clearedAt': 'cleared {time}',
+  'alarmLog.ackAt': 'ack {time}',
+  'alarmLog.by': 'by {user}',
+  'alarmLog.unknownUser': 'unknown',
+  'alarmLog.acknowledge': 'Acknowledge',
+  'alarmLog.addNote': 'Add note',
+
+  'alarmRules.title': 'Alarm rules',
+  'alarmRules.metric': 'Metric',
+  'alarmRules.min': 'Min',
+  'alarmRules.max': 'Max',
+  'alarmRules.maxRate': 'Max rate (/s)',
+  'alarmRules.consecutive': 'Consecutive',
+  'alarmRules.hysteresis': 'Hysteresis',
+  'alarmRules.reset': 'Reset to defaults',
+
+  'maintenance.title': 'Maintenance log',
+  'maintenance.kind.bitChange': 'Bit change',
+  'maintenance.kind.inspection': 'Inspection',
+  'maintenance.kind.repair': 'Repair',
+  'maintenance.noBitChange': 'No bit change logged yet: log one to start the tool counters',
+  'maintenance.currentBit': 'Current bit in since {time}',
+  'maintenance.counting': 'Counting...',
+  'maintenance.usage': 'Used: {cycles} • {depth} drilled',
+  'maintenance.projected': 'Predicted RUL {rul} → expected life {life}',
+  'maintenance.at': 'When (empty = now)',
+  'maintenance.badTime': 'Enter a time that is not in the future',
+  'maintenance.note': 'Note',
+  'maintenance.log': 'Log',
+  'maintenance.empty': 'Nothing logged yet',
+  'maintenance.by': 'by {user}',
+
+  'toolLife.title': 'Tool life: predicted vs actual remaining life',
+  'toolLife.none': 'No replaced tools yet. A tool\'s actual life is known once the next bit change is logged.',
+  'toolLife.tool': 'Tool',
+  'toolLife.period': '{from} – {to}',
+  'toolLife.loading': 'Loading...',
+  'toolLife.failed': 'Loading failed: {error}',
+  'toolLife.life': 'Actual life: {cycles} • {depth} drilled',
+  'toolLife.predictions.one': '{count} prediction',
+  'toolLife.predictions.other': '{count} predictions',
+  'toolLife.mae': 'mean absolute error {value}',
+  'toolLife.bias': 'mean error (predicted − actual) {value}',
+  'toolLife.noPredictions': 'No stored RUL predictions for this tool',
+  'toolLife.used': 'Cycles used',
+  'toolLife.predicted': 'Predicted RUL',
+  'toolLife.actual': 'Actual remaining life',
+
+  'job.start': 'Start job',
+  'job.stop': 'Stop job',
+  'job.running': 'Job {part} since {time}',
+  'job.field.part': 'Part',
+  'job.field.material': 'Material',
+  'job.field.bit': 'Bit',
+  'job.field.operator': 'Operator',
+  'job.list': 'Jobs',
+  'job.search': 'Search part, material, bit, operator...',
+  'job.none': 'No jobs yet',
+  'job.noMatch': 'No matching jobs',
+  'job.active': 'running',
+  'job.summary': 'Summary',
+  'job.showInChart': 'Show in chart',
+  'job.summaryTitle': 'Job {part}',
+  'job.loading': 'Loading...',
+  'job.failed': 'Loading failed: {error}',
+  'job.duration': 'Duration',
+  'job.minutes.one': '{count} min',
+  'job.minutes.other': '{count} min',
+  'job.samples': 'Samples',
+  'job.depth': 'Total depth',
+  'job.avgPeak': 'avg {avg} • peak {peak}',
+  'job.alarms': 'Alarms raised',
+  'job.rul': 'RUL at start → end',
+  'job.rulStartEnd': '{start} → {end}',
+
+  'stats.title': 'Statistics for the window on screen',
+  'stats.samples.one': '{count} sample',
+  'stats.samples.other': '{count} samples',
+  'stats.empty': 'No samples in the window.',
+  'stats.metric': 'Metric',
+  'stats.count': 'n',
+  'stats.min': 'Min',
+  'stats.max': 'Max',
+  'stats.mean': 'Mean',
+  'stats.std': 'Std. dev.',
+  'stats.percentile': 'P{p}',
+  'stats.histogram': 'Histogram of',
+  'stats.samplesAxis': 'Samples',
+  'stats.noData': 'No {metric} values in the window',
+  'stats.scatter': 'Scatter:',
+  'stats.versus': 'vs',
+  'stats.noPairs': 'No samples with both values in the window',
+  'stats.correlation': 'Correlation (Pearson r)',
+  'stats.correlationHint': 'Click a cell to plot that pair; a cell on the diagonal shows its histogram.',
+
+  'spectrum.title': 'Vibration spectrum',
+  'spectrum.none': 'No samples with a vibration waveform on screen. Turn on Vibration waveform in the simulator, or send waveform blocks with the samples.',
+  'spectrum.sample': 'Sample',
+  'spectrum.latest': 'Newest',
+  'spectrum.info': '{time} • {rate} Hz sampling • {resolution} Hz resolution • {rpm} rpm',
+  'spectrum.spectrum': 'Amplitude',
+  'spectrum.frequency': 'Frequency (Hz)',
+  'spectrum.amplitude': 'Amplitude ({unit})',
+  'spectrum.harmonic': '{order}× RPM',
+  'spectrum.peaks': 'Peaks',
+  'spectrum.noPeaks': 'No clear peaks',
+  'spectrum.peakFreq': 'Frequency',
+  'spectrum.peakAmp': 'Amplitude',
+  'spectrum.order': 'Order',
+  'spectrum.waterfall': 'Waterfall',
+  'spectrum.waterfallHint': 'One line per sample, newest at the top. Colour is the amplitude, down to {range} dB below the strongest; the white mark is 1× RPM. Click a line to show that sample.',
+  'spectrum.newest': 'Newest: {time}',
+  'spectrum.oldest': 'Oldest: {time}',
+
+  'annotation.title': 'Notes and events',
+  'annotation.kind.note': 'Note',
+  'annotation.kind.start': 'Start',
+  'annotation.kind.stop': 'Stop',
+  'annotation.kind.fault': 'Fault',
+  'annotation.kind.inspection': 'Inspection',
+  'annotation.at': 'When (empty = now)',
+  'annotation.onSample': 'on the sample of {time}',
+  'annotation.text': 'What happened',
+  'annotation.textOptional': 'Details (optional)',
+  'annotation.add': 'Add',
+  'annotation.annotate': '+ note',
+  'annotation.needsText': 'A note needs some text',
+  'annotation.badTime': 'Enter a time that is not in the future',
+  'annotation.empty': 'No notes or events yet',
+  'annotation.sample': 'on a sample',
+  'annotation.by': 'by {user}',
+  'annotation.showInChart': 'Show in chart',
+  'annotation.remove': 'Remove',
+
+  'common.save': 'Save',
+  'common.cancel': 'Cancel',
+  'common.close': 'Close',
+
+  'fleet.alarms.one': '{count} alarm',
+  'fleet.alarms.other': '{count} alarms',
+  'fleet.ok': 'OK',
+  'fleet.lastSample': 'Last sample {time}',
+  'fleet.noData': 'No data yet',
+  'fleet.edit': 'Edit',
+  'fleet.remove': 'Remove',
+  'fleet.formTitle': 'Register / edit machine',
+  'fleet.field.id': 'id',
+  'fleet.field.name': 'name',
+  'fleet.field.location': 'location',
+  'fleet.field.bitType': 'bit type',
+  'fleet.field.timeZone': 'time zone (e.g. Europe/Berlin)',
+  'fleet.field.mqttTopic': 'MQTT topic (blank = default)',
+  'fleet.badTimeZone': 'Unknown time zone "{zone}"',
+
+  'export.title': 'Export data',
+  'export.onScreen': 'On screen',
+  'export.annotations': 'Notes and events',
+  'export.export': 'Export',
+  'export.running': 'Exporting...',
+  'export.progress': 'Exporting... {count} records',
+  'export.done': 'Exported {count} records',
+  'export.cancelled': 'Export cancelled',
+  'export.failed': 'Export failed: {error}',
+  'export.settings': 'Units: {units} • times: {zone}',
+  'export.column.time': 'Time ({zone})',
+  'export.column.machine': 'Machine',
+  'export.column.event': 'Event',
+  'export.column.note': 'Note',
+
+  'import.title': 'Import recording',
+  'import.readError': 'Could not read file: {error}',
+  'import.time': 'Time',
+  'import.none': '— none —',
+  'import.summary': '{file}: {rows} rows, {valid} valid',
+  'import.skipped': '{count} skipped:',
+  'import.replay': 'Replay',
+  'import.loadInto': 'or load into',
+  'import.load': 'Load into store',
+  'import.loading': 'Loading {count} records...',
+  'import.loaded': 'Loaded {count} records into {machine}',
+  'import.failed': 'Import failed: {error}',
+
+  'replay.title': 'Replay',
+  'replay.play': 'Play',
+  'replay.pause': 'Pause',
+  'replay.back': 'Back to live',
+
+  'sim.scenario': 'Scenario',
+  'sim.seed': 'Seed',
+  'sim.interval': 'Sample every (s)',
+  'sim.speed': 'Speed',
+  'sim.start': 'Start',
+  'sim.pause': 'Pause',
+  'sim.step': 'Step',
+  'sim.reset': 'Reset',
+  'sim.waveform': 'Vibration waveform',
+  'sim.state': 'Sim time {time} s • wear {wear}% • holes {holes} • {samples} samples • seed {seed}',
+  'scenario.normal': 'Normal wear',
+  'scenario.bearing': 'Bearing failure',
+  'scenario.coolant': 'Coolant loss',
+  'scenario.breakage': 'Bit breakage',
+
+  'signIn.title': 'Drill Dashboard',
+  'signIn.email': 'Email',
+  'signIn.password': 'Password',
+  'signIn.submit': 'Sign in',
+  'signIn.busy': 'Signing in...',
+  'signIn.wrong': 'Wrong email or password',
+
+  'notify.title': 'Notifications',
+  'notify.browser': 'This browser',
+  'notify.desktop': 'Desktop notifications',
+  'notify.unsupported': '(not supported by this browser)',
+  'notify.blocked': "(blocked in the browser's site settings)",
+  'notify.sound': 'Audible alarm',
+  'notify.muted': 'Muted',
+  'notify.snoozedUntil': '• snoozed until {time}',
+  'notify.resume': 'Resume',
+  'notify.shared': 'All dashboards',
+  'notify.sentInEnglish': 'Webhooks are sent in English, with metric units and UTC times, whatever the display settings.',
+  'notify.heading.raised': 'Alarm',
+  'notify.heading.escalated': 'Alarm not acknowledged',
+  'notify.heading.cleared': 'Alarm cleared',
+  'notify.message.stale': '{name}: no data for {seconds} s',
+  'notify.message.anomaly': '{name}: anomaly {anomalies}',
+  'notify.message.threshold': '{name}: {metric} {value} {reason} {limit}',
+  'notify.repeats.one': '({count} more since the last notice)',
+  'notify.repeats.other': '({count} more since the last notice)',
+  'notify.cooldown': 'Cooldown per alarm (s)',
+  'notify.escalate': 'Escalate if unacknowledged after (s)',
+  'notify.webhooks': 'Webhooks (JSON POST)',
+  'notify.none': 'None',
+  'notify.event.raised': 'raised',
+  'notify.event.escalated': 'escalated',
+  'notify.event.cleared': 'cleared',
+  'notify.enabled': 'enabled',
+  'notify.test': 'Test',
+  'notify.remove': 'Remove',
+  'notify.sending': 'sending...',
+  'notify.ok': 'ok ({status})',
+  'notify.failed': 'failed: {error}',
+  'notify.add': 'Add webhook',
+
+  'quarantine.title': 'Quarantined samples',
+  'quarantine.help': 'These stored samples break the telemetry schema (see {file}), so they are left out of the cards, chart, alarms, predictions and exports. Fix or delete them at the source.',
+  'quarantine.none': 'None',
+  'quarantine.clear': 'Clear list'
+};
@@ -0,0 +1,141 @@
+import { createContext, useContext, useMemo, useSyncExternalStore } from 'react';
+import { config } from '../config';
+import { METRICS } from '../metrics';
+import { displayUnit, fromMetric, toMetric } from './units';
+import { browserTimeZone, isValidTimeZone, toZonedIso, toWallTime, fromWallTime } from './time';
+import en from './en';
+import de from './de';
+
+export { UNIT_SYSTEMS, displayUnit, fromMetric, toMetric, columnName, systemOfColumn } from './units';
+export { browserTimeZone, isValidTimeZone, zoneOffset, toWallTime, fromWallTime, toZonedIso } from './time';
+
+export const LANGUAGES = { en: 'English', de: 'Deutsch' };
+const messages = { en, de };
+
+// Times are shown in the site's zone or in UTC
+export const DISPLAY_TIME_ZONES = ['site', 'utc'];
+
+// Language, units and time zone are a choice of whoever sits at this
+// browser, so they live in localStorage: { language, units, timeZone }
+const prefsKey = 'drill-dashboard.locale';
+const defaultPrefs = { language: config.locale.language, units: config.locale.units, timeZone: 'site' };
+let prefs = loadPrefs();
+const prefListeners = new Set();
+
+function loadPrefs() {
+  try {
+    return { ...defaultPrefs, ...JSON.parse(localStorage.getItem(prefsKey)) };
+  } catch {
+    return defaultPrefs;
+  }
+}
+
+export function setLocalePrefs(next) {
+  prefs = { ...prefs, ...next };
+  localStorage.setItem(prefsKey, JSON.stringify(prefs));
+  prefListeners.forEach((l) => l());
+}
+
+export function useLocalePrefs() {
+  return useSyncExternalStore((listener) => {
+    prefListeners.add(listener);
+    return () => prefListeners.delete(listener);
+  }, () => prefs);
+}
+
+// A machine's local zone: its own from the registry, else the configured
+// site zone, else the browser's
+export function siteTimeZone(machine) {
+  return [machine?.timeZone, config.locale.siteTimeZone].find(isValidTimeZone) || browserTimeZone();
+}
+
+const isMissing = (v) => v === null || v === undefined;
+
+// Everything that turns app data into text for one language, unit system and
+// time zone. Values in the app stay metric and times stay Date instants;
+// only the strings this returns differ.
+export function createLocale({ language = 'en', units = 'metric', timeZone = 'site', machine = null } = {}) {
+  const dictionary = messages[language] || en;
+  const zone = timeZone === 'utc' ? 'UTC' : siteTimeZone(machine);
+  const plurals = new Intl.PluralRules(language);
+  const numbers = new Intl.NumberFormat(language, { maximumFractionDigits: 3 });
+  const dateTimes = new Intl.DateTimeFormat(language, { timeZone: zone, dateStyle: 'medium', timeStyle: 'medium' });
+  const times = new Intl.DateTimeFormat(language, { timeZone: zone, timeStyle: 'medium' });
+  const shortDateTimes = new Intl.DateTimeFormat(language, { timeZone: zone, day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
+  const shortTimes = new Intl.DateTimeFormat(language, { timeZone: zone, hour: '2-digit', minute: '2-digit' });
+
+  // Message for `key` with `{name}` placeholders filled from `params`;
+  // a `count` param picks the `.one` / `.other` variant
+  function t(key, params = {}) {
+    let text;
+    if (params.count !== undefined) {
+      text = dictionary[`${key}.${plurals.select(params.count)}`] ?? dictionary[`${key}.other`] ?? en[`${key}.other`];
+    }
+    text = text ?? dictionary[key] ?? en[key] ?? key;
+    return text.replace(/\{(\w+)\}/g, (m, name) => (name in params ? String(params[name]) : m));
+  }
+
+  const number = (v) => (typeof v === 'number' ? numbers.format(v) : String(v));
+  const unitOf = (metric) => METRICS[metric]?.unit ?? '';
+  const unit = (metric) => {
+    const shown = displayUnit(unitOf(metric), units);
+    return dictionary[`unit.${shown}`] ?? en[`unit.${shown}`] ?? shown;
+  };
+  // A metric's value in the display unit and back. `delta` is for
+  // differences and rates of metrics that are otherwise absolute.
+  const value = (metric, v, { delta = METRICS[metric]?.delta } = {}) => fromMetric(v, unitOf(metric), units, { delta: !!delta });
+  const fromDisplay = (metric, v, { delta = METRICS[metric]?.delta } = {}) => toMetric(v, unitOf(metric), units, { delta: !!delta });
+
+  const label = (metric) => dictionary[`metric.${metric}`] ?? METRICS[metric]?.label ?? metric;
+  const shortLabel = (metric) => dictionary[`metricShort.${metric}`] ?? t(`metric.${metric}`);
+
+  return {
+    language,
+    units,
+    timeZone: zone,
+    zoneSetting: timeZone,
+    t,
+    number,
+    label,
+    shortLabel,
+    // A detected anomaly, e.g. "Load ↑ z-score (4.2)". Alarm log entries
+    // written before anomalies were stored structured hold the text itself.
+    anomaly: (a) => (typeof a === 'string' ? a : t('anomaly.describe', {
+      metric: shortLabel(a.metric),
+      arrow: a.direction === 'low' ? '↓' : '↑',
+      detector: t(`anomaly.detector.${a.detector}`),
+      score: number(+a.score.toFixed(1))
+    })),
+    unit,
+    value,
+    fromDisplay,
+    // e.g. "161.6 °F", or '—' when missing
+    format: (metric, v) => {
+      if (isMissing(v)) return '—';
+      const u = unit(metric);
+      return u ? `${number(value(metric, v))} ${u}` : number(value(metric, v));
+    },
+    dateTime: (date) => (date ? dateTimes.format(date) : '—'),
+    time: (date) => (date ? times.format(date) : '—'),
+    // Chart ticks: the day is left out for spans under a day
+    axisTime: (date, spanMs) => (spanMs > 24 * 3600 * 1000 ? shortDateTimes : shortTimes).format(date),
+    isoDateTime: (date) => toZonedIso(date, zone),
+    wallTime: (date) => toWallTime(date, zone),
+    fromWallTime: (value) => fromWallTime(value, zone),
+    // The same settings for another machine's site (fleet tiles)
+    forMachine: (other) => createLocale({ language, units, timeZone, machine: other })
+  };
+}
+
+export const LocaleContext = createContext(createLocale(prefs));
+
+// Locale for the current preferences, with 'site' meaning `machine`'s zone
+export function useLocaleFor(machine) {
+  const { language, units, timeZone } = useLocalePrefs();
+  return useMemo(() => createLocale({ language, units, timeZone, machine }), [language, units, timeZone, machine]);
+}
+
+// The locale provided by the dashboard (see App.jsx)
+export function useLocale() {
+  return useContext(LocaleContext);
+}
@@ -0,0 +1,66 @@
+// Time zone arithmetic on top of Intl, which knows the zone rules but only
+// formats. Dates stay instants; these helpers give the wall-clock time of an
+// instant in a zone and back.
+
+export function browserTimeZone() {
+  return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+}
+
+export function isValidTimeZone(zone) {
+  if (!zone) return false;
+  try {
+    new Intl.DateTimeFormat('en', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const partsFormats = new Map();
+
+// Offset of `zone` from UTC at `date`, in ms (e.g. +7200000 for CEST)
+export function zoneOffset(date, zone) {
+  if (zone === 'UTC') return 0;
+  if (!partsFormats.has(zone)) {
+    partsFormats.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  const parts = Object.fromEntries(partsFormats.get(zone).formatToParts(date).map((p) => [p.type, p.value]));
+  const asUtc = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour, +parts.minute, +parts.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// 'YYYY-MM-DDTHH:mm' wall-clock time in `zone`, as <input type="datetime-local"> wants
+export function toWallTime(date, zone) {
+  if (!date) return '';
+  return new Date(date.getTime() + zoneOffset(date, zone)).toISOString().slice(0, 16);
+}
+
+// Inverse of toWallTime. Around a DST change the offset is looked up twice,
+// so the result lands on the right side of it.
+export function fromWallTime(value, zone) {
+  const asUtc = Date.parse(`${value}Z`);
+  if (Number.isNaN(asUtc)) return null;
+  const guess = asUtc - zoneOffset(new Date(asUtc), zone);
+  return new Date(asUtc - zoneOffset(new Date(guess), zone));
+}
+
+// ISO-8601 with the zone's offset, e.g. 2026-10-19T09:30:00.000+02:00;
+// 'Z' in UTC
+export function toZonedIso(date, zone) {
+  const offset = zoneOffset(date, zone);
+  const wall = new Date(date.getTime() + offset).toISOString().slice(0, 23);
+  if (zone === 'UTC') return `${wall}Z`;
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset) / 60000;
+  const pad = (n) => String(Math.floor(n)).padStart(2, '0');
+  return `${wall}${sign}${pad(minutes / 60)}:${pad(minutes % 60)}`;
+}
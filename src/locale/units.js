@@ -0,0 +1,53 @@
+// Unit systems. Samples are stored and all computation (alarms, anomalies,
+// derived metrics, the models) runs in metric; values are converted only
+// where they are shown or exported.
+
+export const UNIT_SYSTEMS = ['metric', 'imperial'];
+
+// Imperial counterpart of each metric unit that has one. The offset applies
+// to absolute temperatures only, never to differences. `code` is the
+// column-name suffix used in exports.
+const IMPERIAL = {
+  '°C': { unit: '°F', factor: 9 / 5, offset: 32, digits: 1, code: 'degF' },
+  '°C/min': { unit: '°F/min', factor: 9 / 5, digits: 2, code: 'degF_per_min' },
+  mm: { unit: 'in', factor: 1 / 25.4, digits: 3, code: 'in' },
+  'mm/min': { unit: 'in/min', factor: 1 / 25.4, digits: 3, code: 'in_per_min' },
+  'N·m': { unit: 'lbf·ft', factor: 0.737562, digits: 2, code: 'lbf_ft' }
+};
+
+function conversion(unit, system) {
+  return system === 'imperial' ? IMPERIAL[unit] : undefined;
+}
+
+// The unit a metric-unit value is shown in
+export function displayUnit(unit, system) {
+  return conversion(unit, system)?.unit ?? unit;
+}
+
+// Metric value -> display value. `delta` values (differences, e.g. the temp
+// residual) are scaled without the offset.
+export function fromMetric(value, unit, system, { delta = false } = {}) {
+  const c = conversion(unit, system);
+  if (!c || typeof value !== 'number') return value;
+  return +(value * c.factor + (delta ? 0 : c.offset ?? 0)).toFixed(c.digits);
+}
+
+// Display value -> metric value
+export function toMetric(value, unit, system, { delta = false } = {}) {
+  const c = conversion(unit, system);
+  if (!c || typeof value !== 'number') return value;
+  return (value - (delta ? 0 : c.offset ?? 0)) / c.factor;
+}
+
+// Export column for a metric: the bare key in metric units, else suffixed
+// with the unit, e.g. temp_degF, so a file never hides which unit it uses
+export function columnName(key, unit, system) {
+  const c = conversion(unit, system);
+  return c ? `${key}_${c.code}` : key;
+}
+
+// The unit system a column named by columnName was written in
+export function systemOfColumn(column, unit) {
+  const code = IMPERIAL[unit]?.code;
+  return code && column.trim().toLowerCase().endsWith(`_${code.toLowerCase()}`) ? 'imperial' : 'metric';
+}
@@ -0,0 +1,32 @@
+import { useEffect, useState } from 'react';
+import { dataSource } from './dataSource';
+import { LEGACY_MACHINE_ID } from './schema';
+
+// Shown while the registry is empty, so a fresh install still has one rig.
+// Samples stored before the registry existed belong to it.
+export const DEFAULT_MACHINE = { id: LEGACY_MACHINE_ID, name: 'Drill 1', location: '', bitType: '', timeZone: '', mqttTopic: '' };
+
+const registry = dataSource.docs('machines');
+
+// Machine registry: { id, name, location, bitType, timeZone, mqttTopic }
+// where timeZone is the site's IANA zone ('' = the configured default) and
+// mqttTopic the topic its controller publishes on ('' = the configured
+// pattern, see config.mqtt)
+export function useMachines() {
+  const [machines, setMachines] = useState([]);
+
+  useEffect(() => registry.subscribe(
+    (docs) => setMachines(docs.sort((a, b) => a.name.localeCompare(b.name))),
+    (err) => console.error('Machine registry error', err)
+  ), []);
+
+  return machines.length ? machines : [DEFAULT_MACHINE];
+}
+
+export function saveMachine(machine) {
+  return registry.put(machine);
+}
+
+export function removeMachine(id) {
+  return registry.remove(id);
+}
@@ -0,0 +1,164 @@
+import { useEffect, useState } from 'react';
+import { dataSource } from './dataSource';
+import { createDeriver } from './derived';
+import { fetchRange, iterateRange } from './history';
+import { predictionSource } from './predictions';
+
+// What can be logged; a bit change puts a new tool in
+export const MAINTENANCE_KINDS = ['bitChange', 'inspection', 'repair'];
+
+const logStore = dataSource.docs('maintenance');
+
+// Maintenance log for one machine, newest first:
+// { id, machineId, kind, at, note, by }
+export function useMaintenanceLog(machineId) {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => logStore.subscribe(
+    (docs) => setEntries(
+      docs
+        .filter((d) => d.machineId === machineId)
+        .sort((a, b) => b.at - a.at)
+    ),
+    (err) => console.error('Maintenance log error', err)
+  ), [machineId]);
+
+  return entries;
+}
+
+// `user` is the signed-in user ({ uid, email })
+export function logMaintenance({ machineId, kind, at = new Date(), note = '' }, user) {
+  if (!MAINTENANCE_KINDS.includes(kind)) throw new Error(`Unknown maintenance kind "${kind}"`);
+  return logStore.put({ machineId, kind, at, note, by: user?.email ?? user?.uid ?? null });
+}
+
+// Tools that have been taken out again, newest first: { from, to } between
+// two logged bit changes. Only their whole life is known.
+export function finishedTools(entries) {
+  const changes = entries
+    .filter((e) => e.kind === 'bitChange')
+    .map((e) => e.at)
+    .sort((a, b) => b - a);
+  return changes.slice(1).map((from, i) => ({ from, to: changes[i] }));
+}
+
+// Counts the cycles (one per sample) and depth drilled by one tool, fed its
+// samples oldest first
+export function createToolCounter() {
+  const deriver = createDeriver();
+  let cycles = 0;
+  let depth = 0;
+  let last = null;
+
+  return {
+    next(sample) {
+      cycles++;
+      depth = deriver.next(sample).cumulativeDepth ?? depth;
+      last = sample.createdAt;
+    },
+    get state() {
+      return { cycles, depth, last };
+    }
+  };
+}
+
+// Cycle and depth counters of the tool put in at `since` (the newest bit
+// change; null when none is logged): { cycles, depth, loading }, or null
+// without a bit change. Stored samples are counted once, then new live
+// samples are added as they arrive.
+export function useToolCounters(machineId, since, { liveWindow = 50 } = {}) {
+  const [counters, setCounters] = useState(null);
+  const sinceMs = since ? since.getTime() : null;
+
+  useEffect(() => {
+    if (sinceMs === null) {
+      setCounters(null);
+      return;
+    }
+    let cancelled = false;
+    let unsub = null;
+    const counter = createToolCounter();
+    const update = () => setCounters({ cycles: counter.state.cycles, depth: counter.state.depth, loading: false });
+    setCounters({ cycles: 0, depth: 0, loading: true });
+
+    (async () => {
+      for await (const page of iterateRange({ from: new Date(sinceMs), to: new Date(), machineId })) {
+        if (cancelled) return;
+        page.forEach(counter.next);
+      }
+      if (cancelled) return;
+      update();
+      unsub = dataSource.subscribe(
+        { limit: liveWindow, machineId },
+        (records) => {
+          const { last } = counter.state;
+          const fresh = records
+            .filter((r) => r.createdAt && r.createdAt.getTime() >= sinceMs && (!last || r.createdAt > last))
+            .reverse();
+          if (!fresh.length) return;
+          fresh.forEach(counter.next);
+          update();
+        },
+        (err) => console.error('Tool counter error', err)
+      );
+    })().catch((err) => console.error('Tool counter error', err));
+
+    return () => {
+      cancelled = true;
+      unsub?.();
+    };
+  }, [machineId, sinceMs, liveWindow]);
+
+  return counters;
+}
+
+// How the stored RUL predictions for one finished tool compare with the life
+// it actually had. `samples` are the tool's samples oldest first; the actual
+// remaining life at a sample is how many more samples the tool took before
+// it was replaced. Returns { life, depth, points, mae, bias } with points
+// [{ used, predicted, actual, error }] in order of use; error is predicted
+// minus actual, so a positive bias means the model was optimistic.
+export function toolLifeReport(samples, predictions) {
+  const counter = createToolCounter();
+  const used = new Map();
+  for (const s of samples) {
+    counter.next(s);
+    used.set(s.id, counter.state.cycles);
+  }
+  const life = counter.state.cycles;
+
+  // Newest prediction per sample, like the prediction history
+  const rulByRecord = new Map();
+  [...predictions]
+    .filter((p) => p.kind === 'rul' && typeof p.value === 'number' && used.has(p.recordId))
+    .sort((a, b) => a.createdAt - b.createdAt)
+    .forEach((p) => rulByRecord.set(p.recordId, p.value));
+
+  const points = [...rulByRecord]
+    .map(([recordId, predicted]) => {
+      const actual = life - used.get(recordId);
+      return { used: used.get(recordId), predicted, actual, error: predicted - actual };
+    })
+    .sort((a, b) => a.used - b.used);
+  const mean = (values) => (values.length ? values.reduce((a, b) => a + b, 0) / values.length : null);
+
+  return {
+    life,
+    depth: counter.state.depth,
+    points,
+    mae: mean(points.map((p) => Math.abs(p.error))),
+    bias: mean(points.map((p) => p.error))
+  };
+}
+
+// Loads a finished tool's samples and predictions and builds its report.
+// Predictions are stored a moment after the sample they are for, so their
+// range runs a little past the bit change.
+export async function loadToolLifeReport(machineId, { from, to }, { signal } = {}) {
+  const samples = await fetchRange({ from, to, machineId }, { signal });
+  const predictions = await fetchRange(
+    { from, to: new Date(to.getTime() + 60 * 1000), machineId },
+    { signal, source: predictionSource }
+  );
+  return toolLifeReport(samples, predictions);
+}
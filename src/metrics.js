@@ -0,0 +1,26 @@
+import { SAMPLE_FIELDS } from './schema';
+
+// Label and unit of a sensor field come from the sample schema
+const sensor = (field, color) => ({ label: SAMPLE_FIELDS[field].label, unit: SAMPLE_FIELDS[field].unit, color });
+
+// Display metadata for every chartable metric. Metrics sharing a unit share
+// a y-axis on the chart, so e.g. measured and estimated temp line up. Units
+// are the metric ones values are stored in; `delta` marks differences, which
+// convert to other units without an offset (see locale/units.js).
+export const METRICS = {
+  temp: sensor('temp', '#e8590c'),
+  rpm: sensor('rpm', '#007bff'),
+  load: sensor('load', '#2b8a3e'),
+  vibration: sensor('vibration', '#ae3ec9'),
+  depth: sensor('depth', '#495057'),
+  rul: { label: 'Predicted RUL', unit: 'cycles', color: '#1098ad' },
+  estTemp: { label: 'Estimated Temp', unit: '°C', color: '#f08c00' },
+  residual: { label: 'Temp residual', unit: '°C', color: '#c2255c', delta: true },
+  // Derived (see derived.js)
+  torque: { label: 'Torque', unit: 'N·m', color: '#5f3dc4' },
+  power: { label: 'Power', unit: 'kW', color: '#d9480f' },
+  specificEnergy: { label: 'Specific energy', unit: 'J/mm³', color: '#087f5b' },
+  rop: { label: 'Rate of penetration', unit: 'mm/min', color: '#1864ab' },
+  cumulativeDepth: { label: 'Cumulative depth', unit: 'mm', color: '#868e96' },
+  thermalRise: { label: 'Thermal rise', unit: '°C/min', color: '#e67700' }
+};
@@ -0,0 +1,73 @@
+// Delivery channels for notification events: desktop notifications, an
+// audible alarm and outgoing webhooks.
+
+export const desktopSupported = typeof window !== 'undefined' && 'Notification' in window;
+
+export function desktopPermission() {
+  return desktopSupported ? Notification.permission : 'unsupported';
+}
+
+// Must be called from a user gesture in most browsers
+export function requestDesktopPermission() {
+  return desktopSupported ? Notification.requestPermission() : Promise.resolve('unsupported');
+}
+
+// One desktop notification per alarm: the tag makes an escalation or a clear
+// replace the earlier notice instead of stacking up
+export function showDesktopNotification(title, body, { tag, urgent = false } = {}) {
+  if (desktopPermission() !== 'granted') return;
+  try {
+    new Notification(title, { body, tag, renotify: true, requireInteraction: urgent });
+  } catch (err) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.error('Desktop notification error', err);
+  }
+}
+
+let audio = null;
+
+// A short beep pattern from the Web Audio API, so no sound file is needed.
+// Escalated alarms get a faster, higher two-tone pattern.
+export function playAlarmSound(level = 'raised') {
+  const Context = window.AudioContext || window.webkitAudioContext;
+  if (!Context) return;
+  audio ??= new Context();
+  // Autoplay policy: the context only runs after the user has interacted
+  if (audio.state === 'suspended') audio.resume().catch(() => {});
+
+  const tones = level === 'escalated' ? [988, 740, 988, 740] : [880, 880];
+  const length = level === 'escalated' ? 0.15 : 0.25;
+  tones.forEach((frequency, i) => {
+    const start = audio.currentTime + i * length * 1.5;
+    const osc = audio.createOscillator();
+    const gain = audio.createGain();
+    osc.type = 'square';
+    osc.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.15, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + length);
+    osc.connect(gain).connect(audio.destination);
+    osc.start(start);
+    osc.stop(start + length);
+  });
+}
+
+const webhookTimeoutMs = 10000;
+
+// POSTs `payload` as JSON. Resolves with the response status; rejects on a
+// network error, a timeout or a non-2xx answer.
+export async function postWebhook(url, payload) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(new Error(`${url} timed out`)), webhookTimeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: controller.signal
+    });
+    if (!res.ok) throw new Error(`${url} responded ${res.status}`);
+    return res.status;
+  } finally {
+    clearTimeout(timer);
+  }
+}
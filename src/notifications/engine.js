@@ -0,0 +1,111 @@
+// Decides which alarm changes to announce. It watches one machine's current
+// alarm state (see useAlarms) and emits events:
+//
+//   raised      a metric went into alarm. Within `cooldownS` of the last
+//               announced raise for that metric it is suppressed instead,
+//               and counted on the next one, so a flapping metric can't spam
+//   escalated   an alarm stayed active and unacknowledged for
+//               `escalateAfterS`; sent once per alarm
+//   cleared     an announced alarm cleared
+//
+// Like the alarm engine it keeps no timers: call update() whenever the state
+// changes and periodically (escalation is time based). Settings are passed on
+// every update, so changing them doesn't forget the alarms already seen.
+
+export const NOTIFICATION_EVENTS = ['raised', 'escalated', 'cleared'];
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  cooldownS: 300,
+  escalateAfterS: 600,
+  // { url, events: subset of NOTIFICATION_EVENTS, enabled }
+  webhooks: []
+};
+
+// e.g. "Drill 1: Temperature 72.4 °C above 70 °C", "Drill 1: no data for
+// 30 s", in `locale`'s language and units (see createLocale)
+export function describeAlarm(machine, metric, state, locale) {
+  const { t } = locale;
+  const name = machine.name || machine.id;
+  if (state.reason === 'stale') return t('notify.message.stale', { name, seconds: state.limit });
+  if (state.reason === 'anomaly') {
+    return t('notify.message.anomaly', { name, anomalies: [].concat(state.value).map(locale.anomaly).join(', ') });
+  }
+  const amount = (v) => (state.reason === 'rate'
+    ? `${locale.number(+locale.value(metric, v, { delta: true }).toFixed(2))} ${locale.unit(metric)}/s`
+    : locale.format(metric, +v.toFixed(2)));
+  return t('notify.message.threshold', {
+    name,
+    metric: locale.label(metric),
+    value: amount(state.value),
+    reason: t(`alarmLog.${state.reason}`),
+    limit: amount(state.limit)
+  });
+}
+
+// Stateful notifier for one machine. update() returns the new events,
+// [{ type, id, metric, state, suppressed }], and `alerting`: 'escalated',
+// 'raised' or null for the loudest announced alarm still unacknowledged.
+// `id` is the alarm log entry's id, so receivers can de-duplicate. The open
+// log entry for a metric decides whether it is acknowledged and when it was
+// raised, so both survive a reload; `state.since` moves with the live window.
+export function createNotifier(machineId) {
+  const tracked = new Map(); // metric -> { state, id, raisedAt, announced, escalated }
+  const lastRaised = new Map(); // metric -> ms of the last announced raise
+  const suppressed = new Map(); // metric -> raises held back since then
+
+  return {
+    // `current` is { [metric]: state }, `log` the machine's alarm log
+    update({ current, log, settings = DEFAULT_NOTIFICATION_SETTINGS, now = Date.now() }) {
+      const events = [];
+      const event = (type, metric, t, extra) => events.push({ type, id: t.id, metric, state: t.state, ...extra });
+      const openEntry = (metric) => log.find((e) => e.metric === metric && !e.clearedAt);
+
+      for (const [metric, state] of Object.entries(current)) {
+        const t = tracked.get(metric);
+        if (state.active && !t) {
+          const open = openEntry(metric);
+          const next = {
+            state,
+            id: open?.id ?? `${machineId}:${metric}:${state.recordId}`,
+            raisedAt: open?.raisedAt ?? state.since ?? new Date(now),
+            announced: false,
+            escalated: false
+          };
+          tracked.set(metric, next);
+          // Already acknowledged, e.g. before this page was reloaded
+          if (open?.acknowledgedAt) continue;
+          if (now - (lastRaised.get(metric) ?? -Infinity) < settings.cooldownS * 1000) {
+            suppressed.set(metric, (suppressed.get(metric) ?? 0) + 1);
+            continue;
+          }
+          next.announced = true;
+          lastRaised.set(metric, now);
+          event('raised', metric, next, { suppressed: suppressed.get(metric) ?? 0 });
+          suppressed.delete(metric);
+        } else if (!state.active && t) {
+          tracked.delete(metric);
+          if (t.announced) event('cleared', metric, t);
+        } else if (t) {
+          t.state = state;
+        }
+      }
+
+      let alerting = null;
+      for (const [metric, t] of tracked) {
+        const open = openEntry(metric);
+        if (open) t.id = open.id;
+        if (open?.acknowledgedAt) continue;
+        // A suppressed raise that doesn't go away is still worth escalating
+        const since = (open?.raisedAt ?? t.raisedAt)?.getTime?.() ?? now;
+        if (!t.escalated && now - since >= settings.escalateAfterS * 1000) {
+          t.escalated = true;
+          t.announced = true;
+          event('escalated', metric, t);
+        }
+        if (t.escalated) alerting = 'escalated';
+        else if (t.announced && !alerting) alerting = 'raised';
+      }
+      return { events, alerting };
+    }
+  };
+}
@@ -0,0 +1,153 @@
+import { useEffect, useMemo, useState, useSyncExternalStore } from 'react';
+import { dataSource } from '../dataSource';
+import { createNotifier, describeAlarm, DEFAULT_NOTIFICATION_SETTINGS } from './engine';
+import { playAlarmSound, postWebhook, showDesktopNotification } from './channels';
+import { createLocale, useLocale } from '../locale';
+
+export { NOTIFICATION_EVENTS, DEFAULT_NOTIFICATION_SETTINGS, createNotifier, describeAlarm } from './engine';
+export { desktopSupported, desktopPermission, requestDesktopPermission, postWebhook } from './channels';
+
+// Cooldown, escalation and webhooks are shared by every dashboard:
+// one doc { id: 'fleet', cooldownS, escalateAfterS, webhooks }
+const settingsStore = dataSource.docs('notificationSettings');
+const settingsId = 'fleet';
+
+export function useNotificationSettings() {
+  const [saved, setSaved] = useState(null);
+
+  useEffect(() => settingsStore.subscribe(
+    (docs) => setSaved(docs.find((d) => d.id === settingsId) || null),
+    (err) => console.error('Notification settings error', err)
+  ), []);
+
+  const settings = useMemo(() => ({ ...DEFAULT_NOTIFICATION_SETTINGS, ...saved }), [saved]);
+  const save = (next) => settingsStore.put({ ...next, id: settingsId });
+  return [settings, save];
+}
+
+// Desktop notifications and sound are a choice of whoever sits at this
+// browser, so they live in localStorage:
+// { desktop, sound, muted, snoozedUntil (ms) }
+const prefsKey = 'drill-dashboard.notifications';
+const defaultPrefs = { desktop: false, sound: true, muted: false, snoozedUntil: null };
+let prefs = loadPrefs();
+const prefListeners = new Set();
+
+function loadPrefs() {
+  try {
+    return { ...defaultPrefs, ...JSON.parse(localStorage.getItem(prefsKey)) };
+  } catch {
+    return defaultPrefs;
+  }
+}
+
+export function setNotificationPrefs(next) {
+  prefs = { ...prefs, ...next };
+  localStorage.setItem(prefsKey, JSON.stringify(prefs));
+  prefListeners.forEach((l) => l());
+}
+
+export function snoozeSound(minutes) {
+  setNotificationPrefs({ snoozedUntil: Date.now() + minutes * 60000 });
+}
+
+export function useNotificationPrefs() {
+  return useSyncExternalStore((listener) => {
+    prefListeners.add(listener);
+    return () => prefListeners.delete(listener);
+  }, () => prefs);
+}
+
+export function soundSilenced(p = prefs, now = Date.now()) {
+  return !p.sound || p.muted || (p.snoozedUntil !== null && now < p.snoozedUntil);
+}
+
+// Webhooks go to systems rather than to whoever sits at this browser, so
+// every dashboard sends them alike: English, metric units
+const webhookLocale = createLocale({ language: 'en', units: 'metric', timeZone: 'utc' });
+
+// Body of every webhook POST; `id` is the alarm log entry's id and stays the
+// same across raised / escalated / cleared, so receivers can de-duplicate
+// deliveries from several dashboards
+export function webhookPayload(event, machine) {
+  const { state } = event;
+  return {
+    id: event.id,
+    event: event.type,
+    machineId: machine.id,
+    machineName: machine.name ?? null,
+    metric: event.metric,
+    reason: state.reason,
+    value: state.value ?? null,
+    limit: state.limit ?? null,
+    since: state.since?.toISOString?.() ?? null,
+    message: describeAlarm(machine, event.metric, state, webhookLocale),
+    suppressed: event.suppressed ?? 0,
+    sentAt: new Date().toISOString()
+  };
+}
+
+export function sendTestWebhook(url, machine = { id: 'test', name: 'Test machine' }) {
+  return postWebhook(url, {
+    ...webhookPayload({ type: 'test', id: `${machine.id}:test`, metric: 'temp', state: { reason: 'high', value: 0, limit: 0 } }, machine),
+    message: 'Test notification from the drill dashboard'
+  });
+}
+
+const checkIntervalMs = 5000; // escalation check and sound repeat
+
+// Announces one machine's alarms (the `current` state and `log` from
+// useAlarms) on the channels this browser has enabled. Nothing is announced
+// while `enabled` is false (history, replay). Webhooks are only posted when
+// `webhooks` is true, so viewers' screens don't add deliveries.
+// Desktop notifications are in this browser's language and units.
+// Returns { alerting: 'escalated' | 'raised' | null, silenced }.
+export function useNotifications(machine, current, log, { enabled = true, webhooks = false } = {}) {
+  const locale = useLocale();
+  const [settings] = useNotificationSettings();
+  const localPrefs = useNotificationPrefs();
+  const [alerting, setAlerting] = useState(null);
+  const notifier = useMemo(() => (enabled ? createNotifier(machine.id) : null), [machine.id, enabled]);
+
+  // On every change, and periodically since escalation is time based
+  useEffect(() => {
+    if (!notifier) {
+      setAlerting(null);
+      return;
+    }
+    const check = () => {
+      const result = notifier.update({ current, log, settings });
+      setAlerting(result.alerting);
+      for (const event of result.events) deliver(event, machine, settings, webhooks, locale);
+    };
+    check();
+    const timer = setInterval(check, checkIntervalMs);
+    return () => clearInterval(timer);
+  }, [notifier, current, log, settings, webhooks, machine, locale]);
+
+  // The sound repeats until the alarm is acknowledged or silenced here
+  useEffect(() => {
+    if (!alerting) return;
+    const beep = () => !soundSilenced() && playAlarmSound(alerting);
+    beep();
+    const timer = setInterval(beep, alerting === 'escalated' ? checkIntervalMs / 2 : checkIntervalMs);
+    return () => clearInterval(timer);
+  }, [alerting]);
+
+  return { alerting, silenced: soundSilenced(localPrefs) };
+}
+
+function deliver(event, machine, settings, webhooks, locale) {
+  if (prefs.desktop) {
+    const { t } = locale;
+    const message = describeAlarm(machine, event.metric, event.state, locale);
+    const repeats = event.suppressed ? ` ${t('notify.repeats', { count: event.suppressed })}` : '';
+    showDesktopNotification(t(`notify.heading.${event.type}`), message + repeats, { tag: event.id, urgent: event.type === 'escalated' });
+  }
+  if (!webhooks) return;
+  const payload = webhookPayload(event, machine);
+  for (const hook of settings.webhooks) {
+    if (!hook.enabled || !hook.events.includes(event.type)) continue;
+    postWebhook(hook.url, payload).catch((err) => console.error('Webhook error', hook.url, err));
+  }
+}
@@ -0,0 +1,102 @@
+import { config } from './config';
+import { createDeriver, torqueIndex } from './derived';
+import { SAMPLE_METRICS } from './schema';
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  }, { once: true });
+});
+
+class HttpError extends Error {
+  constructor(status, path) {
+    super(`${path} responded ${status}`);
+    this.status = status;
+  }
+}
+
+// Client for the ML backend (/predict_rul, /predict_temp, /health).
+// Each call takes an optional AbortSignal; a request is retried with
+// exponential backoff on network errors, timeouts and 5xx responses.
+export function createPredictionClient({
+  baseUrl = config.prediction.baseUrl,
+  timeoutMs = config.prediction.timeoutMs,
+  retries = config.prediction.retries,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+
+  async function attempt(path, init, signal) {
+    // Per-attempt timeout, chained to the caller's signal
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(new Error(`${path} timed out`)), timeoutMs);
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+    try {
+      const res = await fetchImpl(`${root}${path}`, { ...init, signal: controller.signal });
+      if (!res.ok) throw new HttpError(res.status, path);
+      return await res.json();
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  async function request(path, init = {}, signal) {
+    for (let n = 0; ; n++) {
+      try {
+        return await attempt(path, init, signal);
+      } catch (err) {
+        const clientError = err instanceof HttpError && err.status < 500;
+        if (signal?.aborted || clientError || n >= retries) throw err;
+        await sleep(250 * 2 ** n + Math.random() * 100, signal);
+      }
+    }
+  }
+
+  const post = (path, body, signal) => request(path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  }, signal);
+
+  return {
+    baseUrl: root,
+
+    // `sequence`: one window of feature rows, see buildFeatureSequence
+    async predictRul(sequence, { signal } = {}) {
+      const data = await post('/predict_rul', { sequence: [sequence] }, signal); // Batch of 1
+      return { rul: Math.round(data.rul), modelVersion: data.model_version ?? null };
+    },
+
+    // Temp estimation excludes temp from the input
+    async predictTemp(sequence, { signal } = {}) {
+      const flat = sequence.map((row) => row.slice(1)).flat();
+      const data = await post('/predict_temp', { sequence: flat }, signal);
+      return { tempEst: +data.temp_est.toFixed(2), modelVersion: data.model_version ?? null };
+    },
+
+    async health({ signal } = {}) {
+      const data = await request('/health', {}, signal);
+      return { status: data.status ?? 'ok', modelVersion: data.model_version ?? null };
+    }
+  };
+}
+
+export const predictionClient = createPredictionClient();
+
+// Model input: one row per sample, oldest first:
+// [temp, rpm, load, vibration, depth, tempChange, torqueEst]
+// Null when any sample lacks a sensor value: the models were trained on
+// complete rows, and a stand-in 0 would skew the prediction. The first row's
+// tempChange is 0 (no previous sample).
+export function buildFeatureSequence(recentRecords) {
+  if (!recentRecords.every((r) => SAMPLE_METRICS.every((m) => typeof r[m] === 'number'))) return null;
+  const deriver = createDeriver();
+  return recentRecords.map((r) => {
+    const { tempChange } = deriver.next(r);
+    return [r.temp, r.rpm, r.load, r.vibration, r.depth, tempChange ?? 0, torqueIndex(r.load, r.rpm)];
+  });
+}
@@ -0,0 +1,179 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { config } from './config';
+import { createDataSource } from './dataSource';
+import { fetchRange } from './history';
+import { predictionClient, buildFeatureSequence } from './predictionClient';
+
+// Samples in one model input window
+export const PREDICTION_WINDOW = 20;
+
+// Remaining useful life below this many cycles is an alarm
+export const RUL_ALERT_CYCLES = 50;
+
+// Prediction history is its own time series, next to the telemetry:
+// { machineId, kind: 'rul' | 'estTemp', value, recordId, recordAt, modelVersion, createdAt }
+// recordId/recordAt identify the newest sample in the model's input window.
+export const predictionSource = createDataSource(undefined, { collection: 'predictions' });
+
+export function savePrediction(kind, value, { machineId, record, modelVersion = null }) {
+  return predictionSource.append({
+    machineId,
+    kind,
+    value,
+    recordId: record.id,
+    recordAt: record.createdAt,
+    modelVersion
+  });
+}
+
+// Predictions for one machine, indexed by the record they were made for:
+// Map(recordId -> { rul, estTemp, modelVersion }). Follows live mode
+// (newest `limit` predictions) or a history range, like the telemetry.
+export function usePredictionHistory(machineId, range, limit) {
+  const [predictions, setPredictions] = useState([]);
+
+  useEffect(() => {
+    if (range) return;
+    return predictionSource.subscribe(
+      { limit, machineId },
+      setPredictions,
+      (err) => console.error('Prediction listen error', err)
+    );
+  }, [machineId, range, limit]);
+
+  useEffect(() => {
+    if (!range) return;
+    const controller = new AbortController();
+    fetchRange({ ...range, machineId }, { signal: controller.signal, source: predictionSource })
+      .then((loaded) => !controller.signal.aborted && setPredictions(loaded))
+      .catch((err) => console.error('Prediction history error', err));
+    return () => controller.abort();
+  }, [machineId, range]);
+
+  return useMemo(() => {
+    const byRecord = new Map();
+    // Oldest first, so the newest prediction for a record wins
+    const ordered = [...predictions].sort((a, b) => a.createdAt - b.createdAt);
+    for (const p of ordered) {
+      const entry = byRecord.get(p.recordId) || {};
+      byRecord.set(p.recordId, { ...entry, [p.kind]: p.value, modelVersion: p.modelVersion });
+    }
+    return byRecord;
+  }, [predictions]);
+}
+
+// Alarm-style state for low RUL. `records` are oldest first and `predictions`
+// is Map(recordId -> { rul }); the newest predicted RUL decides, and the
+// alarm dates from the first record of the low run, so it stays the same
+// alarm while new predictions keep it low.
+export function rulAlarmState(records, predictions) {
+  let onset = null;
+  let last = null;
+  for (const r of records) {
+    const rul = predictions.get(r.id)?.rul;
+    if (typeof rul !== 'number') continue;
+    last = rul;
+    if (rul >= RUL_ALERT_CYCLES) onset = null;
+    else if (!onset) onset = r;
+  }
+  if (last === null || last >= RUL_ALERT_CYCLES) return { active: false, reason: null, value: last };
+  return {
+    active: true,
+    reason: 'low',
+    value: last,
+    limit: RUL_ALERT_CYCLES,
+    since: onset.createdAt,
+    recordId: onset.id
+  };
+}
+
+// Live predictions for the newest window of `records` (newest first). A new
+// window cancels the requests for the previous one, so late responses can't
+// overwrite newer results, and the same window is never sent twice. Results
+// are stored unless `persist` is false; unstored ones are kept in `unsaved`
+// (Map recordId -> { rul, estTemp }) for this session. A window with missing
+// sensor values isn't sent; `incomplete` is true while that is the case.
+export function useLivePredictions(machineId, records, { persist = true } = {}) {
+  const [rulPrediction, setRulPrediction] = useState(null);
+  const [estimatedTemp, setEstimatedTemp] = useState(null);
+  const [incomplete, setIncomplete] = useState(false);
+  const [unsaved, setUnsaved] = useState(() => new Map());
+  const lastWindow = useRef(null);
+  const controllerRef = useRef(null);
+
+  const windowKey = records.length >= PREDICTION_WINDOW ? `${machineId}:${records[0].id}` : null;
+
+  useEffect(() => {
+    if (!windowKey || windowKey === lastWindow.current) return;
+    lastWindow.current = windowKey;
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const { signal } = controller;
+
+    const newest = records[0];
+    const sequence = buildFeatureSequence(records.slice(0, PREDICTION_WINDOW).reverse());
+    setIncomplete(!sequence);
+    if (!sequence) {
+      setRulPrediction(null);
+      setEstimatedTemp(null);
+      return;
+    }
+    const store = (kind, value, modelVersion) => {
+      if (!persist) {
+        setUnsaved((prev) => new Map(prev).set(newest.id, { ...prev.get(newest.id), [kind]: value }));
+        return;
+      }
+      savePrediction(kind, value, { machineId, record: newest, modelVersion })
+        .catch((err) => console.error('Prediction write error:', err));
+    };
+
+    predictionClient.predictRul(sequence, { signal })
+      .then(({ rul, modelVersion }) => {
+        if (signal.aborted) return;
+        setRulPrediction(rul);
+        store('rul', rul, modelVersion);
+      })
+      .catch((err) => !signal.aborted && console.error('RUL error:', err));
+
+    predictionClient.predictTemp(sequence, { signal })
+      .then(({ tempEst, modelVersion }) => {
+        if (signal.aborted) return;
+        setEstimatedTemp(tempEst);
+        store('estTemp', tempEst, modelVersion);
+      })
+      .catch((err) => !signal.aborted && console.error('Temp est error:', err));
+  }, [windowKey, records, machineId, persist]);
+
+  useEffect(() => () => {
+    controllerRef.current?.abort();
+    lastWindow.current = null;
+  }, []);
+
+  return { rulPrediction, estimatedTemp, incomplete, unsaved };
+}
+
+// Polls the backend's /health: { status: 'checking' | 'up' | 'down', modelVersion }
+export function useBackendHealth(intervalMs = config.prediction.healthIntervalMs) {
+  const [health, setHealth] = useState({ status: 'checking', modelVersion: null });
+
+  useEffect(() => {
+    let controller = null;
+    const check = () => {
+      controller?.abort();
+      controller = new AbortController();
+      const { signal } = controller;
+      predictionClient.health({ signal })
+        .then(({ modelVersion }) => !signal.aborted && setHealth({ status: 'up', modelVersion }))
+        .catch(() => !signal.aborted && setHealth({ status: 'down', modelVersion: null }));
+    };
+    check();
+    const timer = setInterval(check, intervalMs);
+    return () => {
+      clearInterval(timer);
+      controller?.abort();
+    };
+  }, [intervalMs]);
+
+  return health;
+}
@@ -0,0 +1,12 @@
+import { useEffect, useState } from 'react';
+import { quarantinedRecords, subscribeQuarantine } from './dataSource';
+
+// Stored samples that failed the schema on read (see schema.js), for one
+// machine or all: [{ id, machineId, createdAt, errors }]
+export function useQuarantine(machineId = null) {
+  const [records, setRecords] = useState(quarantinedRecords);
+
+  useEffect(() => subscribeQuarantine(setRecords), []);
+
+  return machineId ? records.filter((r) => r.machineId === machineId) : records;
+}
@@ -0,0 +1,55 @@
+import { useEffect, useRef, useState } from 'react';
+
+export const REPLAY_SPEEDS = [1, 10, 100];
+const TICK_MS = 200;
+
+// Replay clock over `records` (oldest first). `position` is the index of the
+// newest record "received" so far; the clock runs in the records' own time,
+// scaled by `speed`.
+export function useReplay(records) {
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+  // Replay time in ms, kept between ticks so long gaps still get crossed
+  const clockRef = useRef(0);
+  const positionRef = useRef(0);
+
+  function seek(index) {
+    if (!records?.length) return;
+    const i = Math.max(0, Math.min(index, records.length - 1));
+    positionRef.current = i;
+    clockRef.current = records[i].createdAt.getTime();
+    setPosition(i);
+  }
+
+  // Start from the top when a new recording is loaded
+  useEffect(() => {
+    positionRef.current = 0;
+    clockRef.current = records?.length ? records[0].createdAt.getTime() : 0;
+    setPosition(0);
+    setPlaying(false);
+  }, [records]);
+
+  useEffect(() => {
+    if (!playing || !records?.length) return;
+    const timer = setInterval(() => {
+      clockRef.current += TICK_MS * speed;
+      let pos = positionRef.current;
+      while (pos + 1 < records.length && records[pos + 1].createdAt.getTime() <= clockRef.current) pos++;
+      positionRef.current = pos;
+      setPosition(pos);
+      if (pos >= records.length - 1) setPlaying(false);
+    }, TICK_MS);
+    return () => clearInterval(timer);
+  }, [playing, speed, records]);
+
+  return {
+    position,
+    playing,
+    speed,
+    play: () => setPlaying(true),
+    pause: () => setPlaying(false),
+    seek,
+    setSpeed
+  };
+}
@@ -0,0 +1,138 @@
+// The drill sample, as stored in the telemetry collection. Every writer goes
+// through this (see createDataSource), and every reader gets samples that
+// passed it, so the rest of the app can rely on the types and ranges here.
+//
+//   { createdAt: Date, schemaVersion, machineId?, jobId?, sampledAt?: Date,
+//     temp?, rpm?, load?, vibration?, depth?, waveform?, writtenBy? }
+//
+// `sampledAt` is when a sample was taken on the simulator's clock, which
+// runs ahead of `createdAt` when the simulation is accelerated.
+//
+// Sensor fields may be missing (a sensor was down, an import had no such
+// column) but never hold anything other than a finite number in range.
+
+export const SCHEMA_VERSION = 2;
+
+// Sensor fields. Ranges are physical plausibility, not alarm limits: a value
+// outside them is a broken sensor or a bad write, never a real reading.
+export const SAMPLE_FIELDS = {
+  temp: { label: 'Temperature', shortLabel: 'Temp', unit: '°C', min: -50, max: 600 },
+  rpm: { label: 'RPM', shortLabel: 'RPM', unit: 'rpm', min: 0, max: 60000 },
+  load: { label: 'Load', shortLabel: 'Load', unit: 'A', min: 0, max: 500 },
+  vibration: { label: 'Vibration', shortLabel: 'Vib', unit: 'm/s²', min: 0, max: 1000 },
+  depth: { label: 'Depth', shortLabel: 'Depth', unit: 'mm', min: 0, max: 10000 }
+};
+
+export const SAMPLE_METRICS = Object.keys(SAMPLE_FIELDS);
+
+// Optional string ids tying a sample to a rig and a job
+export const SAMPLE_IDS = ['machineId', 'jobId'];
+
+// Rig that samples stored before the machine registry belong to
+export const LEGACY_MACHINE_ID = 'drill-1';
+
+// Optional high-rate vibration block captured with the sample:
+// { rate: samples per second, values: [m/s²] }. Adding it needed no new
+// schema version: samples without one are as valid as before.
+export const WAVEFORM_RATE = { min: 100, max: 100000 };
+export const WAVEFORM_LENGTH = { min: 16, max: 4096 };
+
+export class SchemaError extends Error {
+  constructor(errors) {
+    super(`Invalid sample: ${errors.join('; ')}`);
+    this.name = 'SchemaError';
+    this.errors = errors;
+  }
+}
+
+const isMissing = (v) => v === null || v === undefined;
+
+// Problems with one sample, as readable strings; empty when it is valid.
+// `stored` samples must also carry their createdAt and schemaVersion.
+export function validateSample(sample, { stored = false } = {}) {
+  const errors = [];
+  for (const [field, { min, max, unit }] of Object.entries(SAMPLE_FIELDS)) {
+    const v = sample[field];
+    if (isMissing(v)) continue;
+    if (typeof v !== 'number' || !Number.isFinite(v)) errors.push(`${field} "${v}" is not a number`);
+    else if (v < min || v > max) errors.push(`${field} ${v} is outside ${min}…${max} ${unit}`);
+  }
+  for (const field of SAMPLE_IDS) {
+    const v = sample[field];
+    if (!isMissing(v) && (typeof v !== 'string' || !v)) errors.push(`${field} must be a non-empty string`);
+  }
+  if (!isMissing(sample.waveform)) errors.push(...validateWaveform(sample.waveform));
+  if (!isMissing(sample.sampledAt) && (!(sample.sampledAt instanceof Date) || Number.isNaN(sample.sampledAt.getTime()))) {
+    errors.push('sampledAt is not a date');
+  }
+  if (stored) {
+    if (!(sample.createdAt instanceof Date) || Number.isNaN(sample.createdAt.getTime())) errors.push('createdAt is missing or not a date');
+    if (sample.schemaVersion !== SCHEMA_VERSION) errors.push(`unsupported schema version ${sample.schemaVersion}`);
+  }
+  return errors;
+}
+
+function validateWaveform(w) {
+  if (typeof w !== 'object') return ['waveform must be { rate, values }'];
+  const errors = [];
+  if (typeof w.rate !== 'number' || !(w.rate >= WAVEFORM_RATE.min && w.rate <= WAVEFORM_RATE.max)) {
+    errors.push(`waveform rate "${w.rate}" is outside ${WAVEFORM_RATE.min}…${WAVEFORM_RATE.max} Hz`);
+  }
+  if (!Array.isArray(w.values) || w.values.length < WAVEFORM_LENGTH.min || w.values.length > WAVEFORM_LENGTH.max) {
+    errors.push(`waveform needs ${WAVEFORM_LENGTH.min}…${WAVEFORM_LENGTH.max} values`);
+  } else if (!w.values.every((v) => typeof v === 'number' && Number.isFinite(v))) {
+    errors.push('waveform values must be numbers');
+  }
+  return errors;
+}
+
+// Upgrades from each older version to the next. Stored documents are never
+// rewritten; they are upgraded like this every time they are read.
+const MIGRATIONS = {
+  // v1: documents written before versioning. Some writers stored numbers as
+  // strings and missing values as the '—' / 'N/A' placeholders, and the
+  // oldest predate the machine registry and carry no machineId.
+  1: (doc) => {
+    const next = { ...doc, schemaVersion: 2 };
+    if (isMissing(doc.machineId)) next.machineId = LEGACY_MACHINE_ID;
+    for (const field of SAMPLE_METRICS) {
+      const v = doc[field];
+      if (typeof v !== 'string') continue;
+      const s = v.trim();
+      if (s === '' || s === '—' || s === '-' || /^n\/?a$/i.test(s)) delete next[field];
+      else if (!Number.isNaN(Number(s))) next[field] = Number(s);
+    }
+    return next;
+  }
+};
+
+// Brings a stored document to SCHEMA_VERSION. Newer versions are left
+// alone; validation rejects them.
+export function migrateSample(doc) {
+  let out = doc;
+  let version = out.schemaVersion ?? 1;
+  while (version < SCHEMA_VERSION && MIGRATIONS[version]) {
+    out = MIGRATIONS[version](out);
+    version = out.schemaVersion;
+  }
+  return out;
+}
+
+// A stored document as the app should see it: { record } when it is valid
+// after migration, { errors } when it has to be quarantined
+export function readSample(doc) {
+  const record = migrateSample(doc);
+  const errors = validateSample(record, { stored: true });
+  return errors.length ? { errors } : { record };
+}
+
+// A new sample ready to store, stamped with the current version. Throws a
+// SchemaError when it is invalid.
+export function prepareSample(values) {
+  const errors = validateSample(values);
+  if (errors.length) throw new SchemaError(errors);
+  return { ...values, schemaVersion: SCHEMA_VERSION };
+}
+
+// What createDataSource needs to enforce the schema
+export const sampleSchema = { prepare: prepareSample, read: readSample };
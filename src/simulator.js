@@ -0,0 +1,172 @@
+// Drill simulator: seeded, scenario-driven telemetry for demos and for
+// exercising the alarms and the RUL model.
+
+// Small, fast seedable PRNG; returns floats in [0, 1)
+export function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Standard normal sample (Box-Muller)
+function gaussian(rand) {
+  const u = 1 - rand();
+  const v = rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// A new bit wears out over this many simulated seconds (1000 samples at 5 s)
+const TOOL_LIFE_S = 5000;
+const HOLE_DEPTH_MM = 35;
+const FEED_MM_PER_S = 0.05; // at nominal 5000 rpm
+
+// Vibration waveform blocks: a quarter second at 4096 Hz
+export const WAVEFORM_RATE_HZ = 4096;
+const WAVEFORM_SAMPLES = 1024;
+// Natural frequency of the tool; a dull bit chatters here
+const CHATTER_HZ = 1150;
+
+const bearingGrowth = (t) => Math.min(Math.exp(t / 600) - 1, 20);
+
+// Each scenario adjusts the healthy baseline. `t` is simulated seconds since
+// the scenario was selected; `noise` is a fresh standard normal sample.
+export const SCENARIOS = {
+  normal: {
+    label: 'Normal wear',
+    apply: (v) => v
+  },
+  bearing: {
+    label: 'Bearing failure',
+    // Vibration grows exponentially, with some frictional heat
+    apply: (v, t) => {
+      const growth = bearingGrowth(t);
+      return { ...v, vibration: v.vibration + growth * 0.6, temp: v.temp + growth * 0.8 };
+    },
+    // Outer-race defect tone at 4.7x the spindle speed
+    tones: (t) => [{ order: 4.7, amplitude: bearingGrowth(t) * 0.5 }]
+  },
+  coolant: {
+    label: 'Coolant loss',
+    // Temperature runs away; hotter cutting also raises load a little
+    apply: (v, t) => {
+      const rise = 0.002 * t ** 1.5;
+      return { ...v, temp: v.temp + Math.min(rise, 150), load: v.load + Math.min(rise / 20, 6) };
+    }
+  },
+  breakage: {
+    label: 'Bit breakage',
+    // After two minutes the bit snaps: load collapses, spindle free-runs,
+    // drilling stops
+    apply: (v, t, noise) => {
+      if (t < 120) return v;
+      return { ...v, load: 1.5 + Math.abs(noise) * 0.3, rpm: 5200 + noise * 10, broken: true };
+    }
+  }
+};
+
+// One waveform block for a sample: 1x (imbalance, growing with wear), 2x
+// (two-flute cutting), chatter once the bit dulls, the scenario's own tones
+// and noise, scaled so its RMS is the sample's `vibration`. A broken bit
+// no longer cuts.
+function waveformOf(rand, values, { wear, broken, tones }) {
+  const f1 = values.rpm / 60;
+  const components = [
+    { freq: f1, amplitude: 1 + wear * 1.5 },
+    { freq: 2 * f1, amplitude: broken ? 0.1 : 0.6 + wear },
+    { freq: CHATTER_HZ, amplitude: broken ? 0 : 2.5 * wear ** 2 },
+    ...tones.map(({ order, amplitude }) => ({ freq: order * f1, amplitude }))
+  ].map((c) => ({ ...c, phase: rand() * 2 * Math.PI }));
+
+  const raw = [];
+  for (let i = 0; i < WAVEFORM_SAMPLES; i++) {
+    const t = i / WAVEFORM_RATE_HZ;
+    let v = gaussian(rand) * 0.3;
+    for (const c of components) v += c.amplitude * Math.sin(2 * Math.PI * c.freq * t + c.phase);
+    raw.push(v);
+  }
+  const rms = Math.sqrt(raw.reduce((a, v) => a + v * v, 0) / raw.length);
+  const scale = rms > 0 ? values.vibration / rms : 0;
+  return { rate: WAVEFORM_RATE_HZ, values: raw.map((v) => +(v * scale).toFixed(4)) };
+}
+
+export function createSimulator({ seed = 1, scenario = 'normal' } = {}) {
+  let rand = mulberry32(seed);
+  // Waveforms draw from their own generator, so capturing them doesn't
+  // change the rest of a seeded run
+  let waveRand = mulberry32(seed ^ 0x9e3779b9);
+  let state;
+  let clockStart; // wall time, ms, at simulated second 0
+
+  function reset(nextSeed = seed) {
+    seed = nextSeed;
+    rand = mulberry32(seed);
+    waveRand = mulberry32(seed ^ 0x9e3779b9);
+    state = { simTime: 0, scenarioTime: 0, wear: 0, depth: 0, holes: 0, samples: 0 };
+    clockStart = Date.now();
+  }
+  reset(seed);
+
+  return {
+    get state() {
+      return { ...state, scenario, seed };
+    },
+
+    setScenario(id) {
+      if (!SCENARIOS[id]) throw new Error(`Unknown scenario "${id}"`);
+      scenario = id;
+      state.scenarioTime = 0;
+    },
+
+    reset,
+
+    // A new bit: wear and the hole start over, the clock and scenario run on
+    newBit() {
+      state = { ...state, wear: 0, depth: 0, holes: 0 };
+    },
+
+    // Advance by `dt` simulated seconds and return one sample's values,
+    // stamped `sampledAt` on the simulated clock, with a vibration waveform
+    // block when `waveform` is set
+    next(dt, { waveform = false } = {}) {
+      state.simTime += dt;
+      state.scenarioTime += dt;
+      state.samples++;
+      state.wear = Math.min(state.wear + dt / TOOL_LIFE_S, 1);
+      const wear = state.wear;
+
+      const healthy = {
+        temp: 45 + wear * 15 + gaussian(rand) * 3,
+        rpm: 5000 - wear * 1000 + gaussian(rand) * 20,
+        load: 12 + wear * 5 + gaussian(rand) * 1.5,
+        vibration: Math.abs(2 + wear * 2 + gaussian(rand) * 0.5)
+      };
+      const v = SCENARIOS[scenario].apply(healthy, state.scenarioTime, gaussian(rand));
+
+      // Depth accumulates at the feed rate; a finished hole starts the next
+      if (!v.broken) {
+        state.depth += FEED_MM_PER_S * (v.rpm / 5000) * dt;
+        if (state.depth >= HOLE_DEPTH_MM) {
+          state.depth = 0;
+          state.holes++;
+        }
+      }
+
+      const values = {
+        temp: +v.temp.toFixed(2),
+        rpm: Math.round(v.rpm),
+        load: +Math.max(v.load, 0).toFixed(2),
+        vibration: +Math.max(v.vibration, 0).toFixed(3),
+        depth: +state.depth.toFixed(2),
+        sampledAt: new Date(clockStart + state.simTime * 1000)
+      };
+      if (!waveform) return values;
+      const tones = SCENARIOS[scenario].tones?.(state.scenarioTime) ?? [];
+      return { ...values, waveform: waveformOf(waveRand, values, { wear, broken: !!v.broken, tones }) };
+    }
+  };
+}
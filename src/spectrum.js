@@ -0,0 +1,107 @@
+// Frequency analysis of the vibration waveform blocks samples may carry
+// (see WAVEFORM_* in schema.js): windowed FFT, peaks and the spindle's
+// harmonics.
+
+// In-place iterative radix-2 FFT; `re` and `im` have a power-of-two length
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (-2 * Math.PI) / size;
+    const wr = Math.cos(angle);
+    const wi = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        [cr, ci] = [cr * wr - ci * wi, cr * wi + ci * wr];
+      }
+    }
+  }
+}
+
+// Single-sided amplitude spectrum of a waveform { rate, values }:
+// { rate, resolution, amplitudes } where amplitudes[k] is the peak amplitude
+// at k * resolution Hz, up to Nyquist. The block is cut to a power-of-two
+// length, its mean removed and a Hann window applied; amplitudes are
+// corrected for the window, so a pure tone reads its own amplitude.
+export function spectrumOf({ rate, values }) {
+  let n = 1;
+  while (n * 2 <= values.length) n *= 2;
+  const mean = values.slice(0, n).reduce((a, v) => a + v, 0) / n;
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  let windowSum = 0;
+  for (let i = 0; i < n; i++) {
+    const w = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (n - 1));
+    re[i] = (values[i] - mean) * w;
+    windowSum += w;
+  }
+  fft(re, im);
+  const amplitudes = new Array(n / 2 + 1);
+  for (let k = 0; k <= n / 2; k++) {
+    amplitudes[k] = ((k === 0 || k === n / 2 ? 1 : 2) * Math.hypot(re[k], im[k])) / windowSum;
+  }
+  return { rate, resolution: rate / n, amplitudes };
+}
+
+// Strongest local maxima of a spectrum, lowest frequency first:
+// [{ freq, amplitude }]. A peak must stand out from the noise floor (the
+// median amplitude) and reach a share of the strongest one; its frequency
+// and amplitude are refined between bins.
+export function findPeaks({ resolution, amplitudes }, { count = 6, floorRatio = 4, minShare = 0.05 } = {}) {
+  const sorted = [...amplitudes].sort((a, b) => a - b);
+  const floor = sorted[Math.floor(sorted.length / 2)];
+  const threshold = Math.max(floor * floorRatio, sorted[sorted.length - 1] * minShare);
+  const peaks = [];
+  for (let k = 1; k < amplitudes.length - 1; k++) {
+    const [a, b, c] = [amplitudes[k - 1], amplitudes[k], amplitudes[k + 1]];
+    if (b < threshold || b <= a || b < c) continue;
+    const curve = a - 2 * b + c;
+    const delta = curve ? (0.5 * (a - c)) / curve : 0;
+    peaks.push({ freq: (k + delta) * resolution, amplitude: b - 0.25 * (a - c) * delta });
+  }
+  return peaks
+    .sort((p, q) => q.amplitude - p.amplitude)
+    .slice(0, count)
+    .sort((p, q) => p.freq - q.freq);
+}
+
+// Multiples of the spindle speed: [{ order, freq }], none without an rpm
+export function rpmHarmonics(rpm, orders = [1, 2]) {
+  if (typeof rpm !== 'number' || rpm <= 0) return [];
+  return orders.map((order) => ({ order, freq: (order * rpm) / 60 }));
+}
+
+// A frequency as a multiple of the spindle speed, or null without an rpm
+export function orderOf(freq, rpm) {
+  return typeof rpm === 'number' && rpm > 0 ? freq / (rpm / 60) : null;
+}
+
+// Spectra of the newest `maxRows` records (newest first) that carry a
+// waveform: [{ id, at, rpm, spectrum }], newest first
+export function spectrogram(records, maxRows = 60) {
+  const rows = [];
+  for (const r of records) {
+    if (!r.waveform) continue;
+    rows.push({ id: r.id, at: r.createdAt, rpm: r.rpm, spectrum: spectrumOf(r.waveform) });
+    if (rows.length === maxRows) break;
+  }
+  return rows;
+}
@@ -0,0 +1,89 @@
+import { SAMPLE_METRICS } from './schema';
+import { DERIVED_METRICS } from './derived';
+
+// Metrics the statistics panel covers: the sensors and the derived metrics
+export const STATS_METRICS = [...SAMPLE_METRICS, ...DERIVED_METRICS];
+
+// Percentiles each metric's summary gives
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+const isNum = (v) => typeof v === 'number' && Number.isFinite(v);
+
+// `p`th percentile of ascending `sorted`, interpolating between neighbours
+function percentile(sorted, p) {
+  const at = (p / 100) * (sorted.length - 1);
+  const lo = Math.floor(at);
+  const hi = Math.ceil(at);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (at - lo);
+}
+
+// { count, min, max, mean, std, percentiles: { [p]: value } } of the numbers
+// in `values`, or null without any. std is the sample standard deviation
+// (0 for a single value).
+export function describe(values) {
+  const sorted = values.filter(isNum).sort((a, b) => a - b);
+  const n = sorted.length;
+  if (!n) return null;
+  const mean = sorted.reduce((a, b) => a + b, 0) / n;
+  const variance = n > 1 ? sorted.reduce((a, v) => a + (v - mean) ** 2, 0) / (n - 1) : 0;
+  return {
+    count: n,
+    min: sorted[0],
+    max: sorted[n - 1],
+    mean,
+    std: Math.sqrt(variance),
+    percentiles: Object.fromEntries(PERCENTILES.map((p) => [p, percentile(sorted, p)]))
+  };
+}
+
+// `bins` equal-width bins over the numbers in `values`:
+// [{ from, to, count }], lowest first. All-equal values make one bin.
+export function histogram(values, bins = 20) {
+  const nums = values.filter(isNum);
+  if (!nums.length) return [];
+  // A reduce rather than spreading: long history ranges overflow the stack
+  const min = nums.reduce((a, b) => (b < a ? b : a));
+  const max = nums.reduce((a, b) => (b > a ? b : a));
+  if (min === max) return [{ from: min, to: max, count: nums.length }];
+  const width = (max - min) / bins;
+  const counts = new Array(bins).fill(0);
+  for (const v of nums) counts[Math.min(bins - 1, Math.floor((v - min) / width))]++;
+  return counts.map((count, i) => ({ from: min + i * width, to: i === bins - 1 ? max : min + (i + 1) * width, count }));
+}
+
+// Pearson correlation of the pairs where both values are numbers, or null
+// with fewer than 3 such pairs or a constant side
+export function correlation(xs, ys) {
+  const pairs = xs.map((x, i) => [x, ys[i]]).filter(([x, y]) => isNum(x) && isNum(y));
+  const n = pairs.length;
+  if (n < 3) return null;
+  const mx = pairs.reduce((a, [x]) => a + x, 0) / n;
+  const my = pairs.reduce((a, [, y]) => a + y, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (const [x, y] of pairs) {
+    sxy += (x - mx) * (y - my);
+    sxx += (x - mx) ** 2;
+    syy += (y - my) ** 2;
+  }
+  return sxx && syy ? sxy / Math.sqrt(sxx * syy) : null;
+}
+
+// Statistics of `records` for the panel, from `valueOf(record, metric)`:
+// { columns: { [metric]: values }, summaries: { [metric]: describe() },
+//   matrix: { [metric]: { [metric]: r } } }. Values stay in the stored units;
+// the panel converts what it shows.
+export function windowStatistics(records, valueOf, metrics = STATS_METRICS) {
+  const columns = Object.fromEntries(metrics.map((m) => [m, records.map((r) => valueOf(r, m) ?? null)]));
+  const summaries = Object.fromEntries(metrics.map((m) => [m, describe(columns[m])]));
+  const matrix = {};
+  for (const a of metrics) {
+    matrix[a] = {};
+    for (const b of metrics) {
+      if (a === b) matrix[a][b] = summaries[a]?.std ? 1 : null;
+      else matrix[a][b] = matrix[b]?.[a] !== undefined ? matrix[b][a] : correlation(columns[a], columns[b]);
+    }
+  }
+  return { columns, summaries, matrix };
+}
@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+
+// Data is stale after this many sampling intervals without a new sample,
+// but never sooner than STALE_MIN_S; STALE_DEFAULT_S until a rate is known
+export const STALE_FACTOR = 3;
+export const STALE_MIN_S = 5;
+export const STALE_DEFAULT_S = 30;
+
+export function staleThreshold(samplingRate) {
+  return samplingRate ? Math.max(samplingRate * STALE_FACTOR, STALE_MIN_S) : STALE_DEFAULT_S;
+}
+
+// Watches the newest record's time. Returns { stale, silentFor, threshold }
+// (seconds); never stale while `enabled` is false (history, replay).
+export function useWatchdog(latest, samplingRate, enabled = true) {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!enabled) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [enabled]);
+
+  const threshold = staleThreshold(samplingRate);
+  const last = latest?.createdAt?.getTime();
+  const silentFor = last ? Math.max(0, Math.round((now - last) / 1000)) : 0;
+  return { stale: enabled && !!last && silentFor > threshold, silentFor, threshold };
+}
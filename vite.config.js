@@ -1,12 +1,14 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
+import { mockPredictionServer } from './mock/predictionServer.js';
 
-export default defineConfig({
-  plugins: [react()],
+// `vite --mode mock` answers /api itself instead of proxying to the ML backend
+export default defineConfig(({ mode }) => ({
+  plugins: [react(), mode === 'mock' && mockPredictionServer()],
   build: { outDir: 'dist', sourcemap: true },
   server: {
     port: 3000,
-    proxy: {
+    proxy: mode === 'mock' ? undefined : {
       '/api': {
         target: 'http://localhost:5000',
         changeOrigin: true,
@@ -14,4 +16,4 @@ export default defineConfig({
       }
     }
   }
-});
\ No newline at end of file
+}));